@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { sendError } = require('./errors');
+
+// --- API keys, quotas and rate limits ---
+// Keys live in a local SQLite file (API_KEYS_DB) as SHA-256 hashes; the key itself is only shown when
+// it is issued. Every key has scopes (read: text routes, audio: POST /audio, admin: everything),
+// a per-minute request rate and daily quotas of requests and TTS characters that reset at 00:00 UTC.
+// Callers send the key as "X-API-Key: <key>" (or "Authorization: Bearer <key>"). Anonymous callers
+// may use read routes unless API_KEYS_REQUIRED is set, rate limited per IP (ANON_RATE_PER_MINUTE).
+// The ADMIN_TOKEN bearer token passes every check (e.g., to issue the first admin key).
+// Over a limit, requests get a 429 with Retry-After.
+
+const log = createLogger('apikeys');
+
+const API_KEY_SCOPES = ['read', 'audio', 'admin'];
+const API_KEY_PREFIX = 'bk_';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY, name TEXT, key_hash TEXT UNIQUE, scopes TEXT, rate_per_minute INTEGER,
+        daily_requests INTEGER, daily_tts_characters INTEGER, created_at TEXT, revoked_at TEXT, last_used_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT REFERENCES api_keys (id), day TEXT, requests INTEGER DEFAULT 0, tts_characters INTEGER DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+    );
+`;
+
+let db = null;
+
+// Opens the key database on first use
+function getDb() {
+    if (!db) {
+        const file = getConfig().apiKeys.db;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+        log.info(`API key store: ${file}`);
+    }
+    return db;
+}
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Seconds until the daily quotas reset (next 00:00 UTC)
+function secondsUntilReset() {
+    const now = new Date();
+    const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((reset - now.getTime()) / 1000);
+}
+
+// Public shape of a key row, with today's usage
+function formatKey(row) {
+    const usage = getDb().prepare('SELECT requests, tts_characters FROM api_key_usage WHERE key_id = ? AND day = ?').get(row.id, today())
+        || { requests: 0, tts_characters: 0 };
+    const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+    return {
+        id: row.id,
+        name: row.name,
+        scopes: JSON.parse(row.scopes),
+        rate_per_minute: row.rate_per_minute,
+        daily_requests: row.daily_requests,
+        daily_tts_characters: row.daily_tts_characters,
+        created_at: row.created_at,
+        revoked_at: row.revoked_at,
+        last_used_at: row.last_used_at,
+        usage: {
+            day: today(),
+            requests: usage.requests,
+            tts_characters: usage.tts_characters,
+            requests_remaining: remaining(row.daily_requests, usage.requests),
+            tts_characters_remaining: remaining(row.daily_tts_characters, usage.tts_characters),
+            resets_in_seconds: secondsUntilReset()
+        }
+    };
+}
+
+// Creates an Error answered with a 400
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Reads an optional limit: undefined takes the default, null means unlimited
+function readLimit(value, fallback, name) {
+    if (value === undefined) return fallback;
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < 0) {
+        throw badRequest(`'${name}' must be a non-negative integer or null (unlimited).`);
+    }
+    return value;
+}
+
+/**
+ * Issues a new API key.
+ * @param {object} options
+ * @param {string} options.name - Who the key is for.
+ * @param {string[]} options.scopes - Any of read, audio, admin.
+ * @param {number|null} [options.rate_per_minute] - Requests per minute (default API_KEY_RATE_PER_MINUTE).
+ * @param {number|null} [options.daily_requests] - Requests per day (default API_KEY_DAILY_REQUESTS; null: unlimited).
+ * @param {number|null} [options.daily_tts_characters] - TTS characters per day (default API_KEY_DAILY_TTS_CHARACTERS; null: unlimited).
+ * @returns {object} - The key's details, with the key itself as `key` (not retrievable later).
+ * @throws {Error} - With `status` 400 for invalid options.
+ */
+function createApiKey({ name, scopes, rate_per_minute, daily_requests, daily_tts_characters } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw badRequest("'name' is required.");
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw badRequest(`'scopes' must list one or more of: ${API_KEY_SCOPES.join(', ')}.`);
+    }
+    const defaults = getConfig().apiKeys;
+    const ratePerMinute = readLimit(rate_per_minute, defaults.ratePerMinute, 'rate_per_minute');
+    if (ratePerMinute === 0) {
+        throw badRequest("'rate_per_minute' must be at least 1 (or null for no rate limit).");
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `${API_KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    getDb().prepare(`INSERT INTO api_keys (id, name, key_hash, scopes, rate_per_minute, daily_requests, daily_tts_characters, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        id,
+        name.trim(),
+        hashKey(key),
+        JSON.stringify([...new Set(scopes)]),
+        ratePerMinute,
+        readLimit(daily_requests, defaults.dailyRequests, 'daily_requests'),
+        readLimit(daily_tts_characters, defaults.dailyTtsCharacters, 'daily_tts_characters'),
+        new Date().toISOString()
+    );
+    log.info(`Issued API key ${id} (${name.trim()}) with scopes ${scopes.join(', ')}.`);
+    return { ...getApiKey(id), key };
+}
+
+/**
+ * Lists every key (revoked ones included) with today's usage.
+ * @returns {object[]}
+ */
+function listApiKeys() {
+    return getDb().prepare('SELECT * FROM api_keys ORDER BY created_at').all().map(formatKey);
+}
+
+/**
+ * Returns a key's details with today's usage and its daily history.
+ * @param {string} id - The key id.
+ * @param {number} [days=30] - Days of history.
+ * @returns {object|null}
+ */
+function getApiKey(id, days = 30) {
+    const row = getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    if (!row) return null;
+    const history = getDb().prepare('SELECT day, requests, tts_characters FROM api_key_usage WHERE key_id = ? ORDER BY day DESC LIMIT ?').all(id, days);
+    return { ...formatKey(row), history };
+}
+
+/**
+ * Revokes a key; later requests with it get a 401.
+ * @param {string} id - The key id.
+ * @returns {object|null} - The key's details, or null if unknown.
+ */
+function revokeApiKey(id) {
+    const result = getDb().prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), id);
+    if (result.changes > 0) {
+        log.info(`Revoked API key ${id}.`);
+    }
+    return getApiKey(id);
+}
+
+// Adds to a key's usage for today
+function recordUsage(keyId, requests, ttsCharacters) {
+    getDb().prepare(`INSERT INTO api_key_usage (key_id, day, requests, tts_characters) VALUES (?, ?, ?, ?)
+        ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests, tts_characters = tts_characters + excluded.tts_characters`)
+        .run(keyId, today(), requests, ttsCharacters);
+}
+
+// --- Per-minute rate limit (fixed one-minute windows per key or anonymous IP) ---
+const rateWindows = new Map(); // "key:<id>" or "ip:<address>" -> { start, count }
+
+function takeRateSlot(bucket, limit) {
+    const now = Date.now();
+    let window = rateWindows.get(bucket);
+    if (!window || now - window.start >= 60000) {
+        window = { start: now, count: 0 };
+        rateWindows.set(bucket, window);
+    }
+    if (window.count >= limit) {
+        return Math.max(1, Math.ceil((window.start + 60000 - now) / 1000));
+    }
+    window.count++;
+    return 0;
+}
+
+// Drops finished windows so idle callers do not accumulate
+setInterval(() => {
+    const now = Date.now();
+    rateWindows.forEach((window, bucket) => {
+        if (now - window.start >= 60000) rateWindows.delete(bucket);
+    });
+}, 60000).unref();
+
+function tooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, message, { retry_after: retryAfter });
+}
+
+// Reads the key from X-API-Key or a Bearer token
+function readCredentials(req) {
+    const header = req.get('authorization') || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return { apiKey: req.get('x-api-key') || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null), bearer };
+}
+
+function isAdminToken(token) {
+    const expected = getConfig().adminToken;
+    if (!expected || !token) return false;
+    const provided = Buffer.from(token);
+    const wanted = Buffer.from(expected);
+    return provided.length === wanted.length && crypto.timingSafeEqual(provided, wanted);
+}
+
+/**
+ * Creates the middleware that authenticates callers and enforces scopes, rate limits and the daily
+ * request quota. Sets `req.auth` to { admin, key } (key: the key's row, or null when anonymous).
+ * @param {function(object): string} scopeFor - The scope a request needs (read, audio or admin).
+ * @returns {function} - Express middleware.
+ */
+function createAuthMiddleware(scopeFor) {
+    return (req, res, next) => {
+        const { apiKey, bearer } = readCredentials(req);
+        const scope = scopeFor(req);
+
+        if (!apiKey && isAdminToken(bearer)) {
+            req.auth = { admin: true, key: null };
+            return next();
+        }
+
+        if (!apiKey) {
+            const settings = getConfig().apiKeys;
+            if (scope !== 'read' || settings.required) {
+                return sendError(res, 401, `An API key with the '${scope}' scope is required (send it as X-API-Key).`, { scope }, 'api_key_required');
+            }
+            const retryAfter = takeRateSlot(`ip:${req.ip}`, settings.anonymousRatePerMinute);
+            if (retryAfter > 0) {
+                return tooManyRequests(res, retryAfter, 'Too many requests. Use an API key for higher limits.');
+            }
+            req.auth = { admin: false, key: null };
+            return next();
+        }
+
+        const row = getDb().prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(apiKey));
+        if (!row || row.revoked_at) {
+            return sendError(res, 401, row ? 'This API key has been revoked.' : 'Invalid API key.', undefined, row ? 'api_key_revoked' : 'invalid_api_key');
+        }
+        const scopes = JSON.parse(row.scopes);
+        if (!scopes.includes(scope) && !scopes.includes('admin')) {
+            return sendError(res, 403, `This API key lacks the '${scope}' scope.`, { scope }, 'missing_scope');
+        }
+        if (row.rate_per_minute !== null) {
+            const retryAfter = takeRateSlot(`key:${row.id}`, row.rate_per_minute);
+            if (retryAfter > 0) {
+                return tooManyRequests(res, retryAfter, `Rate limit of ${row.rate_per_minute} requests per minute exceeded.`);
+            }
+        }
+        if (row.daily_requests !== null) {
+            const used = getDb().prepare('SELECT requests FROM api_key_usage WHERE key_id = ? AND day = ?').get(row.id, today())?.requests || 0;
+            if (used >= row.daily_requests) {
+                return tooManyRequests(res, secondsUntilReset(), `Daily quota of ${row.daily_requests} requests exceeded.`);
+            }
+        }
+
+        recordUsage(row.id, 1, 0);
+        getDb().prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+        req.auth = { admin: scopes.includes('admin'), key: row };
+        return next();
+    };
+}
+
+/**
+ * Checks whether a key can spend TTS characters today.
+ * @param {object|null} key - The key row from `req.auth` (null: anonymous or ADMIN_TOKEN, never limited).
+ * @param {number} characters - Characters about to be synthesized.
+ * @returns {{allowed: boolean, remaining: number|null, retryAfter: number}}
+ */
+function checkTtsQuota(key, characters) {
+    if (!key || key.daily_tts_characters === null) {
+        return { allowed: true, remaining: null, retryAfter: 0 };
+    }
+    const used = getDb().prepare('SELECT tts_characters FROM api_key_usage WHERE key_id = ? AND day = ?').get(key.id, today())?.tts_characters || 0;
+    const remaining = Math.max(0, key.daily_tts_characters - used);
+    return { allowed: characters <= remaining, remaining, retryAfter: characters <= remaining ? 0 : secondsUntilReset() };
+}
+
+/**
+ * Adds synthesized characters to a key's usage for today.
+ * @param {object|null} key - The key row from `req.auth`.
+ * @param {number} characters - Characters queued for synthesis.
+ */
+function recordTtsCharacters(key, characters) {
+    if (key && characters > 0) {
+        recordUsage(key.id, 0, characters);
+    }
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    revokeApiKey,
+    createAuthMiddleware,
+    checkTtsQuota,
+    recordTtsCharacters,
+    tooManyRequests
+};
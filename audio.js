@@ -0,0 +1,281 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const {
+    splitTextIntoChunks,
+    saveAudioChunk,
+    concatenateAudioFiles,
+    getAudioDurationMs,
+    mapWithConcurrency,
+    getPublicUrl,
+    uploadFile,
+    putJson
+} = require('./utils');
+const { selectTts, synthesizeSpeech, getChapterIntro } = require('./tts');
+const { createJobQueue } = require('./jobs');
+const { resolveVersion, getChapter } = require('./service');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// --- Chapter audio generation ---
+// POST /audio queues one job per chapter/provider/voice; AUDIO_JOB_CONCURRENCY (default 2)
+// caps how many chapters are synthesized at the same time.
+//
+// Each verse (and heading) is synthesized on its own so verse boundaries can be timed: the
+// pieces are measured with ffprobe and a timing sidecar (`{chapter}.timing.json`) maps every
+// verse usfm to its start and end in the final MP3. AUDIO_SYNTH_CONCURRENCY (default 4) caps
+// the TTS requests in flight for one job.
+
+const AUDIO_JOB_CONCURRENCY = getConfig().audio.jobConcurrency;
+const AUDIO_SYNTH_CONCURRENCY = getConfig().audio.synthConcurrency;
+
+const log = createLogger('audio');
+
+const AUDIO_JOB_STEPS = ['fetch_text', 'synthesize', 'measure', 'concatenate', 'upload'];
+
+/**
+ * Returns the storage keys of a chapter's audio, metadata and timing sidecars.
+ * @param {object} options - { lang, abbreviation, book, chapter, provider, voice }
+ * @returns {{cacheKey: string, metadataKey: string, timingKey: string, legacyCacheKey: string|null}}
+ */
+function getAudioKeys({ lang, abbreviation, book, chapter, provider, voice }) {
+    // Keys include language, provider and voice so different narrations live side by side
+    const cacheKey = `audio/${lang}/${provider}/${voice}/${abbreviation}/${book}/${chapter}.mp3`;
+    return {
+        cacheKey,
+        metadataKey: cacheKey.replace(/\.mp3$/, '.json'),
+        timingKey: cacheKey.replace(/\.mp3$/, '.timing.json'),
+        // Audio generated before providers were selectable was always Spanish with Speechify's "Dalia" voice
+        legacyCacheKey: lang === 'es' && provider === 'speechify' && voice === 'Dalia'
+            ? `audio/${abbreviation}/${book}/${chapter}.mp3`
+            : null
+    };
+}
+
+/**
+ * Splits a chapter into the segments read aloud: the localized intro (with the first heading),
+ * then every heading and verse (reference lines are skipped).
+ * @param {string} lang - The version's language code.
+ * @param {object} chapterData - The chapter JSON `data` (title and flattened content).
+ * @param {string} chapter - The chapter number.
+ * @returns {{type: string, usfm: string|null, text: string}[]} - The segments, in reading order.
+ */
+function buildChapterSegments(lang, chapterData, chapter) {
+    const { title, content } = chapterData;
+    const introParts = [];
+
+    // Localized spoken intro (e.g., "Génesis, Capítulo 1." / "Genesis, Chapter 1.")
+    if (title) {
+        const bookName = title.replace(/\s*\d+$/, '');
+        introParts.push(getChapterIntro(lang, bookName, chapter));
+    }
+
+    // The first heading is read as part of the intro
+    const firstHeadingIndex = content.findIndex(item => item.type === 'heading');
+    if (firstHeadingIndex !== -1 && content[firstHeadingIndex].text) {
+        introParts.push(`${content[firstHeadingIndex].text}...`);
+    }
+
+    const segments = [];
+    if (introParts.length > 0) {
+        segments.push({ type: 'intro', usfm: null, text: introParts.join('\n') });
+    }
+    content.forEach((item, index) => {
+        if (!item.text || index === firstHeadingIndex || item.type === 'reference') {
+            return;
+        }
+        segments.push({
+            type: item.type === 'heading' ? 'heading' : 'verse',
+            usfm: item.type === 'heading' ? null : (item.usfm || null),
+            text: item.text
+        });
+    });
+    return segments;
+}
+
+/**
+ * Builds the text read aloud for a chapter.
+ * @param {string} lang - The version's language code.
+ * @param {object} chapterData - The chapter JSON `data` (title and flattened content).
+ * @param {string} chapter - The chapter number.
+ * @returns {string} - The text to synthesize.
+ */
+function buildChapterText(lang, chapterData, chapter) {
+    return buildChapterSegments(lang, chapterData, chapter).map(segment => segment.text).join('\n');
+}
+
+/**
+ * Generates a chapter's audio and uploads it with its metadata and timing sidecars. Runs as an audio job.
+ * @param {object} params - { lang, abbreviation, book, chapter, provider, voice, cacheKey, metadataKey, timingKey }
+ * @param {object} progress - The job's progress reporter.
+ * @returns {Promise<object>} - { audio_url, timing_url, timing, language, provider, voice }
+ */
+async function generateChapterAudio(params, progress) {
+    const { lang, abbreviation, book, chapter, cacheKey, metadataKey } = params;
+    // Jobs queued before timing existed have no timing key
+    const timingKey = params.timingKey || getAudioKeys(params).timingKey;
+    const reference = `${abbreviation}/${book}/${chapter}`;
+
+    // The provider is resolved again so restored jobs pick up the current configuration
+    const tts = selectTts(params.provider, params.voice, lang);
+    if (tts.error) {
+        throw new Error(tts.error);
+    }
+    const { provider, voiceInfo } = tts;
+
+    const tempDir = os.tmpdir();
+    let tempAudioFiles = []; // Keep track of temporary files created
+
+    try {
+        // 1. Read the chapter through the chapter service (same caches as the chapter route)
+        progress.start('fetch_text');
+        const version = await resolveVersion(abbreviation, lang);
+        const chapterData = (await getChapter(version, book, chapter)).data;
+        if (!chapterData || !chapterData.title || !Array.isArray(chapterData.content)) {
+            throw new Error('Invalid or incomplete chapter data (missing title or content array).');
+        }
+        const segments = buildChapterSegments(lang, chapterData, chapter);
+        const text = segments.map(segment => segment.text).join('\n');
+        log.debug(`Chapter text for ${reference} formatted for audio`, { characters: text.length, segments: segments.length });
+        progress.done('fetch_text');
+
+        // 2. Synthesize every segment (long verses are split at the provider's character limit). A failed
+        // chunk stops the rest, and the chunks in flight finish before the temp files are cleaned up
+        progress.start('synthesize');
+        const chunks = [];
+        segments.forEach((segment, segmentIndex) => {
+            splitTextIntoChunks(segment.text, provider.charLimit).forEach(chunkText => {
+                chunks.push({ segmentIndex, text: chunkText });
+            });
+        });
+        log.info(`Chapter text split into ${segments.length} segment(s), ${chunks.length} chunk(s).`, { provider: provider.name, voice: voiceInfo.voice });
+        let synthesized = 0;
+        tempAudioFiles = new Array(chunks.length).fill(null);
+        await mapWithConcurrency(chunks, AUDIO_SYNTH_CONCURRENCY, async (chunk, index) => {
+            const audioBuffer = await synthesizeSpeech(provider, chunk.text, voiceInfo);
+            if (!audioBuffer || audioBuffer.length === 0) {
+                throw new Error(`Empty audio received from TTS provider '${provider.name}'.`);
+            }
+            tempAudioFiles[index] = await saveAudioChunk(audioBuffer, tempDir);
+            synthesized++;
+            progress.update('synthesize', synthesized / chunks.length);
+        });
+        progress.done('synthesize');
+
+        // 3. Measure every chunk and add up the segment boundaries
+        progress.start('measure');
+        const durations = await mapWithConcurrency(tempAudioFiles, AUDIO_SYNTH_CONCURRENCY, filePath => getAudioDurationMs(filePath));
+        const segmentTimes = segments.map(() => ({ start_ms: null, end_ms: null }));
+        let offset = 0;
+        chunks.forEach((chunk, index) => {
+            const times = segmentTimes[chunk.segmentIndex];
+            if (times.start_ms === null) times.start_ms = offset;
+            offset += durations[index];
+            times.end_ms = offset;
+        });
+        // A verse split across poetry lines or paragraphs has several segments: it starts with the
+        // first one and ends with the last
+        const verses = {};
+        segments.forEach((segment, index) => {
+            if (segment.type !== 'verse' || !segment.usfm) return;
+            const times = segmentTimes[index];
+            const existing = verses[segment.usfm];
+            if (!existing) {
+                verses[segment.usfm] = { ...times };
+                return;
+            }
+            if (existing.start_ms === null) existing.start_ms = times.start_ms;
+            if (times.end_ms !== null) existing.end_ms = times.end_ms;
+        });
+        const timing = {
+            version: abbreviation,
+            book,
+            chapter,
+            language: lang,
+            provider: provider.name,
+            voice: voiceInfo.voice,
+            duration_ms: offset,
+            verses,
+            created_at: new Date().toISOString()
+        };
+        progress.done('measure');
+
+        // 4. Concatenate Audio Files (if more than one chunk)
+        progress.start('concatenate');
+        let finalAudioPath;
+        if (tempAudioFiles.length === 1) {
+            finalAudioPath = tempAudioFiles[0];
+            log.info('Single audio chunk, no concatenation needed.');
+        } else {
+            const concatenatedPath = path.join(tempDir, `final_${abbreviation}_${book}_${chapter}_${uuidv4()}.mp3`);
+            const inputFiles = tempAudioFiles;
+            tempAudioFiles = []; // concatenateAudioFiles deletes the inputs on success/error
+            finalAudioPath = await concatenateAudioFiles(inputFiles, concatenatedPath);
+            tempAudioFiles = [finalAudioPath]; // Track only the final concatenated file
+        }
+        progress.done('concatenate');
+
+        // 5. Upload the timing sidecar, then the audio (finalAudioPath is deleted by uploadFile on success/error)
+        progress.start('upload');
+        await putJson(timingKey, timing);
+        tempAudioFiles = [];
+        const audioUrl = await uploadFile(cacheKey, finalAudioPath, 'audio/mpeg');
+
+        // Store the generation metadata next to the audio
+        try {
+            await putJson(metadataKey, {
+                version: abbreviation,
+                book,
+                chapter,
+                language: lang,
+                provider: provider.name,
+                voice: voiceInfo.voice,
+                language_code: voiceInfo.languageCode,
+                characters: text.length,
+                chunks: chunks.length,
+                duration_ms: timing.duration_ms,
+                created_at: new Date().toISOString()
+            });
+        } catch (storageError) {
+            log.error('Error saving audio metadata to storage', { key: metadataKey, error: storageError.message });
+        }
+        progress.done('upload');
+        log.info(`Audio generated for ${reference}`, { audio_url: audioUrl, duration_ms: timing.duration_ms });
+
+        return {
+            audio_url: audioUrl,
+            timing_url: getPublicUrl(timingKey),
+            timing,
+            language: lang,
+            provider: provider.name,
+            voice: voiceInfo.voice
+        };
+    } catch (error) {
+        // Ensure temporary files are cleaned up on error
+        const leftovers = tempAudioFiles.filter(Boolean);
+        if (leftovers.length > 0) {
+            log.warn(`Cleaning up ${leftovers.length} temporary audio file(s) due to error...`);
+            await Promise.all(leftovers.map(filePath =>
+                fs.unlink(filePath).catch(e => log.error(`Failed to delete temp file ${filePath}`, { error: e.message }))
+            ));
+        }
+        throw error;
+    }
+}
+
+const audioJobs = createJobQueue({
+    type: 'audio',
+    concurrency: AUDIO_JOB_CONCURRENCY,
+    steps: AUDIO_JOB_STEPS,
+    run: generateChapterAudio
+});
+
+module.exports = {
+    AUDIO_JOB_STEPS,
+    audioJobs,
+    getAudioKeys,
+    buildChapterSegments,
+    buildChapterText,
+    generateChapterAudio
+};
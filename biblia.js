@@ -1,785 +1,1282 @@
 const express = require('express');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const os = require('os');
-const path = require('path');
-const fs = require('fs').promises; // Added fs.promises for async file operations
-const { v4: uuidv4 } = require('uuid'); // Import uuid for generating unique filenames
 const {
-    splitTextIntoChunks,
-    generateAudioSpeechify,
-    saveAudioChunkFromBase64,
-    concatenateAudioFiles,
-    uploadToS3,
-    checkJsonExists,
-    getJsonFromS3,
-    SPEECHIFY_CHAR_LIMIT
-} = require('./utils'); // Import audio utilities
+    getPublicUrl,
+    objectExists,
+    getCachedJson,
+    mapWithConcurrency,
+    mapInOrder
+} = require('./utils'); // Import storage utilities
+const { resolveBibleVersion } = require('./catalog'); // Dynamic version catalog
+const { parseVerseSpec, formatVerseSpec, getVerseNumbers, selectVerses } = require('./verses'); // Verse range selection
+const { parseReference, parseUsfmRange } = require('./references'); // Natural-language reference parsing
+const { alignChapters, diffWords } = require('./compare'); // Multi-version chapter comparison
+const { searchVersion } = require('./search'); // Full-text search over cached chapters
+const { getNoteTargets, findIncomingReferences } = require('./crossrefs'); // Reverse cross-reference graph
+const { negotiateFormat, renderDocument } = require('./formats'); // Text, Markdown, HTML, USFM and OSIS output
+const { resolveVersion, validateChapter, getBookChapters, chapterCacheKey, getChapter, getVersionInfo, listVersions } = require('./service'); // Chapters, version info and version lists
+const { BOOK_GROUPS, getBook, listBooks } = require('./books'); // Canonical book registry
+const { createHttpError, errorBody, sendError, sendHttpError } = require('./errors'); // Error envelope
+const { getStorage } = require('./storage'); // Pluggable storage backend
+const { getConfig, getRedactedConfig } = require('./config'); // Validated settings
+const { createAuthMiddleware, createApiKey, listApiKeys, getApiKey, revokeApiKey, checkTtsQuota, recordTtsCharacters, tooManyRequests } = require('./apikeys'); // API keys, quotas and rate limits
+const { documentCache } = require('./cache'); // In-process cache tier
+const upstream = require('./upstream'); // bible.com client (rate limit, retries, circuit breaker, BUILD_ID)
+const { selectTts } = require('./tts'); // Text-to-speech providers and language voices
+const { audioJobs, getAudioKeys, buildChapterText } = require('./audio'); // Queued chapter audio generation
+const { bundleJobs, findBundle } = require('./bundle'); // Offline SQLite bundles
+const { formatJob } = require('./jobs'); // Background job status
+const { validateRequest } = require('./openapi'); // OpenAPI request (and development response) validation
+const { createLogger } = require('./logger'); // Structured logs
 
 const router = express.Router();
-
-// Simple mapping from ISO 639-1 (2-letter) to ISO 639-3 (3-letter) codes
-const langCodeMap = {
-    'es': 'spa', // Spanish
-    'en': 'eng', // English
-    'pt': 'por', // Portuguese
-    'fr': 'fra', // French
-    'de': 'deu', // German
-    'it': 'ita', // Italian
-    'ru': 'rus', // Russian
-    'zh': 'zho', // Chinese (generic) - Note: Bible.com might use more specific tags like cmn, yue
-    'ja': 'jpn', // Japanese
-    'ko': 'kor', // Korean
-    // Add more mappings as needed
-};
-
-// Mapping from Bible abbreviation to ID
-const bibleVersionMap = {
-  "BDO1573": 1715, "BHTI": 222, "BLPH": 28, "DHH94I": 52, "DHH94PC": 411,
-  "DHHDK": 1845, "DHHS94": 1846, "GlossSP": 4212, "JBS": 1076, "LBLA": 89,
-  "NBLA": 103, "NBV": 753, "NTBIZ": 3539, "NTV": 127, "NVI-S": 128, // Note: NVI-S maps to 128, ignoring 2664 for simplicity or choosing one. User might need to clarify if distinction is needed.
-  "ONBV": 4190, "spaPdDpt": 3365, "PDT": 197, "RVA2015": 1782, "RVC": 146,
-  "RVES": 147, "RVR09": 1718, "RVR1960": 149, "RVR95": 150, "TCB": 4013,
-  "TLA": 176, "TLAI": 178, "VBL": 3291
+const log = createLogger('api');
+
+// Every request is authenticated first: admin routes need the 'admin' scope, POST /audio the 'audio'
+// scope and everything else 'read'. Rate limits and the daily request quota apply here too.
+const routeScope = req => {
+    if (req.path.startsWith('/admin/')) return 'admin';
+    if (req.method === 'POST' && req.path === '/audio') return 'audio';
+    return 'read';
 };
+router.use(createAuthMiddleware(routeScope));
 
-let currentBuildId = null; // Variable to store the BUILD_ID in memory
+// Route handler serving published objects (generated audio and bundles) for storage drivers without a
+// public URL. Everything else in storage (jobs, the catalog, search indexes...) answers 404.
+// Registered first so multi-segment keys are not taken for chapter or verse routes.
+const PUBLISHED_PREFIXES = ['audio/', 'bundles/'];
 
-// Function to fetch the BUILD_ID from bible.com
-async function fetchBuildId() {
+router.get('/files/*key', validateRequest('getFile'), async (req, res) => {
+    const key = req.params.key.join('/');
+    if (!PUBLISHED_PREFIXES.some(prefix => key.startsWith(prefix)) || req.params.key.some(segment => segment === '..' || segment === '.')) {
+        return sendError(res, 404, `File not found: ${key}`);
+    }
     try {
-        console.log('Attempting to fetch new BUILD_ID...');
-        const response = await axios.get("https://www.bible.com/");
-        const html = response.data;
-        // Regex updated to be less strict, matching common patterns
-        const pattern = /\/_next\/static\/([a-zA-Z0-9_-]+)\/_buildManifest\.js/;
-        const match = html.match(pattern);
-
-        if (match && match[1]) {
-            console.log(`New BUILD_ID found: ${match[1]}`);
-            return match[1];
-        } else {
-            console.error('BUILD_ID pattern not found in bible.com HTML.');
-            throw new Error('BUILD_ID pattern not found.');
+        const object = await getStorage().get(key);
+        if (!object) {
+            return sendError(res, 404, `File not found: ${key}`);
         }
+        res.set('Content-Type', object.contentType);
+        return res.send(object.body);
     } catch (error) {
-        console.error('Error fetching BUILD_ID:', error.message);
-        // Rethrow the error to be handled by the caller
-        throw error;
+        log.error(`Error reading ${key} from storage`, { error: error.message });
+        return sendError(res, 500, `Failed to read file: ${error.message}`);
     }
-}
+});
 
-// Function to get the current BUILD_ID, fetching if necessary
-async function getBuildId() {
-    if (!currentBuildId) {
-        currentBuildId = await fetchBuildId();
+// Sends chapter or passage content in the negotiated format; JSON keeps the route's usual shape
+function sendFormatted(res, format, json, document) {
+    res.vary('Accept');
+    if (format === 'json') {
+        return res.json(json);
     }
-    return currentBuildId;
+    const { contentType, body } = renderDocument(format, document);
+    res.set('Content-Type', contentType);
+    return res.send(body);
 }
 
-// Function to parse Bible HTML content into JSON using Cheerio (Updated to handle multiple structures)
-function parseBibleHtmlToJson(htmlString) {
-    const $ = cheerio.load(htmlString);
-    const result = {};
-
-    // Extract version info (remains the same)
-    const versionDiv = $('div.version');
-    result.version = {
-        id: versionDiv.data('vid')?.toString(),
-        language: versionDiv.data('iso6393')
+// Builds the document the format renderers expect from a chapter's JSON data
+function chapterDocument(version, chapterData) {
+    return {
+        title: chapterData.title,
+        version: version.abbreviation,
+        language: chapterData.language || version.lang,
+        direction: chapterData.direction,
+        chapters: [{ title: chapterData.title, usfm: chapterData.usfm, content: chapterData.content }],
+        copyright: chapterData.copyright,
+        publisher: chapterData.publisher
     };
+}
 
-    // Extract book info (remains the same)
-    const bookDiv = $('div.book');
-    const bookClass = bookDiv.attr('class')?.split(' ').find(cls => cls.startsWith('bk'));
-    result.book = {
-        code: bookClass ? bookClass.substring(2) : null,
-        chapters: []
-    };
+// Answers for a version the catalog could not resolve (unknown, ambiguous or in another language)
+function sendVersionError(res, version) {
+    return sendError(res, version.status, version.error, version.candidates ? { candidates: version.candidates } : undefined, version.code);
+}
 
-    // Extract chapter info
-    const chapterDiv = $('div.chapter');
-    const chapterClass = chapterDiv.attr('class')?.split(' ').find(cls => cls.startsWith('ch'));
-    const chapterData = {
-        number: chapterClass ? parseInt(chapterClass.substring(2), 10) : null,
-        usfm: chapterDiv.data('usfm'),
-        content: [] // Holds headings, paragraphs, etc.
-    };
+// Route handler for fetching all versions configuration
+router.get('/versions', validateRequest('listVersions'), async (req, res) => {
+    try {
+        return res.json(await listVersions());
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+});
+
+// Route handler for fetching all versions by language (defined last to avoid conflict)
+// Accepts ISO 639-1 (e.g., 'es') or ISO 639-3 (e.g., 'spa') codes
+router.get('/versions/:lang', validateRequest('listVersionsByLanguage'), async (req, res) => {
+    try {
+        return res.json(await listVersions(req.params.lang));
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+});
 
-    // Iterate over main content blocks: headings (s, s1), paragraphs (p), quotes (q), references (r), and the new blocks (m, li1)
-    // This makes it potentially backward compatible if older formats are encountered.
-    chapterDiv.children('div.s, div.s1, div.p, div.q, div.r, div.m, div.li1').each((_, element) => {
-        const $element = $(element);
+// Route handler listing the canonical book registry (e.g., /books?group=nt). With ?version= (and
+// optionally ?lang=) only that version's books are listed, with its chapter counts and localized names.
+router.get('/books', validateRequest('listBooks'), async (req, res) => {
+    const { group, version: versionParam, lang } = req.query;
+    if (group !== undefined && !BOOK_GROUPS.includes(group)) {
+        return sendError(res, 400, `Invalid group '${group}'. Expected one of: ${BOOK_GROUPS.join(', ')}.`);
+    }
+    if (!versionParam) {
+        return res.json({ data: { books: listBooks({ group }) } });
+    }
 
-        if ($element.hasClass('s') || $element.hasClass('s1')) { // Section heading (s or s1)
-            chapterData.content.push({
-                type: 'heading',
-                text: $element.find('span.heading').text().trim()
-            });
-        } else if ($element.hasClass('r')) { // Reference heading
-             // Handle potential multiple heading spans within 'r'
-            chapterData.content.push({
-                type: 'reference',
-                text: $element.find('span.heading').map((i, el) => $(el).text()).get().join('').trim()
-            });
-        } else if ($element.hasClass('p') || $element.hasClass('q') || $element.hasClass('m') || $element.hasClass('li1')) {
-            // Treat p, q, m, li1 as paragraph-like blocks containing verses
-            const blockType = ($element.hasClass('q')) ? 'quote_line' : 'paragraph'; // Keep quote_line distinction if q is present
-            const currentBlock = {
-                type: blockType,
-                verses: []
-            };
-
-            // Find verses within this block
-            $element.find('span.verse').each((i, verseElement) => {
-                const $verse = $(verseElement);
-                const currentUsfm = $verse.data('usfm');
-                const currentNumberStr = $verse.children('span.label').first().text(); // Get label text
-                const currentNumber = currentNumberStr ? parseInt(currentNumberStr, 10) : null; // Parse label
-
-                // Extract text: Concatenate text from all direct child span.content elements
-                let currentText = $verse.children('span.content')
-                                     .map((idx, contentSpan) => $(contentSpan).text()) // Get text of each content span
-                                     .get() // Get as an array of strings
-                                     .join(' ') // Join with space (or newline if preferred: '\n')
-                                     .replace(/\s+/g, ' ') // Normalize whitespace
-                                     .trim(); // Trim start/end
-
-                 // Fallback if no span.content, get text directly from verse span excluding children (less common now?)
-                 if (!currentText && $verse.children('span.content').length === 0) {
-                    currentText = $verse.clone().children().remove().end().text().trim();
-                 }
-
-                // Extract notes (remains similar)
-                const currentNotes = [];
-                $verse.find('span.note').each((j, noteElement) => {
-                    const $note = $(noteElement);
-                    // Extract note body text more carefully
-                    const noteBody = $note.find('span.body').text().replace(/\s+/g, ' ').trim();
-                    currentNotes.push({
-                        // Determine type based on class (f, x, etc.) - adapt if needed
-                        type: $note.attr('class')?.split(' ').find(c => c !== 'note'),
-                        label: $note.find('span.label').text(),
-                        body: noteBody
-                    });
-                });
-
-                // Add verse to the current block if it has content
-                if (currentText || currentNotes.length > 0 || (currentNumber !== null && !isNaN(currentNumber))) {
-                     // Basic merging: If the last verse in the block has the same USFM, append text/notes (less likely needed now?)
-                     // This simple check might need refinement if complex merging is required across blocks.
-                     const lastVerse = currentBlock.verses[currentBlock.verses.length - 1];
-                     if (lastVerse && lastVerse.usfm === currentUsfm) {
-                         if (currentText) {
-                             lastVerse.text += (lastVerse.text ? ' ' : '') + currentText; // Append text
-                         }
-                         lastVerse.notes.push(...currentNotes);
-                         // Update number if the current one is valid and the existing one wasn't
-                         if ((lastVerse.number === null || isNaN(lastVerse.number)) && (currentNumber !== null && !isNaN(currentNumber))) {
-                             lastVerse.number = currentNumber;
-                         }
-                     } else {
-                         // Add new verse object
-                         currentBlock.verses.push({
-                             number: (currentNumber !== null && !isNaN(currentNumber)) ? currentNumber : null,
-                             usfm: currentUsfm,
-                             text: currentText,
-                             notes: currentNotes
-                         });
-                     }
-                }
-            }); // End verse iteration
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        return sendVersionError(res, version);
+    }
+    try {
+        const versionBooks = (await getVersionInfo(version)).data?.books || [];
+        return res.json({ data: { version: version.abbreviation, language: version.lang, books: listBooks({ group, versionBooks }) } });
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+});
+
+// Admin routes need an API key with the 'admin' scope or the ADMIN_TOKEN bearer token (checked above).
+
+// Key prefixes the cache purge accepts: chapter text, version info and lists, and generated audio
+const CACHE_PURGE_PREFIXES = ['text/', 'versions/', 'audio/'];
+
+// Route handler reporting in-process cache statistics
+router.get('/admin/cache', validateRequest('getCacheStats'), (req, res) => {
+    return res.json({ data: { memory: documentCache.stats(), storage: { driver: getStorage().name } } });
+});
+
+// Route handler showing the configuration in effect and where each setting came from (secrets redacted)
+router.get('/admin/config', validateRequest('getConfig'), (req, res) => {
+    return res.json({ data: getRedactedConfig() });
+});
+
+// Route handler reporting the bible.com client state (circuit breaker, BUILD_ID, request counters)
+router.get('/admin/upstream', validateRequest('getUpstreamStatus'), (req, res) => {
+    return res.json({ data: upstream.getUpstreamStatus() });
+});
+
+// Route handler purging cached documents by key prefix (e.g., "text/es/RVR1960/", "text/es/RVR1960/JHN/", "audio/").
+// Purges the in-process cache; with `storage: true` the stored objects are deleted as well.
+router.post('/admin/cache/purge', validateRequest('purgeCache'), async (req, res) => {
+    const { prefix, storage = false } = req.body || {};
+    if (typeof prefix !== 'string' || !CACHE_PURGE_PREFIXES.some(allowed => prefix.startsWith(allowed))) {
+        return sendError(res, 400, `Body parameter 'prefix' must start with one of: ${CACHE_PURGE_PREFIXES.join(', ')}.`);
+    }
 
-            // Add the block to chapter content only if it contains verses
-            if (currentBlock.verses.length > 0) {
-                chapterData.content.push(currentBlock);
+    const memoryEntries = documentCache.purge(prefix);
+    let storageObjects = null;
+    if (storage === true) {
+        try {
+            const keys = await getStorage().list(prefix);
+            for (const key of keys) {
+                await getStorage().delete(key);
             }
-        } // End paragraph/quote/m/li1 block processing
-    }); // End main content block iteration
+            storageObjects = keys.length;
+        } catch (error) {
+            log.error(`Error purging storage prefix ${prefix}`, { error: error.message });
+            return sendError(res, 500, `Failed to purge storage: ${error.message}`, { memory_entries: memoryEntries });
+        }
+    }
 
-    // No need for extra cleanup if blocks are only added when they have verses
+    log.info(`Cache purge for '${prefix}': ${memoryEntries} in-process entries, ${storageObjects === null ? 'storage kept' : `${storageObjects} stored objects`}.`);
+    return res.json({ data: { prefix, memory_entries: memoryEntries, storage_objects: storageObjects } });
+});
 
-    result.book.chapters.push(chapterData);
-    return result;
-}
+// Route handler fetching a chapter (or, without a book, the version info) again from bible.com,
+// replacing the cached copies. Body: { version, lang?, book?, chapter? }
+router.post('/admin/cache/refresh', validateRequest('refreshCache'), async (req, res) => {
+    const { version: versionParam, lang, book, chapter } = req.body || {};
+    if (!versionParam) {
+        return sendError(res, 400, "Missing required body parameter: 'version'.");
+    }
+    if (book && !/^\d+$/.test(String(chapter || ''))) {
+        return sendError(res, 400, "Body parameter 'chapter' must be a chapter number when 'book' is given.");
+    }
+
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        return sendVersionError(res, version);
+    }
 
-// Route handler for fetching all versions configuration
-router.get('/versions', async (req, res) => {
-    const s3Key = `versions/index.json`;
-    
-    // First try to get from S3 cache
     try {
-        const exists = await checkJsonExists(s3Key);
-        if (exists) {
-            console.log(`Found cached versions configuration in S3 for key: ${s3Key}`);
-            const cachedData = await getJsonFromS3(s3Key);
-            return res.json(cachedData );
+        if (book) {
+            const chapterNumber = String(parseInt(chapter, 10)); // The key getChapter refreshed ("01" -> "1")
+            const chapterJson = await getChapter(version, book, chapterNumber, { refresh: true });
+            return res.json({ data: { refreshed: chapterCacheKey(version, book, chapterNumber), title: chapterJson.data?.title } });
         }
-    } catch (s3Error) {
-        console.error(`Error checking S3 cache for key ${s3Key}:`, s3Error.message);
-        // Continue with normal flow if S3 check fails
+        const versionJson = await getVersionInfo(version, { refresh: true });
+        return res.json({ data: { refreshed: `versions/${version.lang}/${version.abbreviation}.json`, title: versionJson.data?.title } });
+    } catch (error) {
+        return sendHttpError(res, error);
     }
+});
 
-    let versionsData = null;
+// Route handler issuing an API key. Body: { name, scopes: ["read", "audio", "admin"], rate_per_minute?,
+// daily_requests?, daily_tts_characters? } (limits default to the API_KEY_* settings; null is unlimited).
+// The key itself is only returned here.
+router.post('/admin/keys', validateRequest('createApiKey'), (req, res) => {
     try {
-        const apiUrl = 'https://www.bible.com/api/bible/configuration';
-        console.log(`Fetching versions configuration from: ${apiUrl}`);
-        
-        const response = await axios.get(apiUrl, {
-            timeout: 10000 // 10 seconds timeout
-        });
+        return res.status(201).json({ data: createApiKey(req.body || {}) });
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+});
 
-        if (response.data) {
-            console.log('Successfully fetched versions configuration');
-            versionsData = response.data.response.data.default_versions;
-            
-            // Save to S3 cache for future requests
-            try {
-                const tempFilePath = path.join(os.tmpdir(), `${uuidv4()}.json`);
-        
-                if (versionsData) {
-                    await fs.writeFile(tempFilePath, JSON.stringify({data: versionsData}));
-                    await uploadToS3(s3Key, tempFilePath, 'application/json');
-                    console.log(`Successfully cached versions configuration in S3 with key: ${s3Key}`);
-                } else {
-                    console.warn('No default_versions found in response data');
-                }
-            } catch (s3Error) {
-                console.error('Error saving to S3 cache:', s3Error.message);
-                // Optionally, add more error handling or logging here
-            }
-        
-            return res.json({ data: versionsData });
-        } else {
-            console.warn('Received empty or unexpected data structure for versions configuration');
-            return res.status(404).json({ error: 'No versions configuration found' });
+// Route handler listing API keys with today's usage
+router.get('/admin/keys', validateRequest('listApiKeys'), (req, res) => {
+    return res.json({ data: listApiKeys() });
+});
+
+// Route handler showing an API key with today's usage and its daily history
+router.get('/admin/keys/:id', validateRequest('getApiKey'), (req, res) => {
+    const key = getApiKey(req.params.id);
+    if (!key) {
+        return sendError(res, 404, `API key not found: ${req.params.id}`);
+    }
+    return res.json({ data: key });
+});
+
+// Route handler revoking an API key
+router.delete('/admin/keys/:id', validateRequest('revokeApiKey'), (req, res) => {
+    const key = revokeApiKey(req.params.id);
+    if (!key) {
+        return sendError(res, 404, `API key not found: ${req.params.id}`);
+    }
+    return res.json({ data: key });
+});
+
+// Route handler starting a whole-version offline bundle export (SQLite with FTS5).
+// Body: { version, lang, refresh }. Returns the download URL if the bundle already exists.
+router.post('/bundles', validateRequest('createBundle'), async (req, res) => {
+    const { version: versionParam, lang, refresh } = req.body || {};
+    if (!versionParam) {
+        return sendError(res, 400, "Missing required field: 'version' is required in the JSON body.");
+    }
+
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for bundle ${lang || '-'}/${versionParam}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    if (refresh !== true) {
+        const bundleUrl = await findBundle(version);
+        if (bundleUrl) {
+            log.info(`Found existing bundle for ${version.lang}/${version.abbreviation}`);
+            return res.json({ status: 'done', bundle_url: bundleUrl, version: version.abbreviation, language: version.lang });
+        }
+    }
+
+    const { job, coalesced } = bundleJobs.enqueue(`${version.lang}/${version.abbreviation}`, {
+        version: { id: version.id, abbreviation: version.abbreviation, lang: version.lang }
+    });
+    log.info(`Bundle export for ${version.lang}/${version.abbreviation} ${coalesced ? 'joins' : 'queued as'} job ${job.id}.`);
+
+    return res.status(202).json({
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/bundles/jobs/${job.id}`,
+        coalesced,
+        version: version.abbreviation,
+        language: version.lang
+    });
+});
+
+// Route handler reporting the status of a bundle export (registered before the chapter routes)
+router.get('/bundles/jobs/:id', validateRequest('getBundleJob'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const job = await bundleJobs.get(id);
+        if (!job) {
+            return sendError(res, 404, `Bundle job not found: ${id}`);
         }
+        return res.json(formatJob(job));
     } catch (error) {
-        console.error(`Failed to fetch versions configuration: ${error.message}`);
-        const statusCode = error.response ? error.response.status : 500;
-        const errorMessage = `Failed to retrieve versions configuration. ${error.message}`;
-        return res.status(statusCode).json({ error: errorMessage });
+        log.error(`Error reading bundle job ${id}`, { error: error.message });
+        return sendError(res, 500, `Failed to read bundle job: ${error.message}`);
     }
 });
 
-// Route handler for fetching all versions by language (defined last to avoid conflict)
-// Accepts ISO 639-1 (e.g., 'es') and converts to ISO 639-3 (e.g., 'spa') for the API call
-router.get('/versions/:lang', async (req, res) => {
-    const langParam = req.params.lang.toLowerCase(); // Ensure lowercase for matching map keys
-
-    // Check if the input is a valid language code (2 or 3 letters)
-    if (langParam && (langParam.length === 2 || langParam.length === 3)) {
-        let lang_tag_3;
-        
-        // If 2 letters, convert to 3 letters using the mapping
-        if (langParam.length === 2) {
-            lang_tag_3 = langCodeMap[langParam];
-            if (!lang_tag_3) {
-                console.log(`Unsupported ISO 639-1 language code received: ${langParam}`);
-                return res.status(400).json({ error: `Unsupported or unknown 2-letter language code: ${langParam}. Please use a supported ISO 639-1 code.` });
-            }
-        } else {
-            // If 3 letters, use directly as ISO 639-3
-            lang_tag_3 = langParam;
+// Route handler reporting the status of a queued audio job (queued, running, done or failed).
+// Registered before the chapter routes, which would otherwise match '/audio/jobs/:id'.
+router.get('/audio/jobs/:id', validateRequest('getAudioJob'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const job = await audioJobs.get(id);
+        if (!job) {
+            return sendError(res, 404, `Audio job not found: ${id}`);
         }
+        return res.json(formatJob(job));
+    } catch (error) {
+        log.error(`Error reading audio job ${id}`, { error: error.message });
+        return sendError(res, 500, `Failed to read audio job: ${error.message}`);
+    }
+});
 
-        // First try to get from S3 cache
-        const s3Key = `versions/${langParam}/index.json`;
-        try {
-            const exists = await checkJsonExists(s3Key);
-            if (exists) {
-                console.log(`Found cached versions in S3 for key: ${s3Key}`);
-                const cachedData = await getJsonFromS3(s3Key);
-                return res.json(cachedData);
-            }
-        } catch (s3Error) {
-            console.error(`Error checking S3 cache for key ${s3Key}:`, s3Error.message);
-            // Continue with normal flow if S3 check fails
+// Route handler returning the verse timing of generated chapter audio
+// (e.g., /audio/timing/es/RVR1960/JHN/3?tts_provider=speechify&voice=Dalia).
+// Registered before the verse route, which would otherwise match it.
+router.get('/audio/timing/:lang/:bible_usfm/:bible_book/:bible_chapter', validateRequest('getAudioTiming'), async (req, res) => {
+    const { lang, bible_usfm, bible_book, bible_chapter } = req.params;
+    const { tts_provider, voice } = req.query;
+
+    const version = await resolveBibleVersion(bible_usfm, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for audio timing ${lang}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    const tts = selectTts(tts_provider, voice, version.lang);
+    if (tts.error) {
+        return sendError(res, 400, tts.error);
+    }
+
+    let chapter;
+    try {
+        ({ chapter } = await validateChapter(version, bible_book, bible_chapter));
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+
+    const { timingKey } = getAudioKeys({
+        lang: version.lang,
+        abbreviation: version.abbreviation,
+        book: bible_book.toUpperCase(),
+        chapter: String(chapter),
+        provider: tts.provider.name,
+        voice: tts.voiceInfo.voice
+    });
+
+    const timing = await getCachedJson(timingKey);
+    if (!timing) {
+        return sendError(res, 404, `No audio timing found for ${version.abbreviation}/${bible_book.toUpperCase()}/${chapter} (${tts.provider.name}/${tts.voiceInfo.voice}). Generate the audio with POST /audio first.`);
+    }
+    return res.json({ data: timing });
+});
+
+// Route handler comparing one chapter across versions, aligned verse by verse
+// (e.g., /compare/JHN/3?versions=RVR1960,NVI-S,NTV&diff=words).
+// Registered before the chapter routes, which would otherwise take "compare" for a version.
+const COMPARE_MAX_VERSIONS = 6;
+
+router.get('/compare/:bible_book/:bible_chapter', validateRequest('compareChapter'), async (req, res) => {
+    const { bible_book, bible_chapter } = req.params;
+    const { versions: versionsParam, lang, diff } = req.query;
+
+    const abbreviations = String(versionsParam || '')
+        .split(',')
+        .map(abbreviation => abbreviation.trim())
+        .filter((abbreviation, index, all) => abbreviation && all.findIndex(other => other.toLowerCase() === abbreviation.toLowerCase()) === index);
+    if (abbreviations.length < 2 || abbreviations.length > COMPARE_MAX_VERSIONS) {
+        return sendError(res, 400, `Query parameter 'versions' must list between 2 and ${COMPARE_MAX_VERSIONS} comma-separated version abbreviations (e.g., versions=RVR1960,NVI-S).`);
+    }
+    if (!/^\d+$/.test(bible_chapter)) {
+        return sendError(res, 400, `Invalid chapter '${bible_chapter}'. Expected a chapter number.`, undefined, 'invalid_chapter');
+    }
+    const wordDiff = diff === 'words' || diff === 'true' || diff === '1';
+    if (diff !== undefined && !wordDiff) {
+        return sendError(res, 400, `Invalid diff mode '${diff}'. Expected 'words'.`);
+    }
+    if (wordDiff && abbreviations.length !== 2) {
+        return sendError(res, 400, 'The word diff compares exactly two versions.');
+    }
+
+    // Resolve every version first so a typo fails fast without fetching anything
+    const versions = await Promise.all(abbreviations.map(abbreviation => resolveBibleVersion(abbreviation, lang)));
+    const failedIndex = versions.findIndex(version => version.error);
+    if (failedIndex !== -1) {
+        const failed = versions[failedIndex];
+        log.info(`Bible version lookup failed for compare ${lang || '-'}/${abbreviations[failedIndex]}: ${failed.error}`);
+        return sendError(res, failed.status, failed.error, { version: abbreviations[failedIndex], candidates: failed.candidates }, failed.code);
+    }
+
+    log.info(`Compare request received for ${bible_book}/${bible_chapter}: ${versions.map(version => `${version.lang}/${version.abbreviation}`).join(', ')}`);
+
+    // Fetch the chapters in parallel through the regular (cached) chapter pipeline
+    const results = await Promise.allSettled(versions.map(version => getChapter(version, bible_book, bible_chapter)));
+    const failedResult = results.findIndex(result => result.status === 'rejected');
+    if (failedResult !== -1) {
+        const error = results[failedResult].reason;
+        return sendError(res, error.status || 500, `${versions[failedResult].abbreviation}: ${error.message}`, { ...error.details, version: versions[failedResult].abbreviation }, error.status ? error.code : undefined);
+    }
+
+    const chapters = results.map((result, index) => ({
+        version: versions[index],
+        data: result.value.data
+    }));
+    const unparsed = chapters.find(chapter => !Array.isArray(chapter.data.content));
+    if (unparsed) {
+        return sendError(res, 502, `Failed to parse chapter content for ${unparsed.version.abbreviation}.`);
+    }
+
+    const rows = alignChapters(chapters.map(chapter => ({
+        abbreviation: chapter.version.abbreviation,
+        content: chapter.data.content
+    })));
+    if (wordDiff) {
+        const [from, to] = chapters.map(chapter => chapter.version.abbreviation);
+        rows.forEach(row => {
+            row.diff = row.texts[from] && row.texts[to] ? diffWords(row.texts[from], row.texts[to]) : null;
+        });
+    }
+
+    return res.json({
+        data: {
+            book: bible_book.toUpperCase(),
+            chapter: parseInt(bible_chapter, 10),
+            versions: chapters.map(({ version, data }) => ({
+                abbreviation: version.abbreviation,
+                language: version.lang,
+                title: data.title,
+                publisher: data.publisher,
+                copyright: data.copyright
+            })),
+            diff: wordDiff ? { mode: 'words', from: chapters[0].version.abbreviation, to: chapters[1].version.abbreviation } : null,
+            rows,
+            missing_count: rows.filter(row => row.missing.length > 0).length
         }
+    });
+});
 
-        const apiUrl = `https://www.bible.com/api/bible/versions?language_tag=${lang_tag_3}&type=all`;
+// Route handler listing a verse's cross references both ways (e.g., /crossrefs/RVR1960/JHN/1/1?text=true):
+// the passages its notes point to (with its footnotes), and the verses whose notes point to it.
+// With ?text=true each passage's text is inlined. Registered before the verse routes.
+const CROSSREF_MAX_INLINE = 50; // Passages inlined per request; later ones get `text: null`
+const CROSSREF_MAX_TEXT_CHAPTERS = 3; // Longer targets (e.g., "Gn 1-11") are not inlined
 
-        console.log(`Request received for all versions in language (ISO 639-1): ${langParam}, mapped to (ISO 639-3): ${lang_tag_3}`);
-        console.log(`Fetching data from: ${apiUrl}`);
+router.get('/crossrefs/:bible_usfm/:bible_book/:bible_chapter/:verse', validateRequest('getCrossReferences'), async (req, res) => {
+    const { bible_usfm, bible_book, bible_chapter, verse } = req.params;
+    const { lang } = req.query;
+    const inlineText = req.query.text === 'true' || req.query.text === '1';
 
-        try {
-            const response = await axios.get(apiUrl, {
-                timeout: 10000 // 10 seconds timeout
+    if (!/^\d+$/.test(bible_chapter) || !/^\d+$/.test(verse) || parseInt(bible_chapter, 10) < 1 || parseInt(verse, 10) < 1) {
+        return sendError(res, 400, `Invalid chapter or verse '${bible_chapter}:${verse}'. Expected positive numbers.`);
+    }
+    const book = bible_book.toUpperCase();
+    const chapter = parseInt(bible_chapter, 10);
+    const verseNumber = parseInt(verse, 10);
+
+    const version = await resolveBibleVersion(bible_usfm, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for crossrefs ${lang || '-'}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    log.info(`Cross-reference request received for ${version.lang}/${version.abbreviation} ${book} ${chapter}:${verseNumber}`);
+
+    // Chapters are loaded once per request, through the regular (cached) chapter pipeline
+    const chapterLoads = new Map();
+    const loadChapter = (usfmBook, number) => {
+        const key = `${usfmBook}.${number}`;
+        if (!chapterLoads.has(key)) {
+            chapterLoads.set(key, getChapter(version, usfmBook, String(number)).then(json => json.data, () => null));
+        }
+        return chapterLoads.get(key);
+    };
+
+    let chapterData;
+    try {
+        chapterData = (await getChapter(version, book, String(chapter))).data;
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+    if (!Array.isArray(chapterData?.content)) {
+        return sendError(res, 500, 'Chapter content could not be parsed.', chapterData?.content, 'unparsed_chapter');
+    }
+    chapterLoads.set(`${book}.${chapter}`, Promise.resolve(chapterData));
+
+    const selection = selectVerses(chapterData.content, [{ start: verseNumber, end: verseNumber }]);
+    if (selection.outOfRange.length > 0) {
+        return sendError(res, 404, `Verse ${verseNumber} not found in ${chapterData.title || `${book} ${chapter}`}.`, { last_verse: selection.lastVerse }, 'verse_out_of_range');
+    }
+
+    // Text of a single-book reference, read from its chapters' flattened content
+    let inlined = 0;
+    const loadText = async usfm => {
+        const range = parseUsfmRange(usfm);
+        if (!range || range.end.chapter - range.start.chapter >= CROSSREF_MAX_TEXT_CHAPTERS || inlined >= CROSSREF_MAX_INLINE) {
+            return null;
+        }
+        inlined++;
+        const texts = [];
+        for (let number = range.start.chapter; number <= range.end.chapter; number++) {
+            const content = (await loadChapter(range.book, number))?.content;
+            if (!Array.isArray(content)) return null;
+            const from = number === range.start.chapter && range.start.verse !== null ? range.start.verse : 1;
+            const to = number === range.end.chapter && range.end.verse !== null ? range.end.verse : Infinity;
+            content.forEach(item => {
+                if (getVerseNumbers(item).some(n => n >= from && n <= to)) texts.push(item.text);
             });
+        }
+        return texts.join(' ');
+    };
 
-            // Check if the response has data
-            if (response.data) {
-                console.log(`Successfully fetched versions for language: ${langParam}`);
-
-                // Save to S3 cache for future requests
-                try {
-                    const tempFilePath = path.join(os.tmpdir(), `${uuidv4()}.json`);
-                    await fs.writeFile(tempFilePath, JSON.stringify({data: response.data.response.data}));
-                    await uploadToS3(s3Key, tempFilePath, 'application/json');
-                    console.log(`Successfully cached versions in S3 with key: ${s3Key}`);
-                } catch (s3Error) {
-                    console.error('Error saving to S3 cache:', s3Error.message);
-                    // Continue with response even if S3 save fails
-                }
+    const verseItems = selection.content.filter(item => item.type !== 'heading' && item.type !== 'reference');
+    const notes = verseItems.flatMap(item => (item.notes || []).map(note => ({ note, usfm: item.usfm })));
+    const outgoing = notes.filter(({ note }) => note.type === 'x').map(({ note, usfm }) => ({
+        label: note.label,
+        origin: note.origin || null,
+        body: note.body,
+        targets: getNoteTargets(note, usfm).map(target => ({ usfm: target }))
+    }));
+    const footnotes = notes.filter(({ note }) => note.type !== 'x').map(({ note }) => note);
+
+    let incoming;
+    try {
+        incoming = await findIncomingReferences(version, book, chapter, verseNumber);
+    } catch (error) {
+        log.error(`Error reading the cross-reference graph for ${version.abbreviation}`, { error: error.message });
+        return sendError(res, 500, 'Failed to read the cross-reference graph.');
+    }
 
-                return res.json({data: response.data.response.data});
-            } else {
-                console.warn(`Received empty or unexpected data structure for versions language: ${langParam}`);
-                return res.status(404).json({ error: `No versions found for language tag: ${langParam}` });
+    if (inlineText) {
+        for (const reference of outgoing) {
+            for (const target of reference.targets) {
+                target.text = await loadText(target.usfm);
             }
-
-        } catch (error) {
-            console.error(`Failed to fetch versions for language ${langParam}: ${error.message}`);
-            const statusCode = error.response ? error.response.status : 500;
-            const errorMessage = `Failed to retrieve Bible versions for language ${langParam}. ${error.message}`;
-            return res.status(statusCode).json({ error: errorMessage });
         }
-    } else {
-        console.log(`Parameter '${langParam}' doesn't look like a valid language code. Sending 400.`);
-        return res.status(400).json({ error: `Invalid language parameter format: ${langParam}. Expected 2-letter ISO 639-1 or 3-letter ISO 639-3 code.` });
+        for (const reference of incoming.references) {
+            reference.text = await loadText(reference.source.split('+')[0]); // Combined verses read from their first verse
+        }
     }
+
+    return res.json({
+        data: {
+            version: version.abbreviation,
+            language: version.lang,
+            usfm: `${book}.${chapter}.${verseNumber}`,
+            text: verseItems.map(item => item.text).join(' '),
+            outgoing,
+            footnotes,
+            incoming: incoming.references,
+            indexed_chapters: incoming.indexed_chapters
+        }
+    });
 });
 
-// Route handler for fetching Bible chapter data using abbreviation
-router.get('/:bible_usfm/:bible_book/:bible_chapter', async (req, res) => {
-    const { lang, bible_usfm, bible_book, bible_chapter } = req.params;
+// Route handlers for a whole book or a range of its chapters (e.g., /RVR1960/RUT, /es/RVR1960/GEN/1-11).
+// The chapter bounds come from the version info; chapters are loaded CHAPTER_RANGE_CONCURRENCY at a time
+// through the regular (cached) chapter pipeline and returned in order, headings included. With
+// ?format=ndjson (or Accept: application/x-ndjson) they are streamed as one JSON line each instead of
+// being buffered. Registered before the verse and chapter routes, which have the same shapes: they only
+// apply when the book is a USFM code from the registry (so /es/RVR1960 still reaches the version info).
+const CHAPTER_RANGE_CONCURRENCY = getConfig().chapters.rangeConcurrency;
+const NDJSON_TYPE = 'application/x-ndjson';
+
+function knownBook(req, res, next) {
+    return getBook(req.params.bible_book) ? next() : next('route');
+}
 
-    // Look up the bible_id from the abbreviation
-    const bible_id = bibleVersionMap[bible_usfm];
+// Writes one NDJSON line, waiting for the client to catch up when the socket buffer is full
+function writeLine(res, value) {
+    return new Promise(resolve => {
+        if (res.write(`${JSON.stringify(value)}\n`)) {
+            return resolve();
+        }
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
 
-    if (!bible_id) {
-        console.log(`Bible abbreviation not found: ${bible_usfm}`);
-        return res.status(404).json({ error: `Bible version abbreviation '${bible_usfm}' not found.` });
+// Streams the book header (after the first chapter, which carries the copyright), one line per chapter
+// and an end line. Errors after the first line can only be reported in the stream, as an error line.
+async function streamBookChapters(res, summary, chapters) {
+    let written = 0;
+    try {
+        for await (const chapterData of chapters) {
+            if (res.destroyed) {
+                return; // The client went away
+            }
+            if (written === 0) {
+                res.status(200).set('Content-Type', `${NDJSON_TYPE}; charset=utf-8`);
+                await writeLine(res, { type: 'book', ...summary, direction: chapterData.direction, publisher: chapterData.publisher, copyright: chapterData.copyright });
+            }
+            await writeLine(res, { type: 'chapter', chapter: summary.from + written, title: chapterData.title, usfm: chapterData.usfm, content: chapterData.content });
+            written++;
+        }
+    } catch (error) {
+        if (written === 0) {
+            return sendHttpError(res, error);
+        }
+        log.warn(`Chapter stream for ${summary.version}/${summary.book} failed after ${written} chapter(s)`, { error: error.message });
+        const status = error.status || 500;
+        await writeLine(res, { type: 'error', chapter: summary.from + written, ...errorBody(status, error.message, error.details, error.status ? error.code : undefined, res.req.id) });
+        return res.end();
     }
+    await writeLine(res, { type: 'end', chapters: written });
+    return res.end();
+}
 
-    const bible_id_json = `${bible_id}.json`; // Construct the JSON filename using the found ID
+async function sendBookChapters(req, res) {
+    const { lang, bible_usfm, bible_book, from, to } = req.params;
 
-    console.log(`Request received for: ${bible_usfm} (ID: ${bible_id})/${bible_book}/${bible_chapter}`);
+    res.vary('Accept');
+    const stream = req.query.format === 'ndjson' || (req.query.format === undefined && req.accepts(['application/json', NDJSON_TYPE]) === NDJSON_TYPE);
+    let format = 'ndjson';
+    if (!stream) {
+        const negotiated = negotiateFormat(req);
+        if (negotiated.error) {
+            return sendError(res, 400, `${negotiated.error.replace(/\.$/, '')} or ndjson.`);
+        }
+        format = negotiated.format;
+    }
 
-    // First try to get from S3 cache
-    const s3Key = `text/${bible_usfm}/${bible_book.toUpperCase()}/${bible_chapter}.json`;
+    const version = await resolveBibleVersion(bible_usfm, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for ${lang || '-'}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    let range;
     try {
-        const exists = await checkJsonExists(s3Key);
-        if (exists) {
-            console.log(`Found cached JSON in S3 for key: ${s3Key}`);
-            const cachedData = await getJsonFromS3(s3Key);
-            return res.json(cachedData);
+        range = await getBookChapters(version, bible_book, from, to);
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+
+    const first = range.chapters[0];
+    const last = range.chapters[range.chapters.length - 1];
+    const wholeBook = from === undefined;
+    log.info(`Request received for ${wholeBook ? 'book' : 'chapter range'}: ${version.lang}/${version.abbreviation}/${range.book} ${first}-${last} (${format})`);
+
+    const summary = {
+        version: version.abbreviation,
+        language: version.lang,
+        book: range.book,
+        human: range.human,
+        title: wholeBook ? range.human : `${range.human} ${first === last ? first : `${first}-${last}`}`,
+        from: first,
+        to: last,
+        chapter_count: range.chapters.length
+    };
+    const chapters = mapInOrder(range.chapters, CHAPTER_RANGE_CONCURRENCY, async chapter => (await getChapter(version, range.book, String(chapter))).data);
+    if (stream) {
+        return streamBookChapters(res, summary, chapters);
+    }
+
+    const chapterList = [];
+    try {
+        for await (const chapterData of chapters) {
+            chapterList.push(chapterData);
         }
-    } catch (s3Error) {
-        console.error(`Error checking S3 cache for key ${s3Key}:`, s3Error.message);
-        // Continue with normal flow if S3 check fails
+    } catch (error) {
+        return sendHttpError(res, error);
     }
 
-    let attempt = 1;
-    while (attempt <= 2) { // Allow one initial attempt and one retry
-        try {
-            const buildId = await getBuildId(); // Get current or fetch new BUILD_ID
-            // Use the looked-up bible_id and ensure bible_book is uppercase in the API URL
-            const apiUrl = `https://www.bible.com/_next/data/${buildId}/es/bible/${bible_id}/${bible_book.toUpperCase()}.${bible_chapter}.${bible_usfm}.json?versionId=${bible_id}&usfm=${bible_book.toUpperCase()}.${bible_chapter}.${bible_usfm}`;
-            // const apiUrl = `https://www.bible.com/_next/data/${buildId}/${lang}/bible/${bible_id}/${bible_book.toUpperCase()}.${bible_chapter}.${bible_usfm}.json?versionId=${bible_id}&usfm=${bible_book.toUpperCase()}.${bible_chapter}.${bible_usfm}`; // Also updated commented line for consistency
-
-            console.log(`Attempt ${attempt}: Fetching data from ${apiUrl}`);
-            const bibleResponse = await axios.get(apiUrl, {
-                // Set a reasonable timeout
-                timeout: 10000 // 10 seconds
-            });
+    const firstChapterData = chapterList[0];
+    const data = {
+        ...summary,
+        direction: firstChapterData.direction,
+        publisher: firstChapterData.publisher,
+        copyright: firstChapterData.copyright,
+        chapters: chapterList.map((chapterData, index) => ({
+            chapter: first + index,
+            title: chapterData.title,
+            usfm: chapterData.usfm,
+            content: chapterData.content
+        }))
+    };
+    return sendFormatted(res, format, { data }, {
+        title: summary.title,
+        version: version.abbreviation,
+        language: firstChapterData.language || version.lang,
+        direction: firstChapterData.direction,
+        chapters: data.chapters,
+        copyright: firstChapterData.copyright,
+        publisher: firstChapterData.publisher
+    });
+}
 
-            // Check if the response looks valid (adjust based on actual API response structure)
-            if (bibleResponse.data && bibleResponse.data.pageProps) {
-                 // Extract essential data
-                 const pageProps = bibleResponse.data.pageProps;
-                 const rawHtmlContent = pageProps.chapterInfo?.content; // Get the raw HTML
-                 let parsedContent = null;
-                 if (rawHtmlContent) {
-                     try {
-                         // Parse the HTML content using the function defined below
-                         const fullParsedData = parseBibleHtmlToJson(rawHtmlContent);
-                         // Extract the relevant chapter content array
-                         parsedContent = fullParsedData?.book?.chapters?.[0]?.content;
-                     } catch (parseError) {
-                         console.error("Error parsing HTML content:", parseError);
-                         // Decide how to handle parsing errors, maybe return raw HTML or an error indicator
-                          parsedContent = { error: "Failed to parse HTML content", details: parseError.message };
-                      }
-                  }
-
-                  // Process parsedContent to flatten verses while keeping headings
-                  let finalContent = [];
-                  if (Array.isArray(parsedContent)) {
-                      parsedContent.forEach(item => {
-                          // Keep heading and reference (subheading) objects
-                          if (item.type === 'heading' || item.type === 'reference') {
-                              finalContent.push(item);
-                          } else if (item.verses && Array.isArray(item.verses)) {
-                              item.verses.forEach(verse => {
-                                  // Push an object containing number, usfm, and text for each verse
-                                   // Ensure number, usfm, or text exist, or if notes exist
-                                   if (verse.number !== null || verse.usfm || verse.text || (verse.notes && verse.notes.length > 0)) {
-                                       finalContent.push({
-                                           number: verse.number,
-                                           usfm: verse.usfm,
-                                           text: verse.text || "", // Ensure text is at least an empty string
-                                           notes: verse.notes || [] // Include notes array, default to empty
-                                       });
-                                   }
-                               });
-                           }
-                          // Ignore items that are neither headings nor contain verses (or handle other types if needed)
-                      });
-                  } else if (parsedContent && parsedContent.error) {
-                      // If parsing failed, pass the error object through
-                      finalContent = parsedContent;
-                  }
-                  // If parsedContent is null or not an array/error object, finalContent remains empty []
-
-                  const simplifiedResponse = {
-                    title: pageProps.chapterInfo?.reference.human,
-                    usfm: pageProps.usfm,
-                    locale: pageProps.locale,
-                    content: finalContent, // Use the processed content
-                    previous_chapter: pageProps.chapterInfo?.previous,
-                    next_chapter: pageProps.chapterInfo?.next,
-                    language: pageProps.versionData?.language?.iso_639_1,
-                    direction: pageProps.versionData?.language?.text_direction,
-                    publisher: pageProps.versionData?.publisher?.name,
-                    copyright: pageProps.chapterInfo?.copyright.text,
-                    notes: [{
-                      text: pageProps.versionData?.reader_footer?.text,
-                      url: pageProps.versionData?.reader_footer_url
-                    }]
-                  };
-
-                 console.log(`Attempt ${attempt}: Successfully fetched and processed data.`);
-                 
-                 // Save to S3 cache for future requests
-                 try {
-                     const s3Key = `text/${bible_usfm}/${bible_book.toUpperCase()}/${bible_chapter}.json`;
-                     const tempFilePath = path.join(os.tmpdir(), `${uuidv4()}.json`);
-                     await fs.writeFile(tempFilePath, JSON.stringify({data: simplifiedResponse}));
-                     await uploadToS3(s3Key, tempFilePath, 'application/json');
-                     console.log(`Successfully cached response in S3 with key: ${s3Key}`);
-                 } catch (s3Error) {
-                     console.error('Error saving to S3 cache:', s3Error.message);
-                     // Continue with response even if S3 save fails
-                 }
-                 
-                 return res.json({data: simplifiedResponse}); // Send the simplified response
-            } else {
-                 // If response is OK but data is unexpected, treat as an error for retry
-                 console.warn(`Attempt ${attempt}: Received unexpected data structure.`);
-                 throw new Error('Unexpected data structure received from Bible API.');
-            }
+router.get(['/:lang/:bible_usfm/:bible_book/:from-:to', '/:bible_usfm/:bible_book/:from-:to'], knownBook, validateRequest('getChapterRange'), sendBookChapters);
+router.get(['/:lang/:bible_usfm/:bible_book', '/:bible_usfm/:bible_book'], knownBook, validateRequest('getBook'), sendBookChapters);
 
-        } catch (error) {
-            console.error(`Attempt ${attempt} failed: ${error.message}`);
-            // Check if it's likely a BUILD_ID issue (e.g., 404 Not Found) or a network issue
-            // Axios errors have a 'response' property for HTTP errors
-            const isBuildIdError = error.response && error.response.status === 404;
-
-            if (attempt === 1 && isBuildIdError) {
-                console.log('Potential BUILD_ID mismatch. Forcing refresh and retrying...');
-                try {
-                    // Force refresh of BUILD_ID
-                    currentBuildId = await fetchBuildId();
-                    // Increment attempt counter and loop will retry
-                } catch (refreshError) {
-                    console.error('Failed to refresh BUILD_ID:', refreshError.message);
-                    // If refreshing fails, don't retry, send error immediately
-                    return res.status(500).json({ error: 'Failed to retrieve data after BUILD_ID refresh failed.' });
-                }
-            } else {
-                // If it's the second attempt or not a BUILD_ID error, send error response
-                const statusCode = error.response ? error.response.status : 500;
-                const errorMessage = `Failed to retrieve Bible data. Attempt ${attempt}. ${error.message}`;
-                return res.status(statusCode).json({ error: errorMessage });
+// Route handler for fetching single verses or verse ranges (e.g., "16", "16-18", "1-3,7,9-11")
+// Registered before the chapter route: '/:bible_usfm/:bible_book/:bible_chapter/:verses' has the
+// same shape as the language-prefixed chapter route, so it only applies when the chapter is numeric.
+function numericChapter(req, res, next) {
+    return /^\d+$/.test(req.params.bible_chapter) ? next() : next('route'); // Not a verse request (e.g., /es/RVR1960/GEN/1)
+}
+
+router.get(['/:lang/:bible_usfm/:bible_book/:bible_chapter/:verses', '/:bible_usfm/:bible_book/:bible_chapter/:verses'], numericChapter, validateRequest('getVerses'), async (req, res) => {
+    const { lang, bible_usfm, bible_book, bible_chapter, verses } = req.params;
+
+    const { format, error: formatError } = negotiateFormat(req);
+    if (formatError) {
+        return sendError(res, 400, formatError);
+    }
+
+    const ranges = parseVerseSpec(verses);
+    if (!ranges) {
+        return sendError(res, 400, `Invalid verse specification: '${verses}'. Use e.g. '16', '16-18' or '1-3,7,9-11'.`);
+    }
+
+    const version = await resolveBibleVersion(bible_usfm, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for ${lang || '-'}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    const verseSpec = formatVerseSpec(ranges);
+    log.info(`Request received for verses: ${version.lang}/${version.abbreviation}/${bible_book}/${bible_chapter}:${verseSpec}`);
+
+    let chapterJson;
+    try {
+        chapterJson = await getChapter(version, bible_book, bible_chapter);
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+
+    const chapterData = chapterJson.data;
+    if (!Array.isArray(chapterData?.content)) {
+        return sendError(res, 500, 'Chapter content could not be parsed.', chapterData?.content, 'unparsed_chapter');
+    }
+
+    const selection = selectVerses(chapterData.content, ranges);
+    if (selection.outOfRange.length > 0) {
+        return sendError(res, 404, `Verse ${selection.outOfRange[0]} not found in ${chapterData.title || `${bible_book.toUpperCase()} ${bible_chapter}`}.`, {
+            requested: verseSpec,
+            last_verse: selection.lastVerse,
+            out_of_range: selection.outOfRange
+        }, 'verse_out_of_range');
+    }
+
+    const { blocks, ...chapterFields } = chapterData; // The block tree is only served with the chapter's structured layout
+    const verseData = {
+        ...chapterFields,
+        title: chapterData.title ? `${chapterData.title}:${verseSpec}` : chapterData.title,
+        verses: verseSpec,
+        content: selection.content
+    };
+    return sendFormatted(res, format, { data: verseData }, chapterDocument(version, verseData));
+});
+
+// Route handler for fetching Bible chapter data using abbreviation
+// The language-prefixed form is canonical; the unprefixed form is kept as an alias and
+// uses the version's own language.
+const CHAPTER_LAYOUTS = ['flat', 'structured'];
+
+router.get(['/:lang/:bible_usfm/:bible_book/:bible_chapter', '/:bible_usfm/:bible_book/:bible_chapter'], validateRequest('getChapter'), async (req, res) => {
+    const { lang, bible_usfm, bible_book, bible_chapter } = req.params;
+
+    // Output format from ?format= or the Accept header (json, text, markdown, html, usfm, osis)
+    const { format, error: formatError } = negotiateFormat(req);
+    if (formatError) {
+        return sendError(res, 400, formatError);
+    }
+
+    // ?layout=structured returns the block tree (paragraphs, poetry lines, titles) instead of the flat verse list
+    const layout = req.query.layout || 'flat';
+    if (!CHAPTER_LAYOUTS.includes(layout)) {
+        return sendError(res, 400, `Invalid layout '${layout}'. Use one of: ${CHAPTER_LAYOUTS.join(', ')}.`);
+    }
+    if (layout === 'structured' && format !== 'json') {
+        return sendError(res, 400, 'layout=structured is only available as JSON.');
+    }
+
+    // Look up the bible_id from the abbreviation, checking it against the requested language
+    const version = await resolveBibleVersion(bible_usfm, lang);
+
+    if (version.error) {
+        log.info(`Bible version lookup failed for ${lang || '-'}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    log.info(`Request received for: ${version.lang}/${version.abbreviation} (ID: ${version.id})/${bible_book}/${bible_chapter}`);
+
+    try {
+        const chapterJson = await getChapter(version, bible_book, bible_chapter, { structured: layout === 'structured' });
+        if (format !== 'json' && !Array.isArray(chapterJson.data?.content)) {
+            return sendError(res, 500, 'Chapter content could not be parsed.', chapterJson.data?.content, 'unparsed_chapter');
+        }
+        const { blocks, ...data } = chapterJson.data || {};
+        if (layout === 'structured') {
+            if (!Array.isArray(blocks)) {
+                return sendError(res, 500, 'Chapter content could not be parsed.', data.content, 'unparsed_chapter');
             }
+            // The block tree replaces the flattened content
+            const { content, ...meta } = data;
+            return res.json({ data: { ...meta, layout: 'structured', blocks } });
         }
-        attempt++; // Increment attempt counter for the loop
+        return sendFormatted(res, format, { data }, chapterJson.data && chapterDocument(version, data));
+    } catch (error) {
+        return sendHttpError(res, error);
     }
 });
 
-// --- New POST Audio Bible Endpoint ---
-router.post('/audio', async (req, res) => {
-    // Extract data from JSON body - Removed 'text', added bible_lang
-    const {
-        // text,            // REMOVED: Text will be fetched internally
-        bible_usfm, // Bible version abbreviation (e.g., "NVI-S")
-        bible_book,         // Book code (e.g., "GEN")
-        bible_chapter,      // Chapter number (e.g., "1")
-        bible_lang          // NEW: Language identifier (e.g., "es")
-    } = req.body;
+// Route handler for resolving free-text references (e.g., /passage?ref=Juan 3:16-18; Gn 1&version=RVR1960)
+// Must be registered before '/:bible_usfm' so "passage" is not taken as a version abbreviation.
+// PASSAGE_MAX_CHAPTERS and PASSAGE_MAX_VERSES cap one request (413 beyond them).
+const PASSAGE_MAX_CHAPTERS = getConfig().passage.maxChapters;
+const PASSAGE_MAX_VERSES = getConfig().passage.maxVerses;
 
-    // Basic Input Validation - Removed 'text' check, added bible_lang check
-    if (!bible_usfm || !bible_book || !bible_chapter || !bible_lang) {
-        return res.status(400).json({ error: "Missing required fields: 'bible_usfm', 'bible_book', 'bible_chapter', and 'bible_lang' are required in the JSON body." });
+router.get('/passage', validateRequest('getPassage'), async (req, res) => {
+    const { ref, version: versionParam, lang } = req.query;
+
+    if (!ref || !versionParam) {
+        return sendError(res, 400, "Missing required query parameters: 'ref' and 'version' are required.");
     }
 
-    // Determine language_code and voice_name based on bible_lang
-    let language_code;
-    let voice_name;
+    const { format, error: formatError } = negotiateFormat(req);
+    if (formatError) {
+        return sendError(res, 400, formatError);
+    }
 
-    if (bible_lang.toLowerCase() === 'es') {
-        language_code = "es-ES";
-        voice_name = "Linda";
-        console.log(`Language set to Spanish (es-ES) with voice 'Linda' based on bible_lang='es'.`);
-    } else {
-        // Handle unsupported languages - Returning error for now
-        console.warn(`Unsupported bible_lang received: ${bible_lang}. Only 'es' is currently supported.`);
-        return res.status(400).json({ error: `Unsupported language specified: '${bible_lang}'. Currently, only 'es' is supported.` });
-        // Alternative: Set defaults or add more 'else if' blocks for other languages here
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for passage ${lang || '-'}/${versionParam}: ${version.error}`);
+        return sendVersionError(res, version);
     }
 
-    // Normalize inputs for consistency (remains the same)
-    const normAbbr = bible_usfm;
-    const normBook = bible_book.toUpperCase();
-    const normChapter = bible_chapter.toString();
+    log.info(`Request received for passage: '${ref}' in ${version.lang}/${version.abbreviation}`);
 
-    // Construct a reference string for logging and S3 key generation (remains the same)
-    const bible_reference_log = `${normAbbr}/${normBook}/${normChapter}`;
-    const s3Key = `audio/${normAbbr}/${normBook}/${normChapter}.mp3`; // S3 key format without lang
+    // Localized book names come from the version info; fall back to the alias table if it is unavailable
+    let books = [];
+    try {
+        const versionJson = await getVersionInfo(version);
+        books = versionJson?.data?.books || [];
+    } catch (error) {
+        log.error(`Could not load book names for ${version.abbreviation}, using aliases only`, { error: error.message });
+    }
+
+    const parsed = parseReference(ref, books);
+    if (parsed.error) {
+        return sendError(res, 400, parsed.error, parsed.details, 'invalid_reference');
+    }
 
-    console.log(`POST /audio-bible request received for: ${bible_reference_log} with lang: ${bible_lang}`);
+    const tooManyChapters = chapters => sendError(res, 413, `The reference spans ${chapters} chapters (at most ${PASSAGE_MAX_CHAPTERS} per request).`, {
+        chapters,
+        max_chapters: PASSAGE_MAX_CHAPTERS
+    }, 'too_many_chapters');
+
+    // Chapter numbers are not bounded by the parser ("Gn 1-999999999"), so each span is checked
+    // before any per-chapter list is built
+    const widestSpan = Math.max(...parsed.passages.map(passage => passage.end.chapter - passage.start.chapter + 1));
+    if (widestSpan > PASSAGE_MAX_CHAPTERS) {
+        return tooManyChapters(widestSpan);
+    }
 
-    const tempDir = os.tmpdir();
-    let tempAudioFiles = []; // Keep track of temporary files created
+    // Every chapter the passages touch, loaded once each, CHAPTER_RANGE_CONCURRENCY at a time
+    const chapterKeys = [...new Set(parsed.passages.flatMap(passage =>
+        Array.from({ length: passage.end.chapter - passage.start.chapter + 1 }, (_, index) => `${passage.book}.${passage.start.chapter + index}`)
+    ))];
+    if (chapterKeys.length > PASSAGE_MAX_CHAPTERS) {
+        return tooManyChapters(chapterKeys.length);
+    }
 
+    const chapterData = new Map();
     try {
-        // 1. Check if audio exists in S3
-        const s3Key = `audio/${normAbbr}/${normBook}/${normChapter}.mp3`;
-        const exists = await checkJsonExists(s3Key);
-        if (exists) {
-            console.log(`Found cached audio in S3 for key: ${s3Key}`);
-            const s3Url = `https://s3.redmasiva.ai/file/data-biblia-chat/${s3Key}`;
-            return res.json({ audio_url: s3Url });
-        }
-        console.log(`Audio not found in S3 for ${bible_reference_log}. Proceeding to generate.`);
-
-        // 2. Fetch Text Internally
-            let fetchedText = '';
-            try {
-                const textApiUrl = `http://localhost:1020/api/${bible_usfm}/${bible_book}/${bible_chapter}`; // Corrected API path
-                console.log(`Fetching text from internal API: ${textApiUrl}`);
-                const textResponse = await axios.get(textApiUrl, { timeout: 5000 }); // 5 second timeout
-
-            if (textResponse.data && textResponse.data.data.title && Array.isArray(textResponse.data.data.content)) {
-                const title = textResponse.data.data.title;
-                const content = textResponse.data.data.content;
-                let textParts = [];
-
-                // Add formatted title
-                if (title) {
-                    textParts.push(`${title}:`);
-                }
+        const loaded = await mapWithConcurrency(chapterKeys, CHAPTER_RANGE_CONCURRENCY, async key => {
+            const [book, chapter] = key.split('.');
+            return (await getChapter(version, book, chapter)).data;
+        });
+        chapterKeys.forEach((key, index) => chapterData.set(key, loaded[index]));
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
 
-                // Find and add formatted first heading
-                const firstHeadingIndex = content.findIndex(item => item.type === 'heading');
-                let firstHeadingText = null;
-                if (firstHeadingIndex !== -1 && content[firstHeadingIndex].text) {
-                    firstHeadingText = content[firstHeadingIndex].text;
-                    textParts.push(`${firstHeadingText}...`);
+    const passages = [];
+    let copyright = null;
+    let firstChapterData = null; // Publisher and text direction for the rendered formats
+    let totalVerses = 0;
+    try {
+        for (const passage of parsed.passages) {
+            const chapters = [];
+            for (let chapter = passage.start.chapter; chapter <= passage.end.chapter; chapter++) {
+                const data = chapterData.get(`${passage.book}.${chapter}`);
+                copyright = copyright || data.copyright;
+                firstChapterData = firstChapterData || data;
+
+                if (!Array.isArray(data?.content)) {
+                    throw createHttpError(500, `Chapter content could not be parsed for ${passage.book} ${chapter}.`);
                 }
 
-                // Add remaining content text (excluding the first heading if found and excluding references)
-                content.forEach((item, index) => {
-                    // Add text if it exists, is not the first heading we already added, and is not a reference type
-                    if (item.text && index !== firstHeadingIndex && item.type !== 'reference') {
-                        textParts.push(item.text);
+                let content = data.content;
+                if (passage.start.verse !== null) {
+                    const from = chapter === passage.start.chapter ? passage.start.verse : 1;
+                    const openEnd = chapter !== passage.end.chapter;
+                    const to = openEnd ? Infinity : passage.end.verse;
+                    const selection = selectVerses(data.content, [{ start: from, end: to }]);
+                    if ((openEnd && from > selection.lastVerse) || (!openEnd && selection.outOfRange.length > 0)) {
+                        throw createHttpError(404, `Verse ${openEnd ? from : selection.outOfRange[0]} not found in ${data.title}.`, {
+                            passage: passage.human,
+                            last_verse: selection.lastVerse
+                        }, 'verse_out_of_range');
                     }
-                });
+                    content = selection.content;
+                }
 
-                fetchedText = textParts.join('\n'); // Join with newline
-                console.log("Formatted Text Content for Audio:\n", fetchedText); // Log the formatted text
-            } else {
-                throw new Error('Invalid or incomplete data received from internal text API (missing title or content array).');
+                totalVerses += new Set(content.flatMap(getVerseNumbers)).size;
+                if (totalVerses > PASSAGE_MAX_VERSES) {
+                    throw createHttpError(413, `The reference has more than ${PASSAGE_MAX_VERSES} verses (the limit per request).`, { max_verses: PASSAGE_MAX_VERSES }, 'too_many_verses');
+                }
+                chapters.push({ title: data.title, usfm: data.usfm, content });
             }
-        } catch (fetchError) {
-            console.error(`Error fetching text from internal API for ${bible_reference_log}:`, fetchError.message);
-            return res.status(500).json({ error: `Failed to fetch required text content: ${fetchError.message}` });
+            passages.push({ reference: passage.human, usfm: passage.usfm, chapters });
+        }
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+
+    const reference = parsed.passages.map(passage => passage.human).join('; ');
+    return sendFormatted(res, format, {
+        data: {
+            reference,
+            version: version.abbreviation,
+            language: version.lang,
+            passages,
+            copyright
         }
+    }, {
+        title: reference,
+        version: version.abbreviation,
+        language: version.lang,
+        direction: firstChapterData?.direction,
+        chapters: passages.flatMap(passage => passage.chapters),
+        copyright,
+        publisher: firstChapterData?.publisher
+    });
+});
+
+// Route handler for full-text search over the cached chapters of a version
+// (e.g., /search?q=amor "vida eterna"&version=RVR1960&testament=nt&page=1).
+// Must be registered before '/:bible_usfm' so "search" is not taken as a version abbreviation.
+router.get('/search', validateRequest('searchVersion'), async (req, res) => {
+    const { q, version: versionParam, lang, book, testament } = req.query;
+    const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+    const perPage = req.query.per_page === undefined ? 20 : parseInt(req.query.per_page, 10);
 
-        // 3. Split Fetched Text if Necessary
-        const textChunks = splitTextIntoChunks(fetchedText, SPEECHIFY_CHAR_LIMIT);
-        console.log(`Fetched text split into ${textChunks.length} chunk(s).`);
+    if (!q || !String(q).trim()) {
+        return sendError(res, 400, "Query parameter 'q' is required.");
+    }
+    if (!versionParam) {
+        return sendError(res, 400, "Query parameter 'version' is required (e.g., version=RVR1960).");
+    }
+    if (testament !== undefined && testament !== 'ot' && testament !== 'nt') {
+        return sendError(res, 400, `Invalid testament '${testament}'. Expected 'ot' or 'nt'.`);
+    }
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(perPage) || perPage < 1 || perPage > 100) {
+        return sendError(res, 400, "Invalid pagination. 'page' must be 1 or more and 'per_page' between 1 and 100.");
+    }
+
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for search ${lang || '-'}/${versionParam}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
 
-        // 4. Generate Audio for Each Chunk
-        const speechifyPromises = textChunks.map(chunk =>
-            generateAudioSpeechify(chunk, voice_name, language_code, "mp3")
-        );
-        const speechifyResults = await Promise.all(speechifyPromises);
+    log.info(`Search request received for ${version.lang}/${version.abbreviation}: ${q}`);
 
-        // 4. Save Audio Chunks from Base64
-        const savePromises = speechifyResults.map(result => {
-            if (!result || !result.audioStream) {
-                 throw new Error("Invalid response received from Speechify API (missing audioStream).");
+    try {
+        const books = book ? String(book).split(',').map(code => code.trim().toUpperCase()).filter(Boolean) : null;
+        const results = await searchVersion(version, String(q), { books, testament, page, perPage });
+        return res.json({
+            data: {
+                query: String(q),
+                version: version.abbreviation,
+                language: version.lang,
+                ...results
             }
-            // Call the function to decode Base64 and save the file
-            return saveAudioChunkFromBase64(result.audioStream, tempDir);
         });
-        tempAudioFiles = await Promise.all(savePromises); // Get paths to saved temp files
+    } catch (error) {
+        log.error(`Error searching ${version.abbreviation}`, { error: error.message });
+        return sendError(res, 500, `Search failed: ${error.message}`);
+    }
+});
 
-        // 5. Concatenate Audio Files (if more than one chunk)
-        let finalAudioPath;
-        if (tempAudioFiles.length === 1) {
-            finalAudioPath = tempAudioFiles[0];
-            console.log("Single audio chunk, no concatenation needed.");
-        } else {
-            // Use a unique name for the concatenated file in temp dir (without lang)
-            const concatenatedPath = path.join(tempDir, `final_${normAbbr}_${normBook}_${normChapter}.mp3`);
-            finalAudioPath = await concatenateAudioFiles(tempAudioFiles, concatenatedPath);
-            // tempAudioFiles are deleted by concatenateAudioFiles on success/error
-            tempAudioFiles = [finalAudioPath]; // Track only the final concatenated file
-        }
+// Route handler resolving many references in one call (e.g., every passage an agent cites in one turn):
+// POST /batch with { items: [{ version, lang?, book, chapter, verses? }] }. Versions are resolved and
+// chapters loaded once however many items share them, CHAPTER_RANGE_CONCURRENCY at a time through the
+// chapter pipeline. Each item gets its own result or error, so one bad item does not fail the batch.
+// BATCH_MAX_ITEMS caps the items; BATCH_MAX_VERSES caps the verses returned, counted in item order
+// (items past the limit get a `verse_limit_exceeded` error).
+const BATCH_MAX_ITEMS = getConfig().batch.maxItems;
+const BATCH_MAX_VERSES = getConfig().batch.maxVerses;
+
+// A failed item: its status and the error envelope fields
+function batchItemError(index, error) {
+    const status = error.status || 500;
+    if (!error.status) {
+        log.error(`Batch item ${index} failed`, { error: error.message });
+    }
+    return { index, status, ...errorBody(status, error.message, error.details, error.status ? error.code : undefined) };
+}
 
-        // 6. Upload Final Audio to S3
-        const s3Url = await uploadToS3(s3Key, finalAudioPath, 'audio/mpeg');
-        // finalAudioPath is deleted by uploadToS3 on success/error
+router.post('/batch', validateRequest('batchReferences'), async (req, res) => {
+    const { items } = req.body;
+    if (items.length > BATCH_MAX_ITEMS) {
+        return sendError(res, 413, `Too many items: ${items.length} (at most ${BATCH_MAX_ITEMS} per batch).`, { items: items.length, max_items: BATCH_MAX_ITEMS }, 'batch_too_large');
+    }
 
-        // 7. Log the audio generation (removed database insertion)
-        console.log(`Audio generated for ${bible_reference_log}: ${s3Url}`);
+    // Versions shared by several items are resolved once
+    const versionLookups = new Map();
+    const lookupVersion = item => {
+        const key = `${String(item.lang || '').toLowerCase()}/${item.version.toLowerCase()}`;
+        if (!versionLookups.has(key)) {
+            versionLookups.set(key, resolveVersion(item.version, item.lang));
+        }
+        return versionLookups.get(key);
+    };
 
-        // 8. Return S3 URL
-        return res.json({ audio_url: s3Url });
+    // Check every item before loading anything: version, book, chapter and verse specification
+    const plans = await Promise.all(items.map(async (item, index) => {
+        try {
+            const ranges = item.verses === undefined ? null : parseVerseSpec(String(item.verses));
+            if (item.verses !== undefined && !ranges) {
+                throw createHttpError(400, `Invalid verse specification: '${item.verses}'. Use e.g. '16', '16-18' or '1-3,7,9-11'.`, undefined, 'invalid_verses');
+            }
+            const version = await lookupVersion(item);
+            const { book, chapter } = await validateChapter(version, item.book, String(item.chapter));
+            return { index, version, book, chapter, ranges, key: `${version.id}/${book}/${chapter}` };
+        } catch (error) {
+            return { index, error };
+        }
+    }));
 
-    } catch (error) {
-        console.error(`Error processing POST /audio-bible request for ${bible_reference_log}:`, error);
-        // Ensure temporary files are cleaned up on error
-        if (tempAudioFiles.length > 0) {
-            console.error(`Cleaning up ${tempAudioFiles.length} temporary audio file(s) due to error...`);
-            await Promise.all(tempAudioFiles.map(filePath =>
-                fs.unlink(filePath).catch(e => console.error(`Failed to delete temp file ${filePath}: ${e.message}`))
-            ));
+    // Chapters shared by several items are loaded once
+    const uniquePlans = [...new Map(plans.filter(plan => !plan.error).map(plan => [plan.key, plan])).values()];
+    log.info(`Batch request received: ${items.length} item(s), ${uniquePlans.length} chapter(s)`);
+    const loaded = await mapWithConcurrency(uniquePlans, CHAPTER_RANGE_CONCURRENCY, async plan => {
+        try {
+            return { data: (await getChapter(plan.version, plan.book, String(plan.chapter))).data };
+        } catch (error) {
+            return { error };
         }
-        return res.status(500).json({ error: `Failed to generate audio: ${error.message}` });
-    } finally {
-    }
+    });
+    const chapters = new Map(uniquePlans.map((plan, index) => [plan.key, loaded[index]]));
+
+    let totalVerses = 0;
+    const results = plans.map(plan => {
+        const chapter = plan.error ? plan : chapters.get(plan.key);
+        if (chapter.error) {
+            return batchItemError(plan.index, chapter.error);
+        }
+        const chapterData = chapter.data;
+
+        let content = chapterData.content;
+        let verseSpec = null;
+        if (plan.ranges) {
+            verseSpec = formatVerseSpec(plan.ranges);
+            const selection = selectVerses(chapterData.content, plan.ranges);
+            if (selection.outOfRange.length > 0) {
+                return batchItemError(plan.index, createHttpError(404, `Verse ${selection.outOfRange[0]} not found in ${chapterData.title}.`, {
+                    requested: verseSpec,
+                    last_verse: selection.lastVerse,
+                    out_of_range: selection.outOfRange
+                }, 'verse_out_of_range'));
+            }
+            content = selection.content;
+        }
+
+        const verseCount = new Set(content.flatMap(getVerseNumbers)).size;
+        if (totalVerses + verseCount > BATCH_MAX_VERSES) {
+            return batchItemError(plan.index, createHttpError(413, `Verse limit reached: this item has ${verseCount} verse(s) and ${BATCH_MAX_VERSES - totalVerses} of the batch's ${BATCH_MAX_VERSES} remain.`, {
+                verses: verseCount,
+                remaining: BATCH_MAX_VERSES - totalVerses,
+                max_verses: BATCH_MAX_VERSES
+            }, 'verse_limit_exceeded'));
+        }
+        totalVerses += verseCount;
+
+        return {
+            index: plan.index,
+            status: 200,
+            data: {
+                version: plan.version.abbreviation,
+                language: plan.version.lang,
+                book: plan.book,
+                chapter: plan.chapter,
+                verses: verseSpec,
+                title: verseSpec && chapterData.title ? `${chapterData.title}:${verseSpec}` : chapterData.title,
+                usfm: chapterData.usfm,
+                content,
+                copyright: chapterData.copyright
+            }
+        };
+    });
+
+    const succeeded = results.filter(result => result.status === 200).length;
+    return res.json({
+        data: {
+            items: results,
+            summary: {
+                items: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                chapters: uniquePlans.length,
+                verses: totalVerses,
+                max_verses: BATCH_MAX_VERSES
+            }
+        }
+    });
 });
 
-// Route handler for fetching Bible version data using abbreviation
-router.get('/:bible_usfm', async (req, res) => {
-    const { lang, bible_usfm } = req.params;
+// --- New POST Audio Bible Endpoint ---
+router.post('/audio', validateRequest('createAudio'), async (req, res) => {
+    // Extract data from JSON body - Removed 'text', added bible_lang
+    const {
+        // text,            // REMOVED: Text will be fetched internally
+        bible_usfm, // Bible version abbreviation (e.g., "NVI-S")
+        bible_book,         // Book code (e.g., "GEN")
+        bible_chapter,      // Chapter number (e.g., "1")
+        bible_lang,         // NEW: Language identifier (e.g., "es")
+        tts_provider,       // Optional TTS provider (e.g., "speechify", "espeak"); defaults to TTS_PROVIDER
+        voice               // Optional voice for the provider (e.g., "Dalia"); defaults to TTS_VOICE or the provider default
+    } = req.body;
 
-    // Look up the bible_id from the abbreviation
-    const bible_id = bibleVersionMap[bible_usfm];
+    // Basic Input Validation - Removed 'text' check, added bible_lang check
+    if (!bible_usfm || !bible_book || !bible_chapter || !bible_lang) {
+        return sendError(res, 400, "Missing required fields: 'bible_usfm', 'bible_book', 'bible_chapter', and 'bible_lang' are required in the JSON body.");
+    }
 
-    if (!bible_id) {
-        console.log(`Bible abbreviation not found for version info: ${bible_usfm}`);
-        return res.status(404).json({ error: `Bible version abbreviation '${bible_usfm}' not found.` });
+    // Resolve the version through the catalog so any known version (in the requested language) is accepted
+    const version = await resolveBibleVersion(bible_usfm, bible_lang);
+    if (version.error) {
+        log.info(`Bible version lookup failed for audio ${bible_lang}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
     }
 
-    const bible_id_json = `${bible_id}.json`; // Construct the JSON filename using the found ID
+    // Pick the TTS provider and the voice for the version's language (request body overrides the defaults)
+    const tts = selectTts(tts_provider, voice, version.lang);
+    if (tts.error) {
+        log.warn(`TTS selection failed for audio in '${version.lang}': ${tts.error}`);
+        return sendError(res, 400, tts.error);
+    }
+    const { provider, voiceInfo } = tts;
 
-    console.log(`Request received for version info: ${lang}/${bible_usfm} (ID: ${bible_id})`);
+    // Check the book and chapter against the registry before anything is queued
+    let chapter;
+    try {
+        ({ chapter } = await validateChapter(version, bible_book, bible_chapter));
+    } catch (error) {
+        log.info(`Invalid chapter for audio ${version.abbreviation}/${bible_book}/${bible_chapter}: ${error.message}`);
+        return sendHttpError(res, error);
+    }
+    log.info(`Using TTS provider '${provider.name}' with voice '${voiceInfo.voice}' (${voiceInfo.languageCode}) for language '${version.lang}'.`);
+
+    // Normalize inputs for consistency (abbreviation uses the catalog's casing)
+    const normAbbr = version.abbreviation;
+    const normBook = bible_book.toUpperCase();
+    const normChapter = String(chapter); // "01" and "1" share one audio key
+
+    // Construct a reference string for logging and storage key generation (remains the same)
+    const bible_reference_log = `${normAbbr}/${normBook}/${normChapter}`;
+    const { cacheKey, metadataKey, timingKey, legacyCacheKey } = getAudioKeys({
+        lang: version.lang,
+        abbreviation: normAbbr,
+        book: normBook,
+        chapter: normChapter,
+        provider: provider.name,
+        voice: voiceInfo.voice
+    });
+
+    log.info(`POST /audio-bible request received for: ${bible_reference_log} with lang: ${bible_lang}`);
 
-    // First try to get from S3 cache
-    const s3Key = `versions/${lang}/${bible_usfm}.json`; // Guardamos en la ruta correcta con el idioma
     try {
-        const exists = await checkJsonExists(s3Key);
+        // 1. Check if audio exists in storage
+        const exists = await objectExists(cacheKey);
         if (exists) {
-            console.log(`Found cached version info in S3 for key: ${s3Key}`);
-            const cachedData = await getJsonFromS3(s3Key);
-            return res.json(cachedData);
+            log.info(`Found cached audio in storage for key: ${cacheKey}`);
+            // Audio generated before verse timing was tracked has no timing sidecar
+            const timing = await getCachedJson(timingKey);
+            return res.json({
+                status: 'done',
+                audio_url: getPublicUrl(cacheKey),
+                timing_url: timing ? getPublicUrl(timingKey) : null,
+                timing,
+                language: version.lang,
+                provider: provider.name,
+                voice: voiceInfo.voice
+            });
+        }
+        if (legacyCacheKey && await objectExists(legacyCacheKey)) {
+            log.info(`Found legacy cached audio in storage for key: ${legacyCacheKey}`);
+            return res.json({ status: 'done', audio_url: getPublicUrl(legacyCacheKey), timing_url: null, timing: null, language: version.lang, provider: provider.name, voice: voiceInfo.voice });
         }
-    } catch (s3Error) {
-        console.error(`Error checking S3 cache for key ${s3Key}:`, s3Error.message);
-        // Continue with normal flow if S3 check fails
+    } catch (error) {
+        log.error(`Error checking cached audio for ${bible_reference_log}`, { error: error.message });
+        return sendError(res, 500, `Failed to check cached audio: ${error.message}`);
     }
 
-    let attempt = 1;
-    while (attempt <= 2) { // Allow one initial attempt and one retry
-        try {
-            const buildId = await getBuildId(); // Get current or fetch new BUILD_ID
-            // Note the different URL structure for version info - use the looked-up bible_id
-            const apiUrl = `https://www.bible.com/_next/data/${buildId}/es/versions/${bible_id_json}`;
+    // 2. Count the chapter's characters, recorded as the caller's TTS usage whether or not the key has a
+    // daily TTS quota, and check the quota when it has one
+    let ttsCharacters;
+    try {
+        const chapterData = (await getChapter(version, normBook, normChapter)).data;
+        ttsCharacters = Array.isArray(chapterData?.content) ? buildChapterText(version.lang, chapterData, normChapter).length : 0;
+    } catch (error) {
+        return sendHttpError(res, error);
+    }
+    const quota = checkTtsQuota(req.auth.key, ttsCharacters);
+    if (!quota.allowed) {
+        return tooManyRequests(res, quota.retryAfter, `Daily TTS quota exceeded: ${bible_reference_log} needs ${ttsCharacters} characters, ${quota.remaining} left today.`);
+    }
 
-            console.log(`Attempt ${attempt}: Fetching version data from ${apiUrl}`);
-            const versionResponse = await axios.get(apiUrl, {
-                timeout: 10000 // 10 seconds timeout
-            });
+    // 3. Queue the generation; identical requests share the job that is already queued or running
+    const { job, coalesced } = audioJobs.enqueue(cacheKey, {
+        lang: version.lang,
+        abbreviation: normAbbr,
+        book: normBook,
+        chapter: normChapter,
+        provider: provider.name,
+        voice: voiceInfo.voice,
+        cacheKey,
+        metadataKey,
+        timingKey
+    });
+    log.info(`Audio for ${bible_reference_log} ${coalesced ? 'joins' : 'queued as'} job ${job.id}.`);
+    if (!coalesced) {
+        recordTtsCharacters(req.auth.key, ttsCharacters); // Joining a running job costs nothing
+    }
 
-            // Check if the response looks valid and contains the required data
-            if (versionResponse.data && versionResponse.data.pageProps && versionResponse.data.pageProps.version) {
-                console.log(`Attempt ${attempt}: Successfully fetched version data.`);
-                // Extract version data
-                const pageProps = versionResponse.data.pageProps;
-                    const modifiedBooks = pageProps.version.books.map(book => {
-                        const newBook = {
-                            text: book.text,
-                            usfm: book.usfm,
-                            audio: book.audio,
-                            canon: book.canon,
-                            human: book.human
-                        };
-
-                        if (book.chapters && book.chapters.length > 0) {
-                            newBook.first_chapter = {
-                                ...book.chapters[0],
-                                usfm: `${book.usfm}.1`
-                            };
-                            newBook.last_chapter = book.chapters[book.chapters.length - 1];
-                        }
-
-                        return newBook;
-                    });
-
-                const versionData = {
-                    title: pageProps.version.title,
-                    usfm: pageProps.version.abbreviation,
-                    books: modifiedBooks,
-                    language: pageProps.version?.language?.iso_639_1,
-                    direction: pageProps.version?.language?.text_direction,
-                    publisher: [{
-                        name: pageProps.version?.publisher?.name,
-                        description: pageProps.version?.publisher?.description,
-                        url: pageProps.version?.publisher?.url
-                    }],
-                    copyright: pageProps.chapterInfo?.copyright.text,
-                    notes: [{
-                        text: pageProps.versionData?.reader_footer?.text,
-                        url: pageProps.versionData?.reader_footer_url
-                    }]
-                };
-
-                // Save to S3 cache for future requests
-                try {
-                    const tempFilePath = path.join(os.tmpdir(), `${uuidv4()}.json`);
-                    await fs.writeFile(tempFilePath, JSON.stringify({data: versionData }));
-                    await uploadToS3(s3Key, tempFilePath, 'application/json');
-                    console.log(`Successfully cached version data in S3 with key: ${s3Key}`);
-                } catch (s3Error) {
-                    console.error('Error saving to S3 cache:', s3Error.message);
-                    // Continue with response even if S3 save fails
-                }
+    // Clients that cannot poll may ask to wait for the result ({"wait": true}), for at most
+    // AUDIO_WAIT_TIMEOUT_SECONDS; after that they get the 202 below and poll like everyone else
+    if (req.body.wait === true) {
+        const finished = await audioJobs.waitFor(job.id, getConfig().audio.waitTimeoutSeconds * 1000);
+        if (finished.status === 'failed') {
+            return sendError(res, 500, `Failed to generate audio: ${finished.error}`, { job_id: job.id }, 'job_failed');
+        }
+        if (finished.status === 'done') {
+            return res.json({ status: 'done', job_id: job.id, ...finished.result });
+        }
+        log.info(`Audio job ${job.id} still ${finished.status} after waiting; answering 202.`);
+    }
 
-                return res.json({data: versionData });
-            } else {
-                console.warn(`Attempt ${attempt}: Received unexpected data structure for version info.`);
-                throw new Error('Unexpected data structure received from Bible API for version info.');
-            }
+    return res.status(202).json({
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/audio/jobs/${job.id}`,
+        coalesced,
+        language: version.lang,
+        provider: provider.name,
+        voice: voiceInfo.voice
+    });
+});
 
-        } catch (error) {
-            console.error(`Attempt ${attempt} failed for version info: ${error.message}`);
-            const isBuildIdError = error.response && error.response.status === 404;
-
-            if (attempt === 1 && isBuildIdError) {
-                console.log('Potential BUILD_ID mismatch for version info. Forcing refresh and retrying...');
-                try {
-                    currentBuildId = await fetchBuildId(); // Force refresh
-                } catch (refreshError) {
-                    console.error('Failed to refresh BUILD_ID for version info:', refreshError.message);
-                    return res.status(500).json({ error: 'Failed to retrieve version data after BUILD_ID refresh failed.' });
-                }
-            } else {
-                const statusCode = error.response ? error.response.status : 500;
-                const errorMessage = `Failed to retrieve Bible version data. Attempt ${attempt}. ${error.message}`;
-                return res.status(statusCode).json({ error: errorMessage });
-            }
-        }
-        attempt++;
+// Route handler for fetching Bible version data using abbreviation
+// As with chapters, '/:lang/:bible_usfm' is canonical and '/:bible_usfm' is an alias.
+router.get(['/:lang/:bible_usfm', '/:bible_usfm'], validateRequest('getVersionInfo'), async (req, res) => {
+    const { lang, bible_usfm } = req.params;
+
+    // Look up the bible_id from the abbreviation, checking it against the requested language
+    const version = await resolveBibleVersion(bible_usfm, lang);
+
+    if (version.error) {
+        log.info(`Bible version lookup failed for version info ${lang || '-'}/${bible_usfm}: ${version.error}`);
+        return sendVersionError(res, version);
+    }
+
+    log.info(`Request received for version info: ${version.lang}/${version.abbreviation} (ID: ${version.id})`);
+
+    try {
+        const versionJson = await getVersionInfo(version);
+        return res.json(versionJson);
+    } catch (error) {
+        return sendHttpError(res, error);
     }
 });
 
 module.exports = router; // Keep the original export
-// Example usage (for testing purposes, could be removed or adapted)
-// const sampleHtml = `<div class="version vid149 iso6393spa" data-vid="149" data-iso6393="spa">...</div>`; // Your HTML here
-// const jsonData = parseBibleHtmlToJson(sampleHtml);
-// console.log(JSON.stringify(jsonData, null, 2));
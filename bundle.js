@@ -0,0 +1,226 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const Database = require('better-sqlite3');
+const { uploadFile, getPublicUrl, objectExists } = require('./utils');
+const { createJobQueue } = require('./jobs');
+const { chapterCacheKey, getChapter, getVersionInfo } = require('./service');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// --- Offline bundle export (SQLite with FTS5) ---
+// A bundle holds a whole version: books, chapters, verses, headings, notes, copyright metadata
+// and a full-text index. The crawl goes book by book using the chapter lists from the version
+// info and writes into a work file under BUNDLE_WORK_DIR (default: the OS temp dir). Finished
+// chapters are recorded in the file, so an interrupted export resumes where it stopped; chapter
+// JSON is also cached in storage, so even a lost work file is rebuilt without re-crawling.
+// Requests that reach the upstream are spaced by BUNDLE_REQUEST_DELAY_MS (default 500).
+
+const log = createLogger('bundle');
+
+const BUNDLE_WORK_DIR = getConfig().bundle.workDir;
+const BUNDLE_REQUEST_DELAY_MS = getConfig().bundle.requestDelayMs;
+const BUNDLE_SCHEMA_VERSION = 1;
+
+const BUNDLE_JOB_STEPS = ['version_info', 'crawl', 'build_index', 'upload'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS metadata (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS books (
+        usfm TEXT PRIMARY KEY, position INTEGER, name TEXT, abbreviation TEXT, canon TEXT, chapter_count INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS chapters (
+        usfm TEXT PRIMARY KEY, book TEXT, number INTEGER, title TEXT, copyright TEXT, completed_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS verses (
+        id INTEGER PRIMARY KEY, usfm TEXT, book TEXT, chapter INTEGER, verse INTEGER, position INTEGER, text TEXT
+    );
+    CREATE INDEX IF NOT EXISTS verses_by_chapter ON verses (book, chapter, position);
+    CREATE TABLE IF NOT EXISTS headings (
+        id INTEGER PRIMARY KEY, book TEXT, chapter INTEGER, position INTEGER, type TEXT, text TEXT
+    );
+    CREATE INDEX IF NOT EXISTS headings_by_chapter ON headings (book, chapter, position);
+    CREATE TABLE IF NOT EXISTS notes (
+        id INTEGER PRIMARY KEY, verse_id INTEGER REFERENCES verses (id), usfm TEXT, type TEXT, label TEXT, body TEXT
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS verses_fts USING fts5 (
+        text, content = 'verses', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+    );
+`;
+
+/**
+ * Returns the storage key of a version's bundle.
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @returns {string} - The storage key.
+ */
+function getBundleKey(version) {
+    return `bundles/${version.lang}/${version.abbreviation}.sqlite`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Chapter numbers of a book from the version info (first and last chapter usfm)
+function getChapterNumbers(book) {
+    const first = parseInt(String(book.first_chapter?.usfm || '').split('.').pop(), 10) || 1;
+    const last = parseInt(String(book.last_chapter?.usfm || '').split('.').pop(), 10);
+    if (!last) return [];
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+// Writes one chapter (replacing any partial rows) and marks it complete
+function writeChapter(db, book, chapter, chapterData) {
+    const statements = {
+        clearVerses: db.prepare('DELETE FROM verses WHERE book = ? AND chapter = ?'),
+        clearHeadings: db.prepare('DELETE FROM headings WHERE book = ? AND chapter = ?'),
+        clearNotes: db.prepare('DELETE FROM notes WHERE verse_id IN (SELECT id FROM verses WHERE book = ? AND chapter = ?)'),
+        verse: db.prepare('INSERT INTO verses (usfm, book, chapter, verse, position, text) VALUES (?, ?, ?, ?, ?, ?)'),
+        heading: db.prepare('INSERT INTO headings (book, chapter, position, type, text) VALUES (?, ?, ?, ?, ?)'),
+        note: db.prepare('INSERT INTO notes (verse_id, usfm, type, label, body) VALUES (?, ?, ?, ?, ?)'),
+        chapter: db.prepare('INSERT OR REPLACE INTO chapters (usfm, book, number, title, copyright, completed_at) VALUES (?, ?, ?, ?, ?, ?)')
+    };
+
+    db.transaction(() => {
+        statements.clearNotes.run(book, chapter);
+        statements.clearVerses.run(book, chapter);
+        statements.clearHeadings.run(book, chapter);
+        (chapterData.content || []).forEach((item, position) => {
+            if (item.type === 'heading' || item.type === 'reference') {
+                statements.heading.run(book, chapter, position, item.type, item.text || '');
+                return;
+            }
+            const verseNumber = item.number != null ? item.number : parseInt(String(item.usfm || '').split('+')[0].split('.').pop(), 10) || null;
+            const { lastInsertRowid } = statements.verse.run(item.usfm || null, book, chapter, verseNumber, position, item.text || '');
+            (item.notes || []).forEach(note => {
+                statements.note.run(lastInsertRowid, item.usfm || null, note.type || null, note.label || null, note.body || '');
+            });
+        });
+        statements.chapter.run(`${book}.${chapter}`, book, chapter, chapterData.title || null, chapterData.copyright || null, new Date().toISOString());
+    })();
+}
+
+/**
+ * Crawls a version into a SQLite bundle and uploads it to storage.
+ * @param {object} params - { version: { id, abbreviation, lang } }
+ * @param {object} progress - A job progress reporter.
+ * @returns {Promise<object>} - { bundle_url, version, language, books, chapters, verses, size }
+ */
+async function exportBundle(params, progress) {
+    const { version } = params;
+    const bundleKey = getBundleKey(version);
+    const workPath = path.join(BUNDLE_WORK_DIR, `${version.lang}_${version.abbreviation}.sqlite`);
+    await fs.mkdir(BUNDLE_WORK_DIR, { recursive: true });
+
+    progress.start('version_info');
+    const versionInfo = (await getVersionInfo(version)).data;
+    const books = (versionInfo.books || []).filter(book => book.text !== false);
+    progress.done('version_info');
+
+    const db = new Database(workPath);
+    let counts;
+    try {
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+
+        const setMetadata = db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)');
+        const addBook = db.prepare('INSERT OR REPLACE INTO books (usfm, position, name, abbreviation, canon, chapter_count) VALUES (?, ?, ?, ?, ?, ?)');
+        db.transaction(() => {
+            setMetadata.run('schema_version', String(BUNDLE_SCHEMA_VERSION));
+            setMetadata.run('version', version.abbreviation);
+            setMetadata.run('version_id', String(version.id));
+            setMetadata.run('title', versionInfo.title || '');
+            setMetadata.run('language', version.lang);
+            setMetadata.run('direction', versionInfo.direction || 'ltr');
+            setMetadata.run('publisher', JSON.stringify(versionInfo.publisher || []));
+            setMetadata.run('notes', JSON.stringify(versionInfo.notes || []));
+            books.forEach((book, index) => {
+                addBook.run(book.usfm, index + 1, book.human || null, book.abbreviation || null, book.canon || null, getChapterNumbers(book).length);
+            });
+        })();
+
+        // Chapters finished by an earlier, interrupted run are skipped
+        const completed = new Set(db.prepare('SELECT usfm FROM chapters WHERE completed_at IS NOT NULL').all().map(row => row.usfm));
+        const chapters = books.flatMap(book => getChapterNumbers(book).map(chapter => ({ book: book.usfm, chapter })));
+        if (completed.size > 0) {
+            log.info(`Resuming bundle for ${version.abbreviation}: ${completed.size}/${chapters.length} chapters already exported.`);
+        }
+
+        progress.start('crawl');
+        let done = 0;
+        let copyright = db.prepare("SELECT value FROM metadata WHERE key = 'copyright'").get()?.value || null;
+        for (const { book, chapter } of chapters) {
+            if (!completed.has(`${book}.${chapter}`)) {
+                // Only chapters missing from the storage cache reach the upstream, so only those are throttled
+                const cached = await objectExists(chapterCacheKey(version, book, String(chapter)));
+                const chapterData = (await getChapter(version, book, String(chapter))).data;
+                if (!Array.isArray(chapterData?.content)) {
+                    throw new Error(`Chapter content could not be parsed for ${book} ${chapter}.`);
+                }
+                writeChapter(db, book, chapter, chapterData);
+                if (!copyright && chapterData.copyright) {
+                    copyright = chapterData.copyright;
+                    setMetadata.run('copyright', copyright);
+                }
+                if (!cached && BUNDLE_REQUEST_DELAY_MS > 0) {
+                    await sleep(BUNDLE_REQUEST_DELAY_MS);
+                }
+            }
+            done++;
+            progress.update('crawl', done / chapters.length);
+        }
+        progress.done('crawl');
+
+        progress.start('build_index');
+        db.exec("INSERT INTO verses_fts (verses_fts) VALUES ('rebuild')");
+        setMetadata.run('created_at', new Date().toISOString());
+        db.pragma('journal_mode = DELETE'); // Single self-contained file for download
+        db.exec('VACUUM');
+        progress.done('build_index');
+
+        counts = {
+            books: books.length,
+            chapters: db.prepare('SELECT COUNT(*) AS count FROM chapters').get().count,
+            verses: db.prepare('SELECT COUNT(*) AS count FROM verses').get().count
+        };
+    } finally {
+        db.close();
+    }
+
+    progress.start('upload');
+    const { size } = await fs.stat(workPath);
+    const bundleUrl = await uploadFile(bundleKey, workPath, 'application/vnd.sqlite3'); // Deletes the work file
+    progress.done('upload');
+    log.info(`Bundle exported for ${version.lang}/${version.abbreviation}: ${bundleUrl} (${size} bytes)`);
+
+    return {
+        bundle_url: bundleUrl,
+        version: version.abbreviation,
+        language: version.lang,
+        ...counts,
+        size
+    };
+}
+
+const bundleJobs = createJobQueue({
+    type: 'bundle',
+    concurrency: getConfig().bundle.jobConcurrency,
+    steps: BUNDLE_JOB_STEPS,
+    run: exportBundle
+});
+
+/**
+ * Returns the download URL of a version's bundle if it was already exported.
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @returns {Promise<string|null>}
+ */
+async function findBundle(version) {
+    const key = getBundleKey(version);
+    return (await objectExists(key)) ? getPublicUrl(key) : null;
+}
+
+module.exports = {
+    BUNDLE_JOB_STEPS,
+    getBundleKey,
+    findBundle,
+    exportBundle,
+    bundleJobs
+};
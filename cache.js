@@ -0,0 +1,179 @@
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createCounter, createGauge, currentRouteLabel } = require('./metrics');
+
+// --- In-process cache tier (LRU with TTL, single-flight loads and stale-while-revalidate) ---
+// Sits in front of the object store and bible.com so repeated reads of the same chapter or version
+// never leave the process. Entries are fresh for CACHE_TTL_SECONDS (default 1 hour); after that they
+// are still served for up to CACHE_STALE_SECONDS more (default 1 day) while a background load
+// refreshes them, and after that whenever a reload fails (e.g., while bible.com is down). The least
+// recently used entries are evicted past CACHE_MAX_MB (default 64 MB).
+
+const CACHE_MAX_MB = getConfig().cache.maxMb;
+const CACHE_TTL_SECONDS = getConfig().cache.ttlSeconds;
+const CACHE_STALE_SECONDS = getConfig().cache.staleSeconds;
+
+const log = createLogger('cache');
+const cacheLookups = createCounter('cache_lookups_total', 'In-process cache lookups by cache, route and result (hit, stale or miss).', ['cache', 'route', 'result']);
+const caches = []; // Every cache created, for the size gauges
+
+/**
+ * Creates an in-memory LRU cache.
+ * @param {object} options
+ * @param {string} options.name - Name shown in stats.
+ * @param {number} options.maxSize - Total size budget (in the units of `sizeOf`).
+ * @param {number} options.ttlMs - How long an entry is fresh.
+ * @param {number} [options.staleMs] - How long an expired entry may still be served while it is reloaded.
+ * @param {function(*): number} [options.sizeOf] - Size of a value (default: 1 per entry).
+ * @returns {object} - { get, peek, set, delete, purge, stats }
+ */
+function createCache({ name, maxSize, ttlMs, staleMs = 0, sizeOf = () => 1 }) {
+    const entries = new Map(); // key -> { value, size, loadedAt } (in LRU order, oldest first)
+    const pending = new Map(); // key -> load promise
+    const counters = { hits: 0, stale_hits: 0, stale_if_error: 0, misses: 0, loads: 0, load_errors: 0, evictions: 0 };
+    let totalSize = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return false;
+        totalSize -= entry.size;
+        entries.delete(key);
+        return true;
+    }
+
+    function set(key, value) {
+        remove(key);
+        const size = sizeOf(value);
+        if (size > maxSize) return; // Never worth evicting everything else for
+        entries.set(key, { value, size, loadedAt: Date.now() });
+        totalSize += size;
+        for (const oldest of entries.keys()) {
+            if (totalSize <= maxSize) break;
+            remove(oldest);
+            counters.evictions++;
+        }
+    }
+
+    // Runs one load per key at a time; `null`/`undefined` results are returned but not cached
+    function load(key, loader) {
+        if (!pending.has(key)) {
+            counters.loads++;
+            pending.set(key, (async () => {
+                try {
+                    const value = await loader();
+                    if (value !== null && value !== undefined) set(key, value);
+                    return value;
+                } catch (error) {
+                    counters.load_errors++;
+                    throw error;
+                }
+            })().finally(() => pending.delete(key)));
+        }
+        return pending.get(key);
+    }
+
+    /**
+     * Returns a cached value, loading it on a miss. Concurrent misses share one load, and expired
+     * entries within the stale window are served while a background load refreshes them.
+     * @param {string} key - The cache key.
+     * @param {function(): Promise<*>} loader - Loads the value on a miss.
+     * @param {object} [options] - { refresh: true } skips the cached value and reloads.
+     * @returns {Promise<*>} - The value.
+     */
+    async function get(key, loader, options = {}) {
+        const entry = entries.get(key);
+        if (entry && !options.refresh) {
+            const age = Date.now() - entry.loadedAt;
+            if (age < ttlMs) {
+                counters.hits++;
+                cacheLookups.inc({ cache: name, route: currentRouteLabel(), result: 'hit' });
+                entries.delete(key); // Move to the most recently used end
+                entries.set(key, entry);
+                return entry.value;
+            }
+            if (age < ttlMs + staleMs) {
+                counters.stale_hits++;
+                cacheLookups.inc({ cache: name, route: currentRouteLabel(), result: 'stale' });
+                load(key, loader).catch(error => {
+                    log.error(`Background refresh of ${name} cache entry failed`, { key, error: error.message });
+                });
+                return entry.value;
+            }
+        }
+        counters.misses++;
+        cacheLookups.inc({ cache: name, route: currentRouteLabel(), result: 'miss' });
+        if (options.refresh && pending.has(key)) {
+            // A load already running may use another source; start the forced one after it
+            await pending.get(key).catch(() => {});
+        }
+        if (entry && !options.refresh) {
+            // Past the stale window, an old value still beats an error while the source is down
+            return load(key, loader).catch(error => {
+                counters.stale_if_error++;
+                log.warn(`Serving expired ${name} cache entry after a failed load`, { key, error: error.message });
+                return entry.value;
+            });
+        }
+        return load(key, loader);
+    }
+
+    /**
+     * Removes every entry whose key starts with the prefix ('' clears the cache).
+     * @param {string} prefix - The key prefix.
+     * @returns {number} - The number of entries removed.
+     */
+    function purge(prefix) {
+        let removed = 0;
+        [...entries.keys()].forEach(key => {
+            if (key.startsWith(prefix) && remove(key)) removed++;
+        });
+        return removed;
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.stale_hits + counters.misses;
+        return {
+            name,
+            entries: entries.size,
+            size: totalSize,
+            max_size: maxSize,
+            ttl_seconds: ttlMs / 1000,
+            stale_seconds: staleMs / 1000,
+            pending_loads: pending.size,
+            ...counters,
+            hit_ratio: lookups > 0 ? Math.round(((counters.hits + counters.stale_hits) / lookups) * 1000) / 1000 : null
+        };
+    }
+
+    const cache = {
+        get,
+        peek: key => entries.get(key)?.value,
+        set,
+        delete: remove,
+        purge,
+        stats
+    };
+    caches.push(cache);
+    return cache;
+}
+
+createGauge('cache_entries', 'Entries held by each in-process cache.', () =>
+    caches.map(cache => ({ labels: { cache: cache.stats().name }, value: cache.stats().entries }))
+);
+createGauge('cache_size', 'Size of each in-process cache, in its size units (bytes for documents).', () =>
+    caches.map(cache => ({ labels: { cache: cache.stats().name }, value: cache.stats().size }))
+);
+
+// Shared tier for JSON documents (chapters, version info, version lists, audio timing), sized in bytes
+const documentCache = createCache({
+    name: 'documents',
+    maxSize: CACHE_MAX_MB * 1024 * 1024,
+    ttlMs: CACHE_TTL_SECONDS * 1000,
+    staleMs: CACHE_STALE_SECONDS * 1000,
+    sizeOf: value => Buffer.byteLength(JSON.stringify(value))
+});
+
+module.exports = {
+    createCache,
+    documentCache
+};
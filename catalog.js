@@ -0,0 +1,373 @@
+const upstream = require('./upstream'); // bible.com client (rate limit, retries, circuit breaker)
+const { putJson, getJson } = require('./utils');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// Simple mapping from ISO 639-1 (2-letter) to ISO 639-3 (3-letter) codes
+const langCodeMap = {
+    'es': 'spa', // Spanish
+    'en': 'eng', // English
+    'pt': 'por', // Portuguese
+    'fr': 'fra', // French
+    'de': 'deu', // German
+    'it': 'ita', // Italian
+    'ru': 'rus', // Russian
+    'zh': 'zho', // Chinese (generic) - Note: Bible.com might use more specific tags like cmn, yue
+    'ja': 'jpn', // Japanese
+    'ko': 'kor', // Korean
+    // Add more mappings as needed
+};
+
+// Preferred IDs for abbreviations that bible.com lists more than once within the same language.
+// Also used as the initial catalog until the first successful build.
+const seedVersionMap = {
+  es: {
+    "BDO1573": 1715, "BHTI": 222, "BLPH": 28, "DHH94I": 52, "DHH94PC": 411,
+    "DHHDK": 1845, "DHHS94": 1846, "GlossSP": 4212, "JBS": 1076, "LBLA": 89,
+    "NBLA": 103, "NBV": 753, "NTBIZ": 3539, "NTV": 127, "NVI-S": 128, // Note: NVI-S maps to 128, ignoring 2664 for simplicity or choosing one. User might need to clarify if distinction is needed.
+    "ONBV": 4190, "spaPdDpt": 3365, "PDT": 197, "RVA2015": 1782, "RVC": 146,
+    "RVES": 147, "RVR09": 1718, "RVR1960": 149, "RVR95": 150, "TCB": 4013,
+    "TLA": 176, "TLAI": 178, "VBL": 3291
+  }
+};
+
+const CATALOG_STORAGE_KEY = 'versions/catalog.json';
+const CATALOG_REFRESH_MS = getConfig().catalog.refreshHours * 60 * 60 * 1000;
+const CATALOG_LANGUAGES = getConfig().catalog.languages || Object.keys(langCodeMap);
+
+let catalog = buildSeedCatalog();
+let catalogIndex = indexCatalog(catalog);
+let loadPromise = null;
+let refreshPromise = null;
+let refreshTimer = null;
+const pendingLanguages = new Map(); // lang -> in-flight on-demand load
+const failedLanguages = new Map(); // lang -> timestamp of the last failed on-demand load
+const LANGUAGE_RETRY_MS = 10 * 60 * 1000;
+
+const log = createLogger('catalog');
+
+/**
+ * Normalizes a 2-letter (ISO 639-1) or 3-letter (ISO 639-3) language code to ISO 639-1.
+ * @param {string} code - The language code.
+ * @returns {string|null} - The ISO 639-1 code, or null if unknown.
+ */
+function normalizeLangCode(code) {
+    if (!code) return null;
+    const lower = code.toLowerCase();
+    if (lower.length === 2) {
+        return langCodeMap[lower] ? lower : null;
+    }
+    if (lower.length === 3) {
+        return Object.keys(langCodeMap).find(key => langCodeMap[key] === lower) || null;
+    }
+    return null;
+}
+
+/**
+ * Builds the fallback catalog from the seed map (no titles or audio information).
+ * @returns {object} - A catalog object.
+ */
+function buildSeedCatalog() {
+    const versions = {};
+    for (const [lang, abbreviations] of Object.entries(seedVersionMap)) {
+        for (const [abbreviation, id] of Object.entries(abbreviations)) {
+            versions[abbreviation] = [{ id, abbreviation, lang, language_tag: langCodeMap[lang], title: null, audio: null }];
+        }
+    }
+    return { updated_at: null, languages: [], versions };
+}
+
+/**
+ * Builds a case-insensitive lookup index over the catalog entries.
+ * @param {object} data - The catalog object.
+ * @returns {Map<string, object[]>} - Uppercased abbreviation -> catalog entries.
+ */
+function indexCatalog(data) {
+    const index = new Map();
+    for (const entries of Object.values(data.versions)) {
+        for (const entry of entries) {
+            const key = entry.abbreviation.toUpperCase();
+            if (!index.has(key)) index.set(key, []);
+            const list = index.get(key);
+            if (!list.some(existing => existing.id === entry.id)) list.push(entry);
+        }
+    }
+    return index;
+}
+
+/**
+ * Fetches every version bible.com lists for a language.
+ * @param {string} languageTag - The ISO 639-3 language tag (e.g., "spa").
+ * @returns {Promise<object>} - The `response.data` object from bible.com (contains `versions`).
+ */
+async function fetchLanguageVersions(languageTag) {
+    const body = await upstream.request(`/api/bible/versions?language_tag=${languageTag}&type=all`);
+    if (!body?.response?.data) {
+        throw new Error(`Unexpected data structure received for versions of language ${languageTag}`);
+    }
+    return body.response.data;
+}
+
+/**
+ * Converts the raw bible.com version list of one language into catalog entries.
+ * Versions whose local abbreviation differs from the abbreviation are indexed under both.
+ * @param {string} lang - The ISO 639-1 code the list was requested for.
+ * @param {object[]} rawVersions - The `versions` array from bible.com.
+ * @returns {object[]} - Catalog entries.
+ */
+function toCatalogEntries(lang, rawVersions) {
+    const entries = [];
+    for (const raw of rawVersions || []) {
+        if (!raw || !raw.id || !raw.abbreviation) continue;
+        const base = {
+            id: raw.id,
+            lang: raw.language?.iso_639_1 || lang,
+            language_tag: raw.language?.iso_639_3 || raw.language?.language_tag || langCodeMap[lang],
+            title: raw.local_title || raw.title || null,
+            audio: Boolean(raw.audio)
+        };
+        entries.push({ ...base, abbreviation: raw.abbreviation });
+        if (raw.local_abbreviation && raw.local_abbreviation !== raw.abbreviation) {
+            entries.push({ ...base, abbreviation: raw.local_abbreviation });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Replaces the in-memory catalog with new data.
+ * @param {object} data - The catalog object.
+ */
+function setCatalog(data) {
+    catalog = data;
+    catalogIndex = indexCatalog(data);
+}
+
+/**
+ * Merges the entries for one language into a catalog, replacing any previous entries for it.
+ * @param {object} data - The catalog object to modify.
+ * @param {string} lang - The ISO 639-1 code.
+ * @param {object[]} entries - Catalog entries for the language.
+ */
+function mergeLanguage(data, lang, entries) {
+    for (const [abbreviation, list] of Object.entries(data.versions)) {
+        const kept = list.filter(entry => entry.lang !== lang);
+        if (kept.length > 0) {
+            data.versions[abbreviation] = kept;
+        } else {
+            delete data.versions[abbreviation];
+        }
+    }
+    for (const entry of entries) {
+        if (!data.versions[entry.abbreviation]) data.versions[entry.abbreviation] = [];
+        data.versions[entry.abbreviation].push(entry);
+    }
+    if (!data.languages.includes(lang)) data.languages.push(lang);
+}
+
+/**
+ * Saves the catalog to storage so other instances and restarts can reuse it.
+ * @param {object} data - The catalog object.
+ */
+async function saveCatalog(data) {
+    try {
+        await putJson(CATALOG_STORAGE_KEY, data);
+        log.info(`Successfully cached version catalog in storage with key: ${CATALOG_STORAGE_KEY}`);
+    } catch (storageError) {
+        log.error('Error saving version catalog to storage cache', { error: storageError.message });
+    }
+}
+
+/**
+ * Rebuilds the catalog from the bible.com versions endpoints for every configured language.
+ * Languages that fail to load keep their previous entries. Concurrent calls share one rebuild.
+ * @returns {Promise<object>} - The refreshed catalog.
+ */
+function refreshCatalog() {
+    if (refreshPromise) return refreshPromise;
+
+    refreshPromise = (async () => {
+        log.info(`Refreshing version catalog for languages: ${CATALOG_LANGUAGES.join(', ')}`);
+        const next = { updated_at: null, languages: [], versions: {} };
+        // Start from the current catalog so failed languages are not dropped
+        for (const [abbreviation, list] of Object.entries(catalog.versions)) {
+            next.versions[abbreviation] = list.slice();
+        }
+        next.languages = catalog.languages.slice();
+
+        let loaded = 0;
+        for (const lang of CATALOG_LANGUAGES) {
+            const languageTag = langCodeMap[lang] || lang;
+            try {
+                const data = await fetchLanguageVersions(languageTag);
+                mergeLanguage(next, lang, toCatalogEntries(lang, data.versions));
+                loaded++;
+            } catch (error) {
+                log.error(`Failed to load versions for language ${lang} into catalog: ${error.message}`);
+            }
+        }
+
+        if (loaded === 0) {
+            throw new Error('Version catalog refresh failed for every language.');
+        }
+
+        next.updated_at = new Date().toISOString();
+        setCatalog(next);
+        await saveCatalog(next);
+        log.info(`Version catalog refreshed: ${Object.keys(next.versions).length} abbreviations in ${next.languages.length} languages.`);
+        return next;
+    })().finally(() => {
+        refreshPromise = null;
+    });
+
+    return refreshPromise;
+}
+
+/**
+ * Loads the catalog once: from the storage cache if it is fresh, otherwise from bible.com.
+ * Falls back to the seed catalog if neither is available.
+ * @returns {Promise<object>} - The current catalog.
+ */
+function loadCatalog() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+        const cached = await getJson(CATALOG_STORAGE_KEY);
+        if (cached && cached.versions) {
+            setCatalog(cached);
+            log.info(`Loaded version catalog from storage (updated ${cached.updated_at}).`);
+            const age = Date.now() - new Date(cached.updated_at).getTime();
+            if (!(age < CATALOG_REFRESH_MS)) {
+                refreshCatalog().catch(error => log.error('Background catalog refresh failed', { error: error.message }));
+            }
+            return catalog;
+        }
+        try {
+            return await refreshCatalog();
+        } catch (error) {
+            log.error('Using seed version catalog', { error: error.message });
+            return catalog;
+        }
+    })();
+
+    return loadPromise;
+}
+
+/**
+ * Starts the periodic catalog refresh. Safe to call more than once.
+ */
+function startCatalogRefresh() {
+    if (refreshTimer) return;
+    loadCatalog();
+    refreshTimer = setInterval(() => {
+        refreshCatalog().catch(error => log.error('Scheduled catalog refresh failed', { error: error.message }));
+    }, CATALOG_REFRESH_MS);
+    refreshTimer.unref(); // Don't keep the process alive just for the refresh timer
+}
+
+/**
+ * Adds a language to the catalog on demand if it is not part of the scheduled refresh yet.
+ * Failed loads are not retried for a few minutes.
+ * @param {string} lang - The ISO 639-1 code.
+ * @returns {Promise<void>}
+ */
+function ensureLanguage(lang) {
+    if (catalog.languages.includes(lang) || !langCodeMap[lang]) return Promise.resolve();
+    if (Date.now() - (failedLanguages.get(lang) || 0) < LANGUAGE_RETRY_MS) return Promise.resolve();
+    if (pendingLanguages.has(lang)) return pendingLanguages.get(lang);
+
+    const pending = (async () => {
+        try {
+            const data = await fetchLanguageVersions(langCodeMap[lang]);
+            const next = { ...catalog, versions: { ...catalog.versions }, languages: catalog.languages.slice() };
+            mergeLanguage(next, lang, toCatalogEntries(lang, data.versions));
+            setCatalog(next);
+        } catch (error) {
+            failedLanguages.set(lang, Date.now());
+            log.error(`Failed to load versions for language ${lang} on demand: ${error.message}`);
+        }
+    })().finally(() => {
+        pendingLanguages.delete(lang);
+    });
+
+    pendingLanguages.set(lang, pending);
+    return pending;
+}
+
+/**
+ * Picks one entry among several with the same abbreviation in the same language,
+ * preferring the ID from the seed map.
+ * @param {object[]} entries - Candidate entries (all the same language).
+ * @returns {object} - The chosen entry.
+ */
+function pickPreferred(entries) {
+    const lang = entries[0].lang;
+    const preferredId = seedVersionMap[lang]
+        && Object.entries(seedVersionMap[lang]).find(([abbr]) => abbr.toUpperCase() === entries[0].abbreviation.toUpperCase())?.[1];
+    return entries.find(entry => entry.id === preferredId) || entries[0];
+}
+
+/**
+ * Resolves a Bible abbreviation (optionally scoped by a language code) through the catalog.
+ * @param {string} abbreviation - The version abbreviation (case-insensitive).
+ * @param {string} [lang] - Optional ISO 639-1 / 639-3 language code.
+ * @returns {Promise<object>} - `{ id, abbreviation, lang, language_tag, title, audio }` on success,
+ *   or `{ status, code, error, candidates? }` if the version is unknown, ambiguous or in another language.
+ */
+async function resolveBibleVersion(abbreviation, lang) {
+    await loadCatalog();
+
+    let requestedLang = null;
+    if (lang !== undefined) {
+        requestedLang = normalizeLangCode(lang);
+        if (!requestedLang) {
+            return { status: 400, code: 'invalid_language', error: `Invalid language parameter: ${lang}. Expected a supported ISO 639-1 or ISO 639-3 code.` };
+        }
+        await ensureLanguage(requestedLang);
+    }
+
+    const entries = catalogIndex.get((abbreviation || '').toUpperCase()) || [];
+    if (entries.length === 0) {
+        return { status: 404, code: 'unknown_version', error: `Bible version abbreviation '${abbreviation}' not found.` };
+    }
+
+    const languages = [...new Set(entries.map(entry => entry.lang))];
+
+    if (requestedLang) {
+        const matching = entries.filter(entry => entry.lang === requestedLang);
+        if (matching.length === 0) {
+            return { status: 400, code: 'version_not_in_language', error: `Bible version '${abbreviation}' is not available in language '${lang}' (available in: ${languages.join(', ')}).` };
+        }
+        return { ...pickPreferred(matching) };
+    }
+
+    if (languages.length > 1) {
+        return {
+            status: 409,
+            code: 'ambiguous_version',
+            error: `Bible version abbreviation '${abbreviation}' exists in several languages. Use a language-prefixed route.`,
+            candidates: entries.map(({ id, abbreviation: abbr, lang: entryLang, title }) => ({ id, abbreviation: abbr, lang: entryLang, title }))
+        };
+    }
+
+    return { ...pickPreferred(entries) };
+}
+
+/**
+ * Returns the in-memory catalog.
+ * @returns {object} - The current catalog.
+ */
+function getCatalog() {
+    return catalog;
+}
+
+module.exports = {
+    langCodeMap,
+    normalizeLangCode,
+    fetchLanguageVersions,
+    loadCatalog,
+    refreshCatalog,
+    startCatalogRefresh,
+    resolveBibleVersion,
+    getCatalog
+};
@@ -0,0 +1,107 @@
+// --- Multi-version chapter comparison helpers ---
+
+/**
+ * Aligns the verses of several versions of the same chapter by usfm. Verses split across
+ * several content items (e.g., poetry lines) are joined; combined verses ("JHN.1.1+JHN.1.2")
+ * fill the row of every verse they cover and are flagged as combined.
+ * @param {{abbreviation: string, content: object[]}[]} chapters - Each version's flattened chapter content.
+ * @returns {object[]} - Rows ordered by verse number: { usfm, number, texts: { [abbreviation]: string|null },
+ *   combined: { [abbreviation]: string }, missing: string[] }.
+ */
+function alignChapters(chapters) {
+    const rows = new Map(); // usfm -> row
+
+    const getRow = usfm => {
+        if (!rows.has(usfm)) {
+            const texts = {};
+            chapters.forEach(({ abbreviation }) => { texts[abbreviation] = null; });
+            rows.set(usfm, { usfm, number: parseInt(usfm.split('.').pop(), 10), texts, combined: {}, missing: [] });
+        }
+        return rows.get(usfm);
+    };
+
+    chapters.forEach(({ abbreviation, content }) => {
+        content.forEach(item => {
+            if (item.type === 'heading' || item.type === 'reference' || typeof item.usfm !== 'string' || !item.usfm) {
+                return;
+            }
+            const usfms = item.usfm.split('+');
+            usfms.forEach(usfm => {
+                const row = getRow(usfm);
+                const text = (item.text || '').trim();
+                row.texts[abbreviation] = row.texts[abbreviation] ? `${row.texts[abbreviation]} ${text}`.trim() : text;
+                if (usfms.length > 1) {
+                    row.combined[abbreviation] = item.usfm;
+                }
+            });
+        });
+    });
+
+    const sorted = [...rows.values()].sort((a, b) => a.number - b.number);
+    sorted.forEach(row => {
+        row.missing = chapters
+            .map(({ abbreviation }) => abbreviation)
+            .filter(abbreviation => !row.texts[abbreviation]);
+    });
+    return sorted;
+}
+
+// Word comparison ignores case, accents and surrounding punctuation
+const normalizeWord = word => word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .toLowerCase();
+
+/**
+ * Computes a word-level diff between two texts (longest common subsequence of words).
+ * @param {string} from - The first version's text.
+ * @param {string} to - The second version's text.
+ * @returns {{op: string, text: string}[]} - Runs of 'equal', 'delete' (only in `from`) and 'insert' (only in `to`).
+ */
+function diffWords(from, to) {
+    const a = (from || '').split(/\s+/).filter(Boolean);
+    const b = (to || '').split(/\s+/).filter(Boolean);
+    const na = a.map(normalizeWord);
+    const nb = b.map(normalizeWord);
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = na[i] === nb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    const push = (op, word) => {
+        const last = ops[ops.length - 1];
+        if (last && last.op === op) {
+            last.text += ` ${word}`;
+        } else {
+            ops.push({ op, text: word });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (na[i] === nb[j]) {
+            push('equal', b[j]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+    return ops;
+}
+
+module.exports = {
+    alignChapters,
+    diffWords
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// --- Configuration ---
+// Every setting is read once from the environment or from the JSON file named by CONFIG_FILE (keyed by
+// the same variable names; the environment wins), parsed to its type and validated. Invalid values and
+// missing required settings are all reported together, so startup fails with one clear message.
+// GET /admin/config shows the settings in effect, with secrets redacted.
+
+// Setting types: string, url, integer, number, boolean, enum (`values`), list (comma-separated) and json.
+// Numbers take `min`/`max`; `positive` requires a value above zero.
+const SETTINGS = [
+    // Server
+    { name: 'PORT', path: 'port', type: 'integer', default: 1020, min: 1, max: 65535 },
+    { name: 'ADMIN_TOKEN', path: 'adminToken', type: 'string', secret: true },
+    { name: 'CORS_ORIGINS', path: 'corsOrigins', type: 'list' }, // Allowed browser origins (default: any)
+    { name: 'TRUST_PROXY', path: 'trustProxy', type: 'string' }, // Express "trust proxy" (e.g., 1 behind one reverse proxy)
+    { name: 'NODE_ENV', path: 'env', type: 'enum', values: ['development', 'production', 'test'], default: 'production' },
+    { name: 'VALIDATE_RESPONSES', path: 'openapi.validateResponses', type: 'boolean' }, // Check responses against openapi.js (default: on in development)
+
+    // Logging, metrics and health checks (see logger.js, metrics.js and health.js)
+    { name: 'LOG_LEVEL', path: 'log.level', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    { name: 'LOG_FORMAT', path: 'log.format', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+    { name: 'METRICS_TOKEN', path: 'metrics.token', type: 'string', secret: true }, // Bearer token for GET /metrics (default: open)
+    { name: 'HEALTH_CHECK_TIMEOUT_MS', path: 'health.timeoutMs', type: 'integer', default: 3000, min: 1 },
+    { name: 'HEALTH_CHECK_CACHE_SECONDS', path: 'health.cacheSeconds', type: 'number', default: 10, min: 0 },
+
+    // API keys, quotas and rate limits (see apikeys.js)
+    { name: 'API_KEYS_DB', path: 'apiKeys.db', type: 'string', default: path.join(__dirname, 'data', 'api-keys.sqlite') },
+    { name: 'API_KEYS_REQUIRED', path: 'apiKeys.required', type: 'boolean', default: false },
+    { name: 'API_KEY_RATE_PER_MINUTE', path: 'apiKeys.ratePerMinute', type: 'integer', default: 120, min: 1 },
+    { name: 'API_KEY_DAILY_REQUESTS', path: 'apiKeys.dailyRequests', type: 'integer', default: 10000, min: 0 },
+    { name: 'API_KEY_DAILY_TTS_CHARACTERS', path: 'apiKeys.dailyTtsCharacters', type: 'integer', default: 200000, min: 0 },
+    { name: 'ANON_RATE_PER_MINUTE', path: 'apiKeys.anonymousRatePerMinute', type: 'integer', default: 60, min: 1 },
+
+    // Storage (see storage.js)
+    { name: 'STORAGE_DRIVER', path: 'storage.driver', type: 'enum', values: ['s3', 'fs', 'memory'], default: 's3' },
+    { name: 'STORAGE_DIR', path: 'storage.dir', type: 'string', default: path.join(__dirname, 'storage') },
+    { name: 'STORAGE_PUBLIC_URL', path: 'storage.publicUrl', type: 'url' },
+    { name: 'S3_ENDPOINT', path: 'storage.s3.endpoint', type: 'url' },
+    { name: 'S3_REGION', path: 'storage.s3.region', type: 'string' },
+    { name: 'S3_BUCKET', path: 'storage.s3.bucket', type: 'string' },
+    { name: 'S3_ACCESS_KEY_ID', path: 'storage.s3.accessKeyId', type: 'string', secret: true },
+    { name: 'S3_SECRET_ACCESS_KEY', path: 'storage.s3.secretAccessKey', type: 'string', secret: true },
+    { name: 'S3_FORCE_PATH_STYLE', path: 'storage.s3.forcePathStyle', type: 'boolean', default: false },
+    { name: 'S3_PUBLIC_URL', path: 'storage.s3.publicUrl', type: 'url' },
+
+    // In-process cache (see cache.js)
+    { name: 'CACHE_MAX_MB', path: 'cache.maxMb', type: 'number', default: 64, min: 0 },
+    { name: 'CACHE_TTL_SECONDS', path: 'cache.ttlSeconds', type: 'number', default: 3600, min: 0 },
+    { name: 'CACHE_STALE_SECONDS', path: 'cache.staleSeconds', type: 'number', default: 86400, min: 0 },
+
+    // bible.com client (see upstream.js)
+    { name: 'UPSTREAM_BASE_URL', path: 'upstream.baseUrl', type: 'url', default: 'https://www.bible.com' },
+    { name: 'UPSTREAM_TIMEOUT_MS', path: 'upstream.timeoutMs', type: 'integer', default: 10000, min: 1 },
+    { name: 'UPSTREAM_MAX_RETRIES', path: 'upstream.maxRetries', type: 'integer', default: 2, min: 0 },
+    { name: 'UPSTREAM_BACKOFF_MS', path: 'upstream.backoffMs', type: 'integer', default: 300, min: 0 },
+    { name: 'UPSTREAM_RATE_PER_SECOND', path: 'upstream.ratePerSecond', type: 'number', default: 5, positive: true },
+    { name: 'UPSTREAM_BURST', path: 'upstream.burst', type: 'integer', default: 10, min: 1 },
+    { name: 'UPSTREAM_BREAKER_THRESHOLD', path: 'upstream.breakerThreshold', type: 'integer', default: 5, min: 1 },
+    { name: 'UPSTREAM_BREAKER_COOLDOWN_SECONDS', path: 'upstream.breakerCooldownSeconds', type: 'number', default: 30, positive: true },
+    { name: 'BUILD_ID_REFRESH_MINUTES', path: 'upstream.buildIdRefreshMinutes', type: 'number', default: 30, positive: true },
+    { name: 'CHAPTER_RANGE_CONCURRENCY', path: 'chapters.rangeConcurrency', type: 'integer', default: 4, min: 1 }, // Chapters loaded at once for a whole book, chapter range or batch
+    { name: 'PASSAGE_MAX_CHAPTERS', path: 'passage.maxChapters', type: 'integer', default: 10, min: 1 }, // Chapters per GET /passage
+    { name: 'PASSAGE_MAX_VERSES', path: 'passage.maxVerses', type: 'integer', default: 500, min: 1 }, // Verses per GET /passage
+    { name: 'BATCH_MAX_ITEMS', path: 'batch.maxItems', type: 'integer', default: 50, min: 1 }, // References per POST /batch
+    { name: 'BATCH_MAX_VERSES', path: 'batch.maxVerses', type: 'integer', default: 500, min: 1 }, // Verses returned per POST /batch
+
+    // Version catalog, search index and cross-reference graph
+    { name: 'CATALOG_LANGUAGES', path: 'catalog.languages', type: 'list', pattern: /^[a-z]{2,3}$/ },
+    { name: 'CATALOG_REFRESH_HOURS', path: 'catalog.refreshHours', type: 'number', default: 24, positive: true },
+    { name: 'SEARCH_CATCHUP_MINUTES', path: 'search.catchupMinutes', type: 'number', default: 10, min: 0 },
+    { name: 'CROSSREF_CATCHUP_MINUTES', path: 'crossrefs.catchupMinutes', type: 'number', default: 10, min: 0 },
+
+    // Text-to-speech and audio (see tts.js and audio.js)
+    { name: 'TTS_PROVIDER', path: 'tts.provider', type: 'enum', values: ['speechify', 'espeak', 'mock'], default: 'speechify' },
+    { name: 'TTS_VOICE_OVERRIDES', path: 'tts.voiceOverrides', type: 'json', default: {} },
+    { name: 'TTS_COMMAND_TIMEOUT_MS', path: 'tts.commandTimeoutMs', type: 'integer', default: 120000, min: 1 },
+    { name: 'SPEECHIFY_API_URL', path: 'tts.speechify.apiUrl', type: 'url', default: 'https://audio.api.speechify.com/generateAudioFiles' },
+    { name: 'SPEECHIFY_ORIGIN', path: 'tts.speechify.origin', type: 'url', default: 'https://speechify.com/voiceover/' },
+    { name: 'SPEECHIFY_CLIENT_VERSION', path: 'tts.speechify.clientVersion', type: 'string', default: '0.1.297' },
+    { name: 'SPEECHIFY_TIMEOUT_MS', path: 'tts.speechify.timeoutMs', type: 'integer', default: 60000, min: 1 },
+    { name: 'ESPEAK_BINARY', path: 'tts.espeakBinary', type: 'string', default: 'espeak-ng' },
+    { name: 'FFMPEG_BINARY', path: 'tts.ffmpegBinary', type: 'string', default: 'ffmpeg' },
+    { name: 'FFPROBE_BINARY', path: 'audio.ffprobeBinary', type: 'string', default: 'ffprobe' },
+    { name: 'FFPROBE_TIMEOUT_MS', path: 'audio.ffprobeTimeoutMs', type: 'integer', default: 30000, min: 1 },
+    { name: 'AUDIO_JOB_CONCURRENCY', path: 'audio.jobConcurrency', type: 'integer', default: 2, min: 1 },
+    { name: 'AUDIO_SYNTH_CONCURRENCY', path: 'audio.synthConcurrency', type: 'integer', default: 4, min: 1 },
+    { name: 'AUDIO_WAIT_TIMEOUT_SECONDS', path: 'audio.waitTimeoutSeconds', type: 'number', default: 60, positive: true }, // POST /audio with "wait": true
+    { name: 'JOB_RETENTION_MINUTES', path: 'jobs.retentionMinutes', type: 'number', default: 60, min: 0 }, // Finished jobs kept in memory (see jobs.js)
+
+    // Offline bundles (see bundle.js)
+    { name: 'BUNDLE_WORK_DIR', path: 'bundle.workDir', type: 'string', default: path.join(os.tmpdir(), 'bundles') },
+    { name: 'BUNDLE_REQUEST_DELAY_MS', path: 'bundle.requestDelayMs', type: 'integer', default: 500, min: 0 },
+    { name: 'BUNDLE_JOB_CONCURRENCY', path: 'bundle.jobConcurrency', type: 'integer', default: 1, min: 1 }
+];
+
+const SETTING_NAMES = new Set(SETTINGS.map(setting => setting.name));
+
+// Parses a raw value (a string from the environment, or any JSON value from the config file)
+function parseValue(setting, raw) {
+    const text = String(raw).trim();
+    switch (setting.type) {
+        case 'string':
+            return { value: text };
+        case 'url':
+            try {
+                new URL(text);
+                return { value: text };
+            } catch {
+                return { error: `expected a URL, got '${text}'` };
+            }
+        case 'integer':
+        case 'number': {
+            const pattern = setting.type === 'integer' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+            if (!pattern.test(text)) {
+                return { error: `expected ${setting.type === 'integer' ? 'an integer' : 'a number'}, got '${text}'` };
+            }
+            const value = Number(text);
+            if (setting.positive && value <= 0) return { error: `must be greater than 0, got ${value}` };
+            if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}, got ${value}` };
+            if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}, got ${value}` };
+            return { value };
+        }
+        case 'boolean':
+            if (/^(true|1|yes)$/i.test(text)) return { value: true };
+            if (/^(false|0|no)$/i.test(text)) return { value: false };
+            return { error: `expected true or false, got '${text}'` };
+        case 'enum': {
+            const value = text.toLowerCase();
+            return setting.values.includes(value)
+                ? { value }
+                : { error: `expected one of ${setting.values.join(', ')}, got '${text}'` };
+        }
+        case 'list': {
+            const items = (Array.isArray(raw) ? raw.map(String) : text.split(','))
+                .map(item => item.trim().toLowerCase())
+                .filter(Boolean);
+            const invalid = setting.pattern ? items.filter(item => !setting.pattern.test(item)) : [];
+            return invalid.length > 0 ? { error: `invalid entries: ${invalid.join(', ')}` } : { value: items };
+        }
+        case 'json': {
+            let value = raw;
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (error) {
+                    return { error: `expected JSON: ${error.message}` };
+                }
+            }
+            return value && typeof value === 'object' && !Array.isArray(value)
+                ? { value }
+                : { error: 'expected a JSON object' };
+        }
+        default:
+            return { error: `unknown setting type '${setting.type}'` };
+    }
+}
+
+function setPath(target, settingPath, value) {
+    const keys = settingPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+    parent[last] = value;
+}
+
+const getPath = (source, settingPath) => settingPath.split('.').reduce((node, key) => node?.[key], source);
+
+// Checks that need several settings at once; returns the error messages
+function validateConfig(config) {
+    const errors = [];
+    const { storage } = config;
+    if (storage.driver === 's3') {
+        ['S3_BUCKET', 'S3_REGION'].forEach(name => {
+            if (!getPath(config, SETTINGS.find(setting => setting.name === name).path)) {
+                errors.push(`${name} is required when STORAGE_DRIVER is 's3' (use STORAGE_DRIVER=fs or memory for local runs).`);
+            }
+        });
+    }
+    if (Boolean(storage.s3.accessKeyId) !== Boolean(storage.s3.secretAccessKey)) {
+        errors.push('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set together (leave both unset to use the default AWS credential chain).');
+    }
+    Object.entries(config.tts.voiceOverrides).forEach(([lang, voices]) => {
+        if (!voices || typeof voices !== 'object' || Array.isArray(voices)) {
+            errors.push(`TTS_VOICE_OVERRIDES: '${lang}' must map provider names to voices (e.g., {"es": {"speechify": "Jorge"}}).`);
+        }
+    });
+    return errors;
+}
+
+// Reads every setting; returns { config, sources, file, errors }
+function readConfig(env) {
+    const errors = [];
+    const file = env.CONFIG_FILE || null;
+    let fileValues = {};
+    if (file) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+                throw new Error('expected a JSON object of settings');
+            }
+            Object.keys(fileValues).filter(name => !SETTING_NAMES.has(name)).forEach(name => {
+                errors.push(`Unknown setting '${name}' in CONFIG_FILE ${file}.`);
+            });
+        } catch (error) {
+            errors.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+            fileValues = {};
+        }
+    }
+
+    const config = {};
+    const sources = {};
+    SETTINGS.forEach(setting => {
+        let raw;
+        let source = 'default';
+        if (env[setting.name] !== undefined && env[setting.name].trim() !== '') {
+            raw = env[setting.name];
+            source = 'env';
+        } else if (fileValues[setting.name] !== undefined && fileValues[setting.name] !== null) {
+            raw = fileValues[setting.name];
+            source = 'file';
+        }
+
+        let value = setting.default !== undefined ? setting.default : null;
+        if (raw !== undefined) {
+            const parsed = parseValue(setting, raw);
+            if (parsed.error) {
+                errors.push(`${setting.name}: ${parsed.error}.`);
+            } else {
+                value = parsed.value;
+            }
+        }
+        setPath(config, setting.path, value);
+        sources[setting.name] = value === null ? null : source;
+    });
+
+    errors.push(...validateConfig(config)); // Unparsable settings fall back to their defaults here
+    return { config, sources, file, errors };
+}
+
+const deepFreeze = value => {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+function assertValid(errors) {
+    if (errors.length > 0) {
+        const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Reads and validates the configuration.
+ * @param {object} [env] - Environment variables (defaults to process.env).
+ * @returns {object} - The typed, frozen configuration.
+ * @throws {Error} - Listing every invalid or missing setting (also as `errors`).
+ */
+function loadConfig(env = process.env) {
+    const { config, errors } = readConfig(env);
+    assertValid(errors);
+    return deepFreeze(config);
+}
+
+let loaded = null; // { config, sources, file } of process.env
+
+/**
+ * Returns the process configuration, reading it from process.env on first use.
+ * @returns {object} - The typed, frozen configuration.
+ * @throws {Error} - If the configuration is invalid.
+ */
+function getConfig() {
+    if (!loaded) {
+        const { config, sources, file, errors } = readConfig(process.env);
+        assertValid(errors);
+        loaded = { config: deepFreeze(config), sources, file };
+    }
+    return loaded.config;
+}
+
+/**
+ * Describes the configuration in effect, with secrets redacted.
+ * @returns {object} - { config_file, settings: [{ name, value, source }] } (source: env, file, default or null when unset).
+ */
+function getRedactedConfig() {
+    getConfig();
+    return {
+        config_file: loaded.file,
+        settings: SETTINGS.map(setting => {
+            const value = getPath(loaded.config, setting.path);
+            return {
+                name: setting.name,
+                value: setting.secret && value !== null ? '[redacted]' : value,
+                source: loaded.sources[setting.name]
+            };
+        })
+    };
+}
+
+module.exports = {
+    SETTINGS,
+    loadConfig,
+    getConfig,
+    getRedactedConfig
+};
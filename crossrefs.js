@@ -0,0 +1,175 @@
+const { createVersionStore } = require('./versionstore');
+const { bookAliases, parseCrossReferences, parseUsfmRange } = require('./references');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// --- Cross-reference graph over cached chapters ---
+// Cross-reference notes (`x`) point from a verse to other passages. Each version keeps the reverse
+// graph (target passage -> verses pointing at it) at `crossrefs/{lang}/{version}.json`, so a verse can list
+// the references that point to it. Like the search index, the graph is kept up to date by
+// versionstore.js; chapters cached before it existed are picked up when a version is first queried
+// (then at most every CROSSREF_CATCHUP_MINUTES, default 10).
+
+const log = createLogger('crossrefs');
+
+const CROSSREF_CATCHUP_MINUTES = getConfig().crossrefs.catchupMinutes;
+const MAX_RANGE_CHAPTERS = 50; // Cross-chapter targets are indexed under at most this many chapters
+
+const BOOK_ORDER = new Map(Object.keys(bookAliases).map((usfm, position) => [usfm, position]));
+
+/**
+ * Returns the USFM targets of a cross-reference note. Notes parsed before targets were resolved
+ * (older cached chapters) are resolved from their text.
+ * @param {object} note - The note ({ type, body, parts?, targets? }).
+ * @param {string} verseUsfm - The verse holding the note (for "v. 5" style references).
+ * @returns {string[]} - The target references (e.g., "JHN.1.1-JHN.1.3").
+ */
+function getNoteTargets(note, verseUsfm) {
+    if (Array.isArray(note.targets)) return note.targets;
+    const targetParts = (note.parts || []).filter(part => part.style === 'xt').map(part => part.text);
+    // Without parts, drop a leading origin ("1.1 Jn 1.1-3")
+    const text = targetParts.length > 0
+        ? targetParts.join('; ')
+        : String(note.body || '').replace(/^\s*\d+[.:]\d+[a-z]?\s+(?=\D)/, '');
+    const [book, chapter] = String(verseUsfm || '').split('+')[0].split('.');
+    return parseCrossReferences(text, { book, chapter: parseInt(chapter, 10) || null }).targets.map(target => target.usfm);
+}
+
+function createEmptyGraph(version) {
+    return {
+        version: version.abbreviation,
+        language: version.lang,
+        updated_at: null,
+        chapters: {}, // "GEN.1" -> number of edges from the chapter
+        edges: [], // [source verse usfm, target usfm]
+        byChapter: new Map() // "JHN.1" -> edge ids whose target touches the chapter
+    };
+}
+
+// Indexes an edge under every chapter its target touches
+function addEdge(graph, source, target) {
+    const range = parseUsfmRange(target);
+    if (!range) return false;
+    const edgeId = graph.edges.length;
+    graph.edges.push([source, target]);
+    const lastChapter = Math.min(range.end.chapter, range.start.chapter + MAX_RANGE_CHAPTERS - 1);
+    for (let chapter = range.start.chapter; chapter <= lastChapter; chapter++) {
+        const key = `${range.book}.${chapter}`;
+        if (!graph.byChapter.has(key)) graph.byChapter.set(key, []);
+        graph.byChapter.get(key).push(edgeId);
+    }
+    return true;
+}
+
+function deserializeGraph(stored, version) {
+    const graph = createEmptyGraph(version);
+    graph.updated_at = stored.updated_at;
+    graph.chapters = stored.chapters || {};
+    (stored.edges || []).forEach(([source, target]) => addEdge(graph, source, target));
+    return graph;
+}
+
+function serializeGraph(graph) {
+    return {
+        version: graph.version,
+        language: graph.language,
+        updated_at: graph.updated_at,
+        chapters: graph.chapters,
+        edges: graph.edges
+    };
+}
+
+// Adds a chapter's cross references to a loaded graph; returns false if it was already added
+function addChapterToGraph(graph, book, chapter, content) {
+    const chapterKey = `${book}.${chapter}`;
+    if (graph.chapters[chapterKey] !== undefined || !Array.isArray(content)) {
+        return false;
+    }
+
+    let count = 0;
+    content.forEach(item => {
+        if (!item.usfm || !Array.isArray(item.notes)) return;
+        item.notes.filter(note => note.type === 'x').forEach(note => {
+            getNoteTargets(note, item.usfm).forEach(target => {
+                if (addEdge(graph, item.usfm, target)) count++;
+            });
+        });
+    });
+
+    graph.chapters[chapterKey] = count;
+    graph.updated_at = new Date().toISOString();
+    return true;
+}
+
+const graphs = createVersionStore({
+    prefix: 'crossrefs/',
+    label: 'cross-reference graph',
+    catchupMinutes: CROSSREF_CATCHUP_MINUTES,
+    log,
+    create: createEmptyGraph,
+    deserialize: deserializeGraph,
+    serialize: serializeGraph,
+    addChapter: addChapterToGraph,
+    describe: graph => `${graph.edges.length} references`
+});
+
+/**
+ * Adds a cached chapter's cross references to its version's graph (no-op if it is already added).
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @param {string} book - The USFM book code.
+ * @param {string|number} chapter - The chapter number.
+ * @param {object} chapterData - The chapter JSON `data` (with the flattened content).
+ * @returns {Promise<boolean>} - True if the chapter was added.
+ */
+const indexChapterCrossrefs = (version, book, chapter, chapterData) => graphs.addChapter(version, book, chapter, chapterData);
+
+// Whether a parsed target range covers a verse (a chapter-only bound covers the whole chapter)
+function rangeCovers(range, chapter, verse) {
+    const afterStart = chapter > range.start.chapter
+        || (chapter === range.start.chapter && (range.start.verse === null || verse >= range.start.verse));
+    const beforeEnd = chapter < range.end.chapter
+        || (chapter === range.end.chapter && (range.end.verse === null || verse <= range.end.verse));
+    return afterStart && beforeEnd;
+}
+
+// Canonical sort key for a verse usfm ("GEN.1.2" or "GEN.1.2+GEN.1.3")
+const canonicalKey = usfm => {
+    const [book, chapter, verse] = String(usfm).split('+')[0].split('.');
+    return [BOOK_ORDER.has(book) ? BOOK_ORDER.get(book) : BOOK_ORDER.size, parseInt(chapter, 10) || 0, parseInt(verse, 10) || 0];
+};
+
+/**
+ * Lists the cross references pointing at a verse, in canonical order of their source verse.
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @param {string} book - The USFM book code.
+ * @param {number} chapter - The chapter number.
+ * @param {number} verse - The verse number.
+ * @returns {Promise<object>} - { indexed_chapters, references: [{ source, target }] }
+ */
+async function findIncomingReferences(version, book, chapter, verse) {
+    const graph = await graphs.load(version);
+    await graphs.catchUp(version, graph);
+
+    const seen = new Set();
+    const references = [];
+    (graph.byChapter.get(`${book}.${chapter}`) || []).forEach(edgeId => {
+        const [source, target] = graph.edges[edgeId];
+        const key = `${source}>${target}`;
+        if (seen.has(key) || !rangeCovers(parseUsfmRange(target), chapter, verse)) return;
+        seen.add(key);
+        references.push({ source, target });
+    });
+
+    references.sort((a, b) => {
+        const [keyA, keyB] = [canonicalKey(a.source), canonicalKey(b.source)];
+        return keyA[0] - keyB[0] || keyA[1] - keyB[1] || keyA[2] - keyB[2];
+    });
+
+    return { indexed_chapters: Object.keys(graph.chapters).length, references };
+}
+
+module.exports = {
+    getNoteTargets,
+    indexChapterCrossrefs,
+    findIncomingReferences
+};
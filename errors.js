@@ -0,0 +1,95 @@
+// --- Error responses ---
+// Every error the API answers with has the same envelope:
+//   { "error": "Human-readable message.", "code": "machine_readable_code", "details": {...}, "request_id": "..." }
+// `code` is stable for clients to branch on (e.g., "unknown_book", "chapter_out_of_range",
+// "ambiguous_version"); without a specific one it follows the status ("not_found", "upstream_error"...).
+// `details` carries whatever helps fix the request (candidates, suggestions, last_verse, retry_after)
+// and is left out when there is none.
+
+const DEFAULT_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'upstream_error',
+    503: 'unavailable',
+    504: 'upstream_timeout'
+};
+
+const isErrorCode = code => typeof code === 'string' && /^[a-z][a-z0-9_]*$/.test(code);
+
+/**
+ * Creates an Error carrying the HTTP status code the route should respond with.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {object} [details] - Extra details for the response.
+ * @param {string} [code] - Machine-readable error code (defaults to one for the status).
+ * @returns {Error}
+ */
+function createHttpError(status, message, details, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) {
+        error.details = details;
+    }
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+/**
+ * Builds the error envelope.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {object} [details] - Extra details.
+ * @param {string} [code] - Machine-readable error code.
+ * @param {string} [requestId] - The request id (X-Request-Id).
+ * @returns {object} - `{ error, code, details?, request_id? }`
+ */
+function errorBody(status, message, details, code, requestId) {
+    const body = { error: message, code: isErrorCode(code) ? code : (DEFAULT_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request')) };
+    if (details && Object.keys(details).length > 0) {
+        body.details = details;
+    }
+    if (requestId) {
+        body.request_id = requestId;
+    }
+    return body;
+}
+
+/**
+ * Answers with the error envelope.
+ * @param {object} res - The Express response.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {object} [details] - Extra details.
+ * @param {string} [code] - Machine-readable error code.
+ * @returns {object} - The response.
+ */
+function sendError(res, status, message, details, code) {
+    return res.status(status).json(errorBody(status, message, details, code, res.req?.id));
+}
+
+/**
+ * Answers with the envelope for a thrown error: its `status` (500 without one), `details` and `code`.
+ * Codes are only taken from errors that carry a status, so system errors ("ENOENT") never leak out.
+ * @param {object} res - The Express response.
+ * @param {Error} error - The error.
+ * @returns {object} - The response.
+ */
+function sendHttpError(res, error) {
+    const status = error.status || 500;
+    return sendError(res, status, error.message, error.details, error.status ? error.code : undefined);
+}
+
+module.exports = {
+    createHttpError,
+    errorBody,
+    sendError,
+    sendHttpError
+};
@@ -0,0 +1,75 @@
+require('dotenv').config(); // Load environment variables from .env file
+const { getConfig } = require('./config');
+
+// Fail fast on invalid or missing settings, before the other modules read them
+try {
+    getConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const { resolveBibleVersion } = require('./catalog');
+const { exportBundle } = require('./bundle');
+
+// Exports a whole version as an offline SQLite bundle from the command line.
+// Usage: node export-bundle.js <version> [--lang <code>]
+// An interrupted export resumes where it stopped when run again.
+
+function parseArgs(argv) {
+    const args = { version: null, lang: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--lang') {
+            args.lang = argv[++i];
+        } else if (!args.version) {
+            args.version = argv[i];
+        }
+    }
+    return args;
+}
+
+// Progress reporter printing one line per step (and every 5% of the crawl)
+function createConsoleProgress() {
+    let lastPercent = -1;
+    return {
+        start(step) {
+            console.log(`[bundle] ${step}...`);
+        },
+        update(step, fraction) {
+            const percent = Math.floor(fraction * 20) * 5;
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                console.log(`[bundle] ${step}: ${percent}%`);
+            }
+        },
+        done(step) {
+            console.log(`[bundle] ${step} done`);
+        }
+    };
+}
+
+(async () => {
+    const { version: versionParam, lang } = parseArgs(process.argv.slice(2));
+    if (!versionParam) {
+        console.error('Usage: node export-bundle.js <version> [--lang <code>]');
+        process.exit(1);
+    }
+
+    const version = await resolveBibleVersion(versionParam, lang);
+    if (version.error) {
+        console.error(version.error);
+        if (version.candidates) {
+            console.error('Candidates:', version.candidates.map(candidate => `${candidate.lang}/${candidate.abbreviation}`).join(', '));
+        }
+        process.exit(1);
+    }
+
+    try {
+        const result = await exportBundle({ version }, createConsoleProgress());
+        console.log(`Bundle ready: ${result.bundle_url} (${result.books} books, ${result.chapters} chapters, ${result.verses} verses, ${result.size} bytes)`);
+        process.exit(0);
+    } catch (error) {
+        console.error(`Bundle export failed: ${error.message}`);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,383 @@
+// --- Output formats for chapter and passage content ---
+// Chapters can be rendered as JSON (default), plain text, Markdown, HTML, USFM or OSIS XML.
+// The format comes from `?format=` or, failing that, the Accept header. Every renderer takes a
+// document: { title, version, language, direction, chapters: [{ title, usfm, content }], copyright, publisher }.
+
+const FORMATS = {
+    json: 'application/json; charset=utf-8',
+    text: 'text/plain; charset=utf-8',
+    markdown: 'text/markdown; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    usfm: 'text/x-usfm; charset=utf-8',
+    osis: 'application/xml; charset=utf-8'
+};
+
+// Media types accepted in the Accept header, in order of preference when the client accepts several equally
+const ACCEPT_TYPES = {
+    'application/json': 'json',
+    'text/plain': 'text',
+    'text/markdown': 'markdown',
+    'text/html': 'html',
+    'text/x-usfm': 'usfm',
+    'application/xml': 'osis',
+    'text/xml': 'osis'
+};
+
+// OSIS book identifiers by USFM code
+const osisBooks = {
+    GEN: 'Gen', EXO: 'Exod', LEV: 'Lev', NUM: 'Num', DEU: 'Deut', JOS: 'Josh', JDG: 'Judg', RUT: 'Ruth',
+    '1SA': '1Sam', '2SA': '2Sam', '1KI': '1Kgs', '2KI': '2Kgs', '1CH': '1Chr', '2CH': '2Chr', EZR: 'Ezra',
+    NEH: 'Neh', EST: 'Esth', JOB: 'Job', PSA: 'Ps', PRO: 'Prov', ECC: 'Eccl', SNG: 'Song', ISA: 'Isa',
+    JER: 'Jer', LAM: 'Lam', EZK: 'Ezek', DAN: 'Dan', HOS: 'Hos', JOL: 'Joel', AMO: 'Amos', OBA: 'Obad',
+    JON: 'Jonah', MIC: 'Mic', NAM: 'Nah', HAB: 'Hab', ZEP: 'Zeph', HAG: 'Hag', ZEC: 'Zech', MAL: 'Mal',
+    MAT: 'Matt', MRK: 'Mark', LUK: 'Luke', JHN: 'John', ACT: 'Acts', ROM: 'Rom', '1CO': '1Cor', '2CO': '2Cor',
+    GAL: 'Gal', EPH: 'Eph', PHP: 'Phil', COL: 'Col', '1TH': '1Thess', '2TH': '2Thess', '1TI': '1Tim',
+    '2TI': '2Tim', TIT: 'Titus', PHM: 'Phlm', HEB: 'Heb', JAS: 'Jas', '1PE': '1Pet', '2PE': '2Pet',
+    '1JN': '1John', '2JN': '2John', '3JN': '3John', JUD: 'Jude', REV: 'Rev'
+};
+
+/**
+ * Picks the output format for a request.
+ * @param {object} req - The Express request.
+ * @returns {{format: string}|{error: string}} - The format name, or an error for an unknown `?format=`.
+ */
+function negotiateFormat(req) {
+    const requested = req.query.format;
+    if (requested !== undefined) {
+        const format = String(requested).toLowerCase();
+        if (!FORMATS[format]) {
+            return { error: `Invalid format '${requested}'. Expected one of: ${Object.keys(FORMATS).join(', ')}.` };
+        }
+        return { format };
+    }
+    // Unknown or missing Accept headers fall back to JSON
+    const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+    return { format: accepted ? ACCEPT_TYPES[accepted] : 'json' };
+}
+
+const escapeXml = text => String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// USFM markers start with a backslash, so text must not contain one
+const escapeUsfm = text => String(text == null ? '' : text).replace(/\\/g, '').replace(/\s+/g, ' ').trim();
+
+// Markdown characters that would otherwise change the rendering of verse text
+const escapeMarkdown = text => String(text == null ? '' : text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+const bookNameFromTitle = title => (title || '').replace(/\s*[\d:,-]+$/, '');
+
+/**
+ * Groups flattened chapter content into blocks: headings, reference lines and runs of verses.
+ * Consecutive items with the same usfm (a verse split across lines) are marked as continuations,
+ * and every note gets a sequential number across the document.
+ * @param {object[]} chapters - The document chapters.
+ * @returns {object[]} - Chapters with `blocks` ({ type: 'heading'|'reference'|'verses', text, verses }) and `notes`.
+ */
+function prepareChapters(chapters) {
+    let noteNumber = 0;
+    return chapters.map(chapter => {
+        const [book, chapterNumber] = String(chapter.usfm || '').split('.');
+        const blocks = [];
+        const notes = [];
+        let previousUsfm = null;
+
+        (Array.isArray(chapter.content) ? chapter.content : []).forEach(item => {
+            if (item.type === 'heading' || item.type === 'reference') {
+                blocks.push({ type: item.type, style: item.style, text: item.text || '' });
+                return;
+            }
+            // A new paragraph index starts a new block (chapters cached without one stay in a single block)
+            let block = blocks[blocks.length - 1];
+            if (!block || block.type !== 'verses' || block.paragraph !== item.paragraph) {
+                block = { type: 'verses', style: item.style, paragraph: item.paragraph, verses: [] };
+                blocks.push(block);
+            }
+            const itemNotes = (item.notes || []).filter(note => note.body).map(note => {
+                const numbered = { ...note, number: ++noteNumber, usfm: item.usfm, verse: item.number };
+                notes.push(numbered);
+                return numbered;
+            });
+            block.verses.push({
+                number: item.number,
+                usfm: item.usfm,
+                text: item.text || '',
+                notes: itemNotes,
+                continuation: Boolean(item.usfm) && item.usfm === previousUsfm
+            });
+            previousUsfm = item.usfm || previousUsfm;
+        });
+
+        return { ...chapter, book, chapterNumber, blocks, notes };
+    });
+}
+
+// Verse label for a content item: "16", or "1-2" for combined verses
+const verseLabel = verse => {
+    const numbers = String(verse.usfm || '').split('+').map(usfm => usfm.split('.').pop()).filter(Boolean);
+    if (numbers.length > 1) return `${numbers[0]}-${numbers[numbers.length - 1]}`;
+    return verse.number != null ? String(verse.number) : (numbers[0] || '');
+};
+
+function renderText(doc) {
+    const chapters = prepareChapters(doc.chapters);
+    const lines = [doc.title, ''];
+    chapters.forEach(chapter => {
+        if (chapters.length > 1 && chapter.title) {
+            lines.push(chapter.title, '');
+        }
+        chapter.blocks.forEach(block => {
+            if (block.type !== 'verses') {
+                lines.push(block.text, ''); // Headings and reference lines stand on their own
+            } else {
+                lines.push(block.verses.map(verse => {
+                    const markers = verse.notes.map(note => `[${note.number}]`).join('');
+                    return `${verse.continuation ? '' : `${verseLabel(verse)} `}${verse.text}${markers}`;
+                }).join('\n'), '');
+            }
+        });
+    });
+    const notes = chapters.flatMap(chapter => chapter.notes);
+    if (notes.length > 0) {
+        notes.forEach(note => lines.push(`[${note.number}] ${note.body}`));
+        lines.push('');
+    }
+    lines.push('---', attribution(doc));
+    return `${lines.join('\n').trim()}\n`;
+}
+
+function renderMarkdown(doc) {
+    const chapters = prepareChapters(doc.chapters);
+    const lines = [`# ${escapeMarkdown(doc.title)}`, ''];
+    chapters.forEach(chapter => {
+        if (chapters.length > 1 && chapter.title) {
+            lines.push(`## ${escapeMarkdown(chapter.title)}`, '');
+        }
+        chapter.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                lines.push(`${chapters.length > 1 ? '###' : '##'} ${escapeMarkdown(block.text)}`, '');
+            } else if (block.type === 'reference') {
+                lines.push(`*${escapeMarkdown(block.text)}*`, '');
+            } else {
+                lines.push(block.verses.map(verse => {
+                    const markers = verse.notes.map(note => `[^${note.number}]`).join('');
+                    return `${verse.continuation ? '' : `**${verseLabel(verse)}** `}${escapeMarkdown(verse.text)}${markers}`;
+                }).join(' '), '');
+            }
+        });
+    });
+    chapters.flatMap(chapter => chapter.notes).forEach(note => {
+        lines.push(`[^${note.number}]: ${escapeMarkdown(note.body)}`);
+    });
+    lines.push('', '---', '', attribution(doc).split('\n').map(line => `*${escapeMarkdown(line)}*`).join('  \n'));
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+function renderHtml(doc) {
+    const chapters = prepareChapters(doc.chapters);
+    const parts = [];
+    chapters.forEach(chapter => {
+        parts.push(`<section class="chapter" data-usfm="${escapeXml(chapter.usfm)}">`);
+        if (chapters.length > 1 && chapter.title) {
+            parts.push(`<h2>${escapeXml(chapter.title)}</h2>`);
+        }
+        chapter.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                parts.push(`<h3 class="heading">${escapeXml(block.text)}</h3>`);
+            } else if (block.type === 'reference') {
+                parts.push(`<p class="reference">${escapeXml(block.text)}</p>`);
+            } else {
+                const verses = block.verses.map(verse => {
+                    const number = verse.continuation ? '' : `<sup class="verse-number">${escapeXml(verseLabel(verse))}</sup> `;
+                    const markers = verse.notes.map(note =>
+                        `<sup class="note-ref"><a href="#note-${note.number}" id="note-ref-${note.number}">${note.number}</a></sup>`
+                    ).join('');
+                    return `<span class="verse" data-usfm="${escapeXml(verse.usfm)}">${number}${escapeXml(verse.text)}${markers}</span>`;
+                });
+                parts.push(`<p>${verses.join(' ')}</p>`);
+            }
+        });
+        parts.push('</section>');
+    });
+
+    const notes = chapters.flatMap(chapter => chapter.notes);
+    if (notes.length > 0) {
+        parts.push('<aside class="notes"><ol>');
+        notes.forEach(note => {
+            parts.push(`<li id="note-${note.number}" class="note note-${escapeXml(note.type)}"><a href="#note-ref-${note.number}">${escapeXml(note.label || '↑')}</a> ${escapeXml(note.body)}</li>`);
+        });
+        parts.push('</ol></aside>');
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        `<html lang="${escapeXml(doc.language || '')}" dir="${escapeXml(doc.direction || 'ltr')}">`,
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeXml(doc.title)}${doc.version ? ` (${escapeXml(doc.version)})` : ''}</title>`,
+        '</head>',
+        '<body>',
+        `<article class="bible" data-version="${escapeXml(doc.version)}">`,
+        `<h1>${escapeXml(doc.title)}</h1>`,
+        ...parts,
+        `<footer class="copyright">${escapeXml(attribution(doc)).replace(/\n/g, '<br>')}</footer>`,
+        '</article>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Paragraph styles kept by the parser map back to their USFM markers; anything else falls back to the default
+const USFM_HEADING_MARKERS = /^(s[1-4]?|ms[1-3]?|sp|d)$/;
+const USFM_REFERENCE_MARKERS = /^(r|mr)$/;
+const USFM_PARAGRAPH_MARKERS = /^(p|m|pi[1-3]?|mi|nb|pc|pm|pmo|pmc|pmr|cls|q[1-4]?|qc|qr|qm[1-3]?|li[1-4]?|d)$/;
+const usfmMarker = (style, allowed, fallback) => (style && allowed.test(style) ? style : fallback);
+
+function renderUsfm(doc) {
+    const chapters = prepareChapters(doc.chapters);
+    const lines = [];
+    let currentBook = null;
+    chapters.forEach(chapter => {
+        if (chapter.book !== currentBook) {
+            currentBook = chapter.book;
+            const bookName = escapeUsfm(bookNameFromTitle(chapter.title));
+            lines.push(`\\id ${chapter.book} ${escapeUsfm(doc.version)}`, '\\usfm 3.0');
+            if (bookName) {
+                lines.push(`\\h ${bookName}`, `\\mt1 ${bookName}`);
+            }
+            attribution(doc).split('\n').filter(Boolean).forEach(line => lines.push(`\\rem ${escapeUsfm(line)}`));
+        }
+        lines.push(`\\c ${chapter.chapterNumber}`);
+        chapter.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                lines.push(`\\${usfmMarker(block.style, USFM_HEADING_MARKERS, 's1')} ${escapeUsfm(block.text)}`);
+            } else if (block.type === 'reference') {
+                lines.push(`\\${usfmMarker(block.style, USFM_REFERENCE_MARKERS, 'r')} ${escapeUsfm(block.text)}`);
+            } else {
+                lines.push(`\\${usfmMarker(block.style, USFM_PARAGRAPH_MARKERS, 'p')}`);
+                block.verses.forEach(verse => {
+                    const notes = verse.notes.map(note => {
+                        const origin = `${chapter.chapterNumber}:${verseLabel(verse)}`;
+                        return note.type === 'x'
+                            ? `\\x - \\xo ${origin} \\xt ${escapeUsfm(note.body)}\\x*`
+                            : `\\f + \\fr ${origin} \\ft ${escapeUsfm(note.body)}\\f*`;
+                    }).join('');
+                    lines.push(`${verse.continuation ? '' : `\\v ${verseLabel(verse)} `}${escapeUsfm(verse.text)}${notes}`);
+                });
+            }
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// OSIS reference for a usfm ("JHN.3.16" -> "John.3.16"; combined verses are space-separated)
+const toOsisRef = usfm => String(usfm || '')
+    .split('+')
+    .map(part => {
+        const [book, ...rest] = part.split('.');
+        return [osisBooks[book] || book, ...rest].join('.');
+    })
+    .join(' ');
+
+function renderOsis(doc) {
+    const chapters = prepareChapters(doc.chapters);
+    const work = escapeXml(doc.version || 'Bible');
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<osis xmlns="http://www.bibletechnologies.net/2003/OSIS/namespace">',
+        `<osisText osisIDWork="${work}" osisRefWork="Bible" xml:lang="${escapeXml(doc.language || '')}">`,
+        '<header>',
+        `<work osisWork="${work}">`,
+        `<title>${escapeXml(doc.title)}</title>`,
+        doc.publisher ? `<publisher>${escapeXml(doc.publisher)}</publisher>` : null,
+        `<rights type="x-copyright">${escapeXml(attribution(doc))}</rights>`,
+        '</work>',
+        '</header>'
+    ].filter(line => line !== null);
+
+    let currentBook = null;
+    chapters.forEach(chapter => {
+        if (chapter.book !== currentBook) {
+            if (currentBook !== null) lines.push('</div>');
+            currentBook = chapter.book;
+            lines.push(`<div type="book" osisID="${escapeXml(osisBooks[chapter.book] || chapter.book)}">`);
+        }
+        lines.push(`<chapter osisID="${escapeXml(toOsisRef(chapter.usfm))}">`);
+        if (chapter.title) {
+            lines.push(`<title type="chapter">${escapeXml(chapter.title)}</title>`);
+        }
+        chapter.blocks.forEach(block => {
+            if (block.type === 'heading') {
+                lines.push(`<title>${escapeXml(block.text)}</title>`);
+            } else if (block.type === 'reference') {
+                lines.push(`<title type="parallel">${escapeXml(block.text)}</title>`);
+            } else {
+                lines.push('<p>');
+                // A verse split across lines is one OSIS verse: its fragments are joined
+                const verses = [];
+                block.verses.forEach(verse => {
+                    const last = verses[verses.length - 1];
+                    if (verse.continuation && last) {
+                        last.text += ` ${verse.text}`;
+                        last.notes.push(...verse.notes);
+                    } else {
+                        verses.push({ ...verse, notes: [...verse.notes] });
+                    }
+                });
+                verses.forEach(verse => {
+                    const notes = verse.notes.map(note =>
+                        `<note type="${note.type === 'x' ? 'crossReference' : 'explanation'}" n="${note.number}" osisRef="${escapeXml(toOsisRef(verse.usfm))}">${escapeXml(note.body)}</note>`
+                    ).join('');
+                    const osisID = verse.usfm ? ` osisID="${escapeXml(toOsisRef(verse.usfm))}"` : '';
+                    lines.push(`<verse${osisID} n="${escapeXml(verseLabel(verse))}">${escapeXml(verse.text)}${notes}</verse>`);
+                });
+                lines.push('</p>');
+            }
+        });
+        lines.push('</chapter>');
+    });
+    if (currentBook !== null) lines.push('</div>');
+    lines.push('</osisText>', '</osis>', '');
+    return lines.join('\n');
+}
+
+// Copyright and attribution text attached to every format
+function attribution(doc) {
+    return [doc.copyright, doc.publisher && !String(doc.copyright || '').includes(doc.publisher) ? doc.publisher : null, doc.version]
+        .filter(Boolean)
+        .map(part => String(part).trim())
+        .join('\n');
+}
+
+const renderers = {
+    text: renderText,
+    markdown: renderMarkdown,
+    html: renderHtml,
+    usfm: renderUsfm,
+    osis: renderOsis
+};
+
+/**
+ * Renders a document in a non-JSON format.
+ * @param {string} format - One of text, markdown, html, usfm, osis.
+ * @param {object} doc - { title, version, language, direction, chapters, copyright, publisher }
+ * @returns {{contentType: string, body: string}} - The rendered body and its content type.
+ */
+function renderDocument(format, doc) {
+    const renderer = renderers[format];
+    if (!renderer) {
+        throw new Error(`Unsupported format '${format}'.`);
+    }
+    return { contentType: FORMATS[format], body: renderer(doc) };
+}
+
+module.exports = {
+    FORMATS,
+    osisBooks,
+    escapeXml,
+    negotiateFormat,
+    renderDocument
+};
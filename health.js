@@ -0,0 +1,105 @@
+const { getStorage } = require('./storage');
+const { pingUpstream } = require('./upstream');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// --- Health checks ---
+// GET /health is the liveness probe: it answers while the process can serve requests and checks
+// nothing else, so an outage elsewhere never gets the container restarted.
+// GET /ready is the readiness probe: storage must answer or the replica reports 503 and is taken out
+// of the load balancer. bible.com is checked too, but since cached content is still served without it,
+// an unreachable bible.com only makes the status "degraded" (still 200).
+// Every check gives up after HEALTH_CHECK_TIMEOUT_MS (default 3000), and the result is reused for
+// HEALTH_CHECK_CACHE_SECONDS (default 10) so frequent probes don't load storage or bible.com.
+
+const healthConfig = getConfig().health;
+const STORAGE_PROBE_KEY = 'health/probe.json'; // Need not exist: a HEAD answering "not found" proves storage is reachable
+
+const log = createLogger('health');
+const startedAt = new Date();
+
+let lastReport = null; // { report, checkedAt }
+let pendingReport = null;
+
+// Runs one check with the timeout; resolves with { ok, latency_ms, ...details } or { ok: false, error }
+async function runCheck(name, check) {
+    const start = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${healthConfig.timeoutMs}ms`)), healthConfig.timeoutMs);
+    });
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { ok: true, latency_ms: Date.now() - start, ...details };
+    } catch (error) {
+        log.warn(`Health check '${name}' failed`, { error: error.message });
+        return { ok: false, latency_ms: Date.now() - start, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function checkStorage() {
+    const storage = getStorage();
+    await storage.head(STORAGE_PROBE_KEY);
+    return { driver: storage.name };
+}
+
+async function checkUpstream() {
+    const result = await pingUpstream(healthConfig.timeoutMs);
+    if (!result.ok) {
+        throw new Error(result.error);
+    }
+    return { circuit: result.circuit };
+}
+
+async function buildReport() {
+    const [storage, upstream] = await Promise.all([
+        runCheck('storage', checkStorage),
+        runCheck('upstream', checkUpstream)
+    ]);
+    let status = 'ok';
+    if (!storage.ok) status = 'unavailable';
+    else if (!upstream.ok) status = 'degraded';
+    return { status, checked_at: new Date().toISOString(), checks: { storage, upstream } };
+}
+
+/**
+ * Describes the process for the liveness probe.
+ * @returns {object} - { status: "ok", started_at, uptime_seconds }
+ */
+function getLiveness() {
+    return {
+        status: 'ok',
+        started_at: startedAt.toISOString(),
+        uptime_seconds: Math.round((Date.now() - startedAt.getTime()) / 1000)
+    };
+}
+
+/**
+ * Checks storage and bible.com for the readiness probe. Concurrent callers share one run, and a
+ * recent result is reused.
+ * @returns {Promise<object>} - { status: "ok" | "degraded" | "unavailable", checked_at, checks: { storage, upstream } }
+ *   ("unavailable" means the replica should not receive traffic).
+ */
+function checkReadiness() {
+    if (lastReport && Date.now() - lastReport.checkedAt < healthConfig.cacheSeconds * 1000) {
+        return Promise.resolve(lastReport.report);
+    }
+    if (!pendingReport) {
+        pendingReport = buildReport()
+            .then(report => {
+                lastReport = { report, checkedAt: Date.now() };
+                return report;
+            })
+            .finally(() => {
+                pendingReport = null;
+            });
+    }
+    return pendingReport;
+}
+
+module.exports = {
+    getLiveness,
+    checkReadiness
+};
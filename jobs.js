@@ -0,0 +1,277 @@
+const { v4: uuidv4 } = require('uuid');
+const { putJson, getJson } = require('./utils');
+const { getStorage } = require('./storage');
+const { getConfig } = require('./config');
+const { createLogger, withLogContext } = require('./logger');
+const { createCounter, createGauge } = require('./metrics');
+
+// --- Persistent background job queue ---
+// Jobs are stored under `jobs/{type}/{id}.json` so their state survives a restart; unfinished
+// jobs are re-queued by restore(). Jobs with the same key share one run while queued or running.
+// A running job logs with its own `job_id` (not the id of the request that queued it). Finished jobs
+// stay in memory for JOB_RETENTION_MINUTES (default 60); after that they are read back from storage.
+
+const log = createLogger('jobs');
+const JOB_RETENTION_MS = getConfig().jobs.retentionMinutes * 60 * 1000;
+const finishedJobs = createCounter('jobs_finished_total', 'Background jobs finished, by type and status (done or failed).', ['type', 'status']);
+const queues = new Map(); // type -> stats(), for the queue gauges
+createGauge('jobs_queued', 'Background jobs waiting to run, by type.', () =>
+    [...queues].map(([type, stats]) => ({ labels: { type }, value: stats().queued }))
+);
+createGauge('jobs_running', 'Background jobs running, by type.', () =>
+    [...queues].map(([type, stats]) => ({ labels: { type }, value: stats().running }))
+);
+
+/**
+ * Creates a job queue.
+ * @param {object} options
+ * @param {string} options.type - Job type, used in storage keys (e.g., "audio").
+ * @param {number} options.concurrency - Maximum number of jobs running at once.
+ * @param {string[]} options.steps - Names of the steps every job reports progress for.
+ * @param {function(object, object): Promise<object>} options.run - Runs a job: receives the job params and a
+ *   progress reporter ({ start(step), update(step, fraction), done(step) }) and resolves with the job result.
+ * @returns {object} - The queue: { enqueue, get, waitFor, restore, stats }.
+ */
+function createJobQueue({ type, concurrency, steps, run }) {
+    const jobs = new Map(); // id -> job (in memory)
+    const activeByKey = new Map(); // dedupe key -> id of the queued/running job
+    const waiters = new Map(); // id -> [resolve] callbacks waiting for the job to finish
+    const queue = []; // ids waiting to run
+    let running = 0;
+
+    const storageKey = id => `jobs/${type}/${id}.json`;
+
+    const writes = new Map(); // id -> promise of the job's last storage write
+
+    // Saves the job; writes for the same job are chained so an older state never overwrites a newer one
+    function persist(job) {
+        job.updated_at = new Date().toISOString();
+        const previous = writes.get(job.id) || Promise.resolve();
+        const write = previous.then(() => putJson(storageKey(job.id), job)).catch(storageError => {
+            log.error(`Error saving ${type} job ${job.id} to storage`, { error: storageError.message });
+        });
+        writes.set(job.id, write);
+        write.then(() => {
+            if (writes.get(job.id) === write) writes.delete(job.id);
+        });
+        return write;
+    }
+
+    function findStep(job, name) {
+        return job.steps.find(step => step.name === name);
+    }
+
+    function createProgressReporter(job) {
+        return {
+            start(name) {
+                const step = findStep(job, name);
+                if (step) {
+                    step.status = 'running';
+                    step.progress = 0;
+                }
+                persist(job);
+            },
+            update(name, fraction) {
+                const step = findStep(job, name);
+                if (step) {
+                    step.progress = Math.max(0, Math.min(1, fraction));
+                }
+                persist(job);
+            },
+            done(name) {
+                const step = findStep(job, name);
+                if (step) {
+                    step.status = 'done';
+                    step.progress = 1;
+                }
+                persist(job);
+            }
+        };
+    }
+
+    function finish(job) {
+        activeByKey.delete(job.key);
+        (waiters.get(job.id) || []).forEach(resolve => resolve(job));
+        waiters.delete(job.id);
+        // Evict once the last write has landed, so get() finds the final state in storage
+        setTimeout(() => {
+            (writes.get(job.id) || Promise.resolve()).then(() => jobs.delete(job.id));
+        }, JOB_RETENTION_MS).unref();
+    }
+
+    async function execute(job) {
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        await persist(job);
+        log.info(`Running ${type} job ${job.id}`, { key: job.key });
+
+        try {
+            job.result = await run(job.params, createProgressReporter(job));
+            job.status = 'done';
+            log.info(`${type} job ${job.id} finished`);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            const step = job.steps.find(s => s.status === 'running');
+            if (step) step.status = 'failed';
+            log.error(`${type} job ${job.id} failed`, { error: error.message });
+        }
+        job.finished_at = new Date().toISOString();
+        finishedJobs.inc({ type, status: job.status });
+        await persist(job);
+        finish(job);
+    }
+
+    function pump() {
+        while (running < concurrency && queue.length > 0) {
+            const job = jobs.get(queue.shift());
+            if (!job) continue;
+            running++;
+            withLogContext({ job_id: job.id, job_type: type }, () => execute(job)).finally(() => {
+                running--;
+                pump();
+            });
+        }
+    }
+
+    /**
+     * Queues a job, or returns the queued/running job with the same key.
+     * @param {string} key - Dedupe key (identical work shares one job).
+     * @param {object} params - JSON-serializable job parameters passed to run().
+     * @returns {{job: object, coalesced: boolean}}
+     */
+    function enqueue(key, params) {
+        const activeId = activeByKey.get(key);
+        if (activeId && jobs.has(activeId)) {
+            return { job: jobs.get(activeId), coalesced: true };
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            type,
+            key,
+            status: 'queued',
+            params,
+            steps: steps.map(name => ({ name, status: 'pending', progress: 0 })),
+            result: null,
+            error: null,
+            created_at: now,
+            updated_at: now
+        };
+        jobs.set(job.id, job);
+        activeByKey.set(key, job.id);
+        queue.push(job.id);
+        persist(job);
+        pump();
+        return { job, coalesced: false };
+    }
+
+    /**
+     * Returns a job by id, loading it from storage if it is not in memory.
+     * @param {string} id - The job id.
+     * @returns {Promise<object|null>}
+     */
+    async function get(id) {
+        if (jobs.has(id)) return jobs.get(id);
+        if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+        const stored = await getJson(storageKey(id));
+        return stored && stored.type === type ? stored : null;
+    }
+
+    /**
+     * Resolves when the job is done or failed, or when `timeoutMs` expires first.
+     * @param {string} id - The job id.
+     * @param {number} [timeoutMs] - How long to wait (default: until the job finishes).
+     * @returns {Promise<object>} - The job: finished, or still queued or running after the timeout.
+     */
+    function waitFor(id, timeoutMs) {
+        const job = jobs.get(id);
+        if (!job || job.status === 'done' || job.status === 'failed') {
+            return Promise.resolve(job);
+        }
+        return new Promise(resolve => {
+            let timer = null;
+            const settle = () => {
+                clearTimeout(timer);
+                const remaining = (waiters.get(id) || []).filter(waiter => waiter !== settle);
+                if (remaining.length > 0) waiters.set(id, remaining);
+                else waiters.delete(id);
+                resolve(job);
+            };
+            if (!waiters.has(id)) waiters.set(id, []);
+            waiters.get(id).push(settle);
+            if (timeoutMs !== undefined) {
+                timer = setTimeout(settle, timeoutMs);
+            }
+        });
+    }
+
+    /**
+     * Re-queues jobs that were queued or running when the process stopped.
+     * @returns {Promise<number>} - The number of re-queued jobs.
+     */
+    async function restore() {
+        let keys = [];
+        try {
+            keys = await getStorage().list(`jobs/${type}/`);
+        } catch (error) {
+            log.error(`Failed to list ${type} jobs in storage`, { error: error.message });
+            return 0;
+        }
+
+        let restored = 0;
+        for (const key of keys) {
+            const job = await getJson(key);
+            if (!job || (job.status !== 'queued' && job.status !== 'running')) continue;
+            if (activeByKey.has(job.key)) continue;
+
+            job.status = 'queued';
+            job.steps = steps.map(name => ({ name, status: 'pending', progress: 0 }));
+            jobs.set(job.id, job);
+            activeByKey.set(job.key, job.id);
+            queue.push(job.id);
+            restored++;
+        }
+        if (restored > 0) {
+            log.info(`Restored ${restored} unfinished ${type} job(s) from storage.`);
+        }
+        pump();
+        return restored;
+    }
+
+    /**
+     * Returns queue counters.
+     * @returns {{queued: number, running: number}}
+     */
+    function stats() {
+        return { queued: queue.length, running };
+    }
+
+    queues.set(type, stats);
+    return { enqueue, get, waitFor, restore, stats };
+}
+
+/**
+ * Formats a job for API responses (internal parameters are left out).
+ * @param {object} job - A job.
+ * @returns {object} - The public job view.
+ */
+function formatJob(job) {
+    return {
+        job_id: job.id,
+        status: job.status,
+        steps: job.steps,
+        result: job.result,
+        error: job.error,
+        created_at: job.created_at,
+        started_at: job.started_at || null,
+        finished_at: job.finished_at || null,
+        updated_at: job.updated_at
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    formatJob
+};
@@ -0,0 +1,136 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+// --- Structured logging ---
+// Every line is one JSON object: { time, level, component, msg, ...context, ...fields }. The context is
+// carried through async calls, so everything logged while handling a request carries its `request_id`
+// (taken from a valid incoming X-Request-Id header or generated, and echoed in the response), and
+// everything logged by a background job carries its `job_id`.
+// LOG_LEVEL (debug | info | warn | error, default info) drops the less severe lines; LOG_FORMAT=pretty
+// prints one readable line per entry for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logConfig = getConfig().log;
+const LOG_LEVEL = LEVELS[logConfig.level];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const contextStorage = new AsyncLocalStorage(); // { fields, req }
+
+// Turns whatever was passed as fields into a plain object (an Error or a string becomes `error`)
+function normalizeFields(fields) {
+    if (fields === undefined || fields === null) return {};
+    if (fields instanceof Error) {
+        return { error: fields.message, ...(fields.status ? { status: fields.status } : {}), stack: fields.stack };
+    }
+    if (typeof fields !== 'object') return { error: String(fields) };
+    return fields;
+}
+
+function write(level, component, message, fields) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: message,
+        ...contextStorage.getStore()?.fields,
+        ...normalizeFields(fields)
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    if (logConfig.format === 'pretty') {
+        const { time, msg, ...rest } = entry;
+        const extra = Object.entries(rest)
+            .filter(([key, value]) => value !== undefined && key !== 'level' && key !== 'component' && key !== 'stack')
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra ? ` ${extra}` : ''}\n`);
+        if (rest.stack && level === 'error') stream.write(`${rest.stack}\n`);
+        return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Creates a logger for a component (e.g., "upstream").
+ * @param {string} component - Shown as `component` on every line.
+ * @returns {object} - { debug, info, warn, error }, each taking (message, [fields]). Fields may be an
+ *   object of extra properties, an Error or a string (both logged as `error`).
+ */
+function createLogger(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields)
+    };
+}
+
+/**
+ * Runs a function in its own log context (e.g., a background job's), detached from the request that
+ * started it: every line it logs, including from async work it starts, carries the given fields.
+ * @param {object} fields - e.g., { job_id, job_type }.
+ * @param {function(): *} fn - The function to run.
+ * @returns {*} - What the function returns.
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ fields }, fn);
+}
+
+/**
+ * Returns the request being handled in the current async context, if any.
+ * @returns {object|undefined} - The Express request.
+ */
+function getCurrentRequest() {
+    return contextStorage.getStore()?.req;
+}
+
+/**
+ * Returns the log context fields of the current async context (e.g., { request_id } or { job_id }).
+ * @returns {object}
+ */
+function getLogContext() {
+    return contextStorage.getStore()?.fields || {};
+}
+
+const accessLog = createLogger('http');
+
+/**
+ * Express middleware that assigns the request id, runs the rest of the request in its log context and
+ * logs one line per finished request (method, path, status, duration and API key).
+ * @returns {function} - The middleware.
+ */
+function requestContext() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        const startedAt = process.hrtime.bigint();
+
+        contextStorage.run({ fields: { request_id: req.id }, req }, () => {
+            res.on('finish', AsyncLocalStorage.bind(() => {
+                const status = res.statusCode;
+                const fields = {
+                    method: req.method,
+                    path: req.originalUrl,
+                    status,
+                    duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                    api_key: req.auth?.key?.id,
+                    ip: req.ip
+                };
+                if (status >= 500) accessLog.error('Request failed', fields);
+                else if (status >= 400) accessLog.warn('Request rejected', fields);
+                else accessLog.info('Request handled', fields);
+            }));
+            next();
+        });
+    };
+}
+
+module.exports = {
+    createLogger,
+    withLogContext,
+    getCurrentRequest,
+    getLogContext,
+    requestContext
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getCurrentRequest, getLogContext } = require('./logger');
+const { sendError } = require('./errors');
+
+// --- Prometheus metrics ---
+// A small registry of counters, gauges and histograms, rendered in the Prometheus text format by
+// GET /metrics. Modules create their metrics at load time and update them where the work happens:
+//   http_*      requests by method, route and status (server.js)
+//   cache_*     in-process cache lookups by cache, route and result (cache.js)
+//   upstream_*  bible.com latency, response codes, BUILD_ID refreshes and circuit state (upstream.js)
+//   tts_*       synthesized characters and provider latency (tts.js)
+//   ffmpeg_*    ffmpeg/ffprobe run times (utils.js, tts.js)
+//   storage_*   storage operations and their failures, e.g. failed uploads (storage.js)
+//   process_*   memory, uptime and event loop lag
+// With METRICS_TOKEN set, scrapes must send it as a bearer token.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SLOW_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const registry = new Map(); // name -> metric
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+// Keys a series by its label values, in the order the metric declares its labels
+function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name]))));
+}
+
+function seriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function register(metric) {
+    if (registry.has(metric.name)) {
+        throw new Error(`Metric ${metric.name} is already registered.`);
+    }
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+/**
+ * Creates a counter.
+ * @param {string} name - Metric name (e.g., "http_requests_total").
+ * @param {string} help - Description.
+ * @param {string[]} [labelNames] - Label names.
+ * @returns {object} - { inc(labels, [amount]) }
+ */
+function createCounter(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+        name,
+        inc(labels, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            values.forEach((value, key) => lines.push(`${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`));
+            return lines;
+        }
+    });
+}
+
+/**
+ * Creates a gauge whose value is read when the metrics are rendered.
+ * @param {string} name - Metric name.
+ * @param {string} help - Description.
+ * @param {function(): (number|Array<{labels: object, value: number}>)} collect - Returns the value, or one
+ *   value per label set.
+ * @returns {object}
+ */
+function createGauge(name, help, collect) {
+    return register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+            const result = collect();
+            (Array.isArray(result) ? result : [{ labels: {}, value: result }]).forEach(({ labels, value }) => {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            });
+            return lines;
+        }
+    });
+}
+
+/**
+ * Creates a histogram.
+ * @param {string} name - Metric name (e.g., "upstream_request_duration_seconds").
+ * @param {string} help - Description.
+ * @param {string[]} [labelNames] - Label names.
+ * @param {number[]} [buckets] - Upper bounds (defaults to 5 ms .. 10 s).
+ * @returns {object} - { observe(labels, value), startTimer(labels) -> end([labels]) }
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { counts, sum, count }
+
+    function observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+            series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    return register({
+        name,
+        observe,
+        startTimer(labels = {}) {
+            const startedAt = process.hrtime.bigint();
+            return (moreLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                observe({ ...labels, ...moreLabels }, seconds);
+                return seconds;
+            };
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            series.forEach((entry, key) => {
+                const labels = seriesLabels(labelNames, key);
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+            });
+            return lines;
+        }
+    });
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format.
+ * @returns {string}
+ */
+function renderMetrics() {
+    return [...registry.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+/**
+ * Express handler serving the metrics to Prometheus (401 without the METRICS_TOKEN bearer token, if set).
+ * @returns {function} - The handler.
+ */
+function metricsEndpoint() {
+    const token = getConfig().metrics.token;
+    const expected = token ? Buffer.from(`Bearer ${token}`) : null;
+    return (req, res) => {
+        if (expected) {
+            const provided = Buffer.from(req.get('Authorization') || '');
+            if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+                return sendError(res, 401, 'Metrics require the METRICS_TOKEN bearer token (Authorization: Bearer <token>).');
+            }
+        }
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        return res.send(renderMetrics());
+    };
+}
+
+/**
+ * Names the route a request matched as a label, e.g. "/api/:lang/:bible_usfm/:bible_book/:bible_chapter"
+ * (never the raw path, which would create a series per URL).
+ * @param {object} [req] - The Express request.
+ * @returns {string} - The route, "unmatched" for requests no route handled, or "none" without a request.
+ */
+function routeLabel(req) {
+    if (!req) return 'none';
+    if (!req.route) return 'unmatched';
+    const routePath = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+    return `${req.baseUrl || ''}${routePath}`;
+}
+
+/**
+ * Names what the current async context is working for: the matched route while handling a request,
+ * "job:{type}" inside a background job and "background" otherwise (e.g., scheduled refreshes).
+ * @returns {string}
+ */
+function currentRouteLabel() {
+    const req = getCurrentRequest();
+    if (req) return routeLabel(req);
+    const { job_type } = getLogContext();
+    return job_type ? `job:${job_type}` : 'background';
+}
+
+// --- HTTP ---
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by method, route and status.', ['method', 'route', 'status']);
+const httpDuration = createHistogram('http_request_duration_seconds', 'HTTP request latency by method and route.', ['method', 'route']);
+
+/**
+ * Express middleware recording every request's route, status and latency.
+ * @returns {function} - The middleware.
+ */
+function httpMetrics() {
+    return (req, res, next) => {
+        const end = httpDuration.startTimer();
+        res.on('finish', () => {
+            const route = routeLabel(req);
+            end({ method: req.method, route });
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        });
+        next();
+    };
+}
+
+// --- Process ---
+const startedAt = Date.now();
+let eventLoopLag = 0;
+let lagCheckAt = Date.now();
+setInterval(() => {
+    const now = Date.now();
+    eventLoopLag = Math.max(0, now - lagCheckAt - 1000) / 1000;
+    lagCheckAt = now;
+}, 1000).unref();
+
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+createGauge('process_heap_used_bytes', 'V8 heap in use in bytes.', () => process.memoryUsage().heapUsed);
+createGauge('process_uptime_seconds', 'Seconds since the process started.', () => Math.round((Date.now() - startedAt) / 1000));
+createGauge('process_event_loop_lag_seconds', 'How late the last one-second timer fired.', () => eventLoopLag);
+
+module.exports = {
+    SLOW_BUCKETS,
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    metricsEndpoint,
+    routeLabel,
+    currentRouteLabel,
+    httpMetrics
+};
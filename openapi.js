@@ -0,0 +1,866 @@
+const { getConfig } = require('./config');
+const { validateSchema } = require('./schema');
+const { sendError } = require('./errors');
+const { BOOK_GROUPS } = require('./books');
+const { API_KEY_SCOPES } = require('./apikeys');
+const { TTS_PROVIDER_NAMES, speechifyVoices } = require('./tts');
+const { createLogger } = require('./logger');
+const { version: packageVersion } = require('./package.json');
+
+// --- OpenAPI document ---
+// Describes every route in biblia.js (OpenAPI 3.0), served at GET /openapi.json with a docs UI at
+// GET /docs. The same document validates requests at runtime: each route runs validateRequest(operationId)
+// first, which answers 400 `validation_failed` for params, query strings or bodies that do not match.
+// With VALIDATE_RESPONSES (on by default when NODE_ENV=development), JSON responses are checked too and
+// mismatches are logged as errors, so shape regressions show up while developing.
+
+const log = createLogger('openapi');
+
+// --- Schema helpers ---
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const nullable = schema => (schema.$ref ? { nullable: true, allOf: [schema] } : { ...schema, nullable: true });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = [], extra = {}) => ({ type: 'object', properties, ...(required.length > 0 ? { required } : {}), ...extra });
+const dataOf = schema => object({ data: schema }, ['data']);
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+const jsonResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+const errorResponse = description => jsonResponse(description, ref('Error'));
+
+// Content types of the chapter, verse and passage routes (?format= or the Accept header)
+const FORMATTED_CONTENT_TYPES = ['text/plain', 'text/markdown', 'text/html', 'text/x-usfm', 'application/xml'];
+const formattedResponse = (description, schema) => ({
+    description,
+    content: {
+        ...jsonContent(schema),
+        ...Object.fromEntries(FORMATTED_CONTENT_TYPES.map(type => [type, { schema: { type: 'string' } }]))
+    }
+});
+
+// Whole books and chapter ranges: the formatted content types, plus NDJSON lines ({ type: "book" }, one
+// { type: "chapter" } per chapter, then { type: "end" } or { type: "error" })
+const bookChaptersResponse = description => {
+    const response = formattedResponse(description, dataOf(object({
+        version: string('Version abbreviation.'),
+        language: string('Version language.'),
+        book: string('USFM book code.'),
+        human: string('Book name in the version.'),
+        title: string('Book name, with the chapters of a range.'),
+        from: integer('First chapter.'),
+        to: integer('Last chapter.'),
+        chapter_count: integer('Chapters returned.'),
+        direction: nullable(string('Text direction.')),
+        copyright: nullable(string('Copyright notice.')),
+        chapters: arrayOf(object({
+            chapter: integer('Chapter number.'),
+            title: string('Chapter title.'),
+            usfm: string('Chapter USFM.'),
+            content: arrayOf(ref('ContentItem'))
+        }, ['chapter', 'usfm', 'content']))
+    }, ['book', 'from', 'to', 'chapters'])));
+    response.content['application/x-ndjson'] = { schema: { type: 'string' } };
+    return response;
+};
+
+// --- Parameters ---
+const pathParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema = { type: 'string' }, required = false) => ({ name, in: 'query', required, description, schema });
+
+const params = {
+    lang: pathParam('lang', 'ISO 639-1 or ISO 639-3 language code of the version (e.g., "es").'),
+    bible_usfm: pathParam('bible_usfm', 'Version abbreviation (e.g., "RVR1960").'),
+    bible_book: pathParam('bible_book', 'USFM book code (e.g., "JHN"); see GET /books.'),
+    bible_chapter: pathParam('bible_chapter', 'Chapter number.', { type: 'string', pattern: '^\\d+$' }),
+    verses: pathParam('verses', 'Verses, e.g. "16", "16-18" or "1-3,7,9-11".'),
+    format: queryParam('format', 'Output format: json, text, markdown, html, usfm or osis (default: from the Accept header, else json).'),
+    versionQuery: queryParam('version', 'Version abbreviation (e.g., "RVR1960").', { type: 'string' }, true),
+    langQuery: queryParam('lang', 'Language the version must be in (ISO 639-1 or ISO 639-3).'),
+    bookFormat: queryParam('format', 'Output format: json, ndjson (streamed, one line per chapter), text, markdown, html, usfm or osis (default: from the Accept header, else json).'),
+    jobId: pathParam('id', 'Job id.')
+};
+
+// --- Request bodies ---
+const jsonBody = schema => ({ required: true, content: jsonContent(schema) });
+
+// Speechify only knows a fixed list of voices; it applies when tts_provider is "speechify", or is
+// left out while TTS_PROVIDER is speechify. Other providers take free-form voice names.
+const ttsVoiceRule = () => {
+    const defaultIsSpeechify = getConfig().tts.provider.toLowerCase() === 'speechify';
+    const otherProviders = TTS_PROVIDER_NAMES.filter(name => name !== 'speechify');
+    return {
+        anyOf: [
+            object({ tts_provider: { enum: ['speechify'] }, voice: { enum: Object.keys(speechifyVoices) } }, defaultIsSpeechify ? [] : ['tts_provider']),
+            object({ tts_provider: { enum: otherProviders } }, defaultIsSpeechify ? ['tts_provider'] : [])
+        ]
+    };
+};
+
+// --- Operations ---
+// operationId -> { method, paths, ... }: the first path is canonical, later ones are aliases
+// (documented as their own operations, `{operationId}Alias`). `parameters` lists every parameter
+// any of the paths takes; path parameters are only documented on the paths that contain them.
+const operations = {
+    getFile: {
+        method: 'get',
+        paths: ['/files/{key}'],
+        tags: ['Files'],
+        summary: 'Serve a stored object (audio, timing sidecars, bundles) for storage drivers without a public URL.',
+        parameters: [pathParam('key', 'Storage key under audio/ or bundles/ (may contain slashes); other keys are not served.')],
+        responses: {
+            200: { description: 'The stored object, with its content type.', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+            default: errorResponse('File not found or storage error.')
+        }
+    },
+    listVersions: {
+        method: 'get',
+        paths: ['/versions'],
+        tags: ['Versions'],
+        summary: "List bible.com's default versions configuration.",
+        responses: {
+            200: jsonResponse('Versions configuration (as served by bible.com).', dataOf({})),
+            default: errorResponse('bible.com could not be reached.')
+        }
+    },
+    listVersionsByLanguage: {
+        method: 'get',
+        paths: ['/versions/{lang}'],
+        tags: ['Versions'],
+        summary: 'List every version available in a language.',
+        parameters: [params.lang],
+        responses: {
+            200: jsonResponse('Versions in the language (as served by bible.com).', dataOf({})),
+            default: errorResponse('Unknown language code or bible.com error.')
+        }
+    },
+    listBooks: {
+        method: 'get',
+        paths: ['/books'],
+        tags: ['Books'],
+        summary: "List the canonical book registry, or one version's books with its chapter counts.",
+        parameters: [
+            queryParam('group', 'Only books of a group: ot (Old Testament), nt (New Testament) or dc (deuterocanon).', { type: 'string', enum: BOOK_GROUPS }),
+            queryParam('version', "Only this version's books, with its chapter counts and localized names."),
+            params.langQuery
+        ],
+        responses: {
+            200: jsonResponse('Books in canonical order.', dataOf(object({
+                version: string('Version abbreviation (with ?version=).'),
+                language: string('Version language (with ?version=).'),
+                books: arrayOf(ref('Book'))
+            }, ['books']))),
+            default: errorResponse('Invalid group or version.')
+        }
+    },
+    getCacheStats: {
+        method: 'get',
+        paths: ['/admin/cache'],
+        tags: ['Admin'],
+        summary: 'In-process cache statistics.',
+        responses: {
+            200: jsonResponse('Cache statistics.', dataOf(object({
+                memory: object({
+                    name: string('Cache name.'),
+                    entries: integer('Cached documents.'),
+                    size: integer('Cached bytes.'),
+                    hit_ratio: nullable({ type: 'number', description: 'Hits (fresh or stale) per lookup.' })
+                }, ['name', 'entries', 'size']),
+                storage: object({ driver: string('Storage driver.') }, ['driver'])
+            }, ['memory', 'storage']))),
+            default: errorResponse('Not authorized.')
+        }
+    },
+    getConfig: {
+        method: 'get',
+        paths: ['/admin/config'],
+        tags: ['Admin'],
+        summary: 'Settings in effect and where each came from (secrets redacted).',
+        responses: {
+            200: jsonResponse('Settings.', dataOf(object({
+                config_file: nullable(string('CONFIG_FILE in use.')),
+                settings: arrayOf(object({
+                    name: string('Setting name.'),
+                    value: { description: 'Parsed value, "[redacted]" for secrets.' },
+                    source: nullable(string('Where the value came from (env, file or default); null when unset.'))
+                }, ['name', 'source']))
+            }, ['settings']))),
+            default: errorResponse('Not authorized.')
+        }
+    },
+    getUpstreamStatus: {
+        method: 'get',
+        paths: ['/admin/upstream'],
+        tags: ['Admin'],
+        summary: 'bible.com client state: circuit breaker, BUILD_ID and request counters.',
+        responses: {
+            200: jsonResponse('Client state.', dataOf(object({
+                circuit: object({
+                    state: string('Circuit state.', { enum: ['closed', 'open', 'half_open'] }),
+                    consecutive_failures: integer('Failures in a row.'),
+                    opened_at: nullable(string('When the circuit opened.')),
+                    retry_at: nullable(string('When the next trial request is allowed.'))
+                }, ['state']),
+                build_id: object({
+                    value: nullable(string('Current BUILD_ID.')),
+                    fetched_at: nullable(string('When it was fetched.'))
+                })
+            }, ['circuit', 'build_id']))),
+            default: errorResponse('Not authorized.')
+        }
+    },
+    purgeCache: {
+        method: 'post',
+        paths: ['/admin/cache/purge'],
+        tags: ['Admin'],
+        summary: 'Purge cached documents by key prefix (and, with storage: true, the stored objects).',
+        requestBody: jsonBody(object({
+            prefix: string('Key prefix starting with text/, versions/ or audio/ (e.g., "text/es/RVR1960/JHN/").'),
+            storage: { type: 'boolean', description: 'Delete the stored objects too.' }
+        }, ['prefix'])),
+        responses: {
+            200: jsonResponse('Purged entries.', dataOf(object({
+                prefix: string('The prefix.'),
+                memory_entries: integer('In-process entries removed.'),
+                storage_objects: nullable(integer('Stored objects deleted (null when storage was kept).'))
+            }, ['prefix', 'memory_entries', 'storage_objects']))),
+            default: errorResponse('Invalid prefix or storage error.')
+        }
+    },
+    refreshCache: {
+        method: 'post',
+        paths: ['/admin/cache/refresh'],
+        tags: ['Admin'],
+        summary: 'Fetch a chapter (or, without a book, the version info) again from bible.com.',
+        requestBody: jsonBody(object({
+            version: string('Version abbreviation.'),
+            lang: string('Language the version must be in.'),
+            book: string('USFM book code.'),
+            chapter: { oneOf: [{ type: 'string', pattern: '^\\d+$' }, { type: 'integer', minimum: 1 }], description: 'Chapter number (required with book).' }
+        }, ['version'])),
+        responses: {
+            200: jsonResponse('Refreshed document.', dataOf(object({
+                refreshed: string('Cache key of the refreshed document.'),
+                title: string('Its title.')
+            }, ['refreshed']))),
+            default: errorResponse('Invalid request or bible.com error.')
+        }
+    },
+    createApiKey: {
+        method: 'post',
+        paths: ['/admin/keys'],
+        tags: ['Admin'],
+        summary: 'Issue an API key (the key itself is only returned here).',
+        requestBody: jsonBody(object({
+            name: string('Who the key is for.', { minLength: 1 }),
+            scopes: arrayOf({ type: 'string', enum: API_KEY_SCOPES }, { minItems: 1 }),
+            rate_per_minute: nullable(integer('Requests per minute (null: no rate limit).', { minimum: 1 })),
+            daily_requests: nullable(integer('Requests per day (null: unlimited).', { minimum: 0 })),
+            daily_tts_characters: nullable(integer('TTS characters per day (null: unlimited).', { minimum: 0 }))
+        }, ['name', 'scopes'])),
+        responses: {
+            201: jsonResponse('The new key.', dataOf({ allOf: [ref('ApiKey')], ...object({ key: string('The API key (not retrievable later).') }, ['key']) })),
+            default: errorResponse('Invalid options.')
+        }
+    },
+    listApiKeys: {
+        method: 'get',
+        paths: ['/admin/keys'],
+        tags: ['Admin'],
+        summary: "List API keys with today's usage.",
+        responses: {
+            200: jsonResponse('API keys.', dataOf(arrayOf(ref('ApiKey')))),
+            default: errorResponse('Not authorized.')
+        }
+    },
+    getApiKey: {
+        method: 'get',
+        paths: ['/admin/keys/{id}'],
+        tags: ['Admin'],
+        summary: "Show an API key with today's usage.",
+        parameters: [pathParam('id', 'Key id.')],
+        responses: {
+            200: jsonResponse('The key.', dataOf(ref('ApiKey'))),
+            default: errorResponse('Key not found.')
+        }
+    },
+    revokeApiKey: {
+        method: 'delete',
+        paths: ['/admin/keys/{id}'],
+        tags: ['Admin'],
+        summary: 'Revoke an API key.',
+        parameters: [pathParam('id', 'Key id.')],
+        responses: {
+            200: jsonResponse('The revoked key.', dataOf(ref('ApiKey'))),
+            default: errorResponse('Key not found.')
+        }
+    },
+    createBundle: {
+        method: 'post',
+        paths: ['/bundles'],
+        tags: ['Bundles'],
+        summary: 'Start a whole-version offline bundle export (SQLite with FTS5).',
+        requestBody: jsonBody(object({
+            version: string('Version abbreviation.'),
+            lang: string('Language the version must be in.'),
+            refresh: { type: 'boolean', description: 'Export again even if a bundle exists.' }
+        }, ['version'])),
+        responses: {
+            200: jsonResponse('The bundle already exists.', object({
+                status: string('Always "done".', { enum: ['done'] }),
+                bundle_url: string('Download URL.'),
+                version: string('Version abbreviation.'),
+                language: string('Version language.')
+            }, ['status', 'bundle_url'])),
+            202: jsonResponse('The export was queued (or joins one in progress).', ref('JobAccepted')),
+            default: errorResponse('Invalid version.')
+        }
+    },
+    getBundleJob: {
+        method: 'get',
+        paths: ['/bundles/jobs/{id}'],
+        tags: ['Bundles'],
+        summary: 'Status of a bundle export.',
+        parameters: [params.jobId],
+        responses: {
+            200: jsonResponse('The job.', ref('Job')),
+            default: errorResponse('Job not found.')
+        }
+    },
+    getAudioJob: {
+        method: 'get',
+        paths: ['/audio/jobs/{id}'],
+        tags: ['Audio'],
+        summary: 'Status of a queued audio job.',
+        parameters: [params.jobId],
+        responses: {
+            200: jsonResponse('The job.', ref('Job')),
+            default: errorResponse('Job not found.')
+        }
+    },
+    getAudioTiming: {
+        method: 'get',
+        paths: ['/audio/timing/{lang}/{bible_usfm}/{bible_book}/{bible_chapter}'],
+        tags: ['Audio'],
+        summary: 'Verse timing of generated chapter audio.',
+        parameters: [
+            params.lang, params.bible_usfm, params.bible_book, params.bible_chapter,
+            queryParam('tts_provider', 'TTS provider (default: TTS_PROVIDER).', { type: 'string', enum: TTS_PROVIDER_NAMES }),
+            queryParam('voice', 'Voice (default: the language default).')
+        ],
+        responses: {
+            200: jsonResponse('The timing sidecar.', dataOf(ref('AudioTiming'))),
+            default: errorResponse('Invalid chapter, or no audio generated yet.')
+        }
+    },
+    compareChapter: {
+        method: 'get',
+        paths: ['/compare/{bible_book}/{bible_chapter}'],
+        tags: ['Bible'],
+        summary: 'Compare one chapter across 2 to 6 versions, aligned verse by verse.',
+        parameters: [
+            params.bible_book, params.bible_chapter,
+            queryParam('versions', 'Comma-separated version abbreviations (e.g., "RVR1960,NVI-S").', { type: 'string' }, true),
+            params.langQuery,
+            queryParam('diff', 'Word diff between exactly two versions.', { type: 'string', enum: ['words', 'true', '1'] })
+        ],
+        responses: {
+            200: jsonResponse('Aligned rows.', dataOf(object({
+                book: string('USFM book code.'),
+                chapter: integer('Chapter number.'),
+                versions: arrayOf(object({
+                    abbreviation: string('Version abbreviation.'),
+                    language: string('Version language.'),
+                    title: string('Chapter title.')
+                }, ['abbreviation'])),
+                diff: nullable(object({ mode: string('Diff mode.'), from: string('First version.'), to: string('Second version.') })),
+                rows: arrayOf(object({
+                    usfm: string('Verse USFM.'),
+                    number: integer('Verse number.'),
+                    texts: { type: 'object', additionalProperties: nullable({ type: 'string' }), description: 'Text by version (null where missing).' },
+                    combined: { type: 'object', description: 'Verse ranges combined by a version.' },
+                    missing: arrayOf({ type: 'string' }),
+                    diff: nullable(arrayOf(object({ op: string('equal, delete or insert.'), text: string('Words.') })))
+                }, ['usfm', 'texts', 'missing'])),
+                missing_count: integer('Rows missing from some version.')
+            }, ['book', 'chapter', 'versions', 'rows']))),
+            default: errorResponse('Invalid versions, chapter or diff mode.')
+        }
+    },
+    getCrossReferences: {
+        method: 'get',
+        paths: ['/crossrefs/{bible_usfm}/{bible_book}/{bible_chapter}/{verse}'],
+        tags: ['Bible'],
+        summary: "A verse's cross references both ways, optionally with each passage's text.",
+        parameters: [
+            params.bible_usfm, params.bible_book, params.bible_chapter,
+            pathParam('verse', 'Verse number.', { type: 'string', pattern: '^\\d+$' }),
+            params.langQuery,
+            queryParam('text', 'Inline each passage\'s text ("true" or "1").')
+        ],
+        responses: {
+            200: jsonResponse('Cross references.', dataOf(object({
+                version: string('Version abbreviation.'),
+                language: string('Version language.'),
+                usfm: string('Verse USFM.'),
+                text: string('Verse text.'),
+                outgoing: arrayOf(object({
+                    label: string('Note label.'),
+                    origin: nullable(string('Note origin.')),
+                    body: string('Note text.'),
+                    targets: arrayOf(object({ usfm: string('Target USFM.'), text: nullable(string('Target text (with ?text=true).')) }, ['usfm']))
+                }, ['targets'])),
+                footnotes: arrayOf(ref('Note')),
+                incoming: arrayOf(object({ source: string('Citing verse USFM.'), target: string('Cited range.'), text: nullable(string('Source text (with ?text=true).')) }, ['source', 'target'])),
+                indexed_chapters: integer('Chapters in the cross-reference graph.')
+            }, ['usfm', 'outgoing', 'footnotes', 'incoming']))),
+            default: errorResponse('Invalid verse or version.')
+        }
+    },
+    getChapterRange: {
+        method: 'get',
+        paths: ['/{lang}/{bible_usfm}/{bible_book}/{from}-{to}', '/{bible_usfm}/{bible_book}/{from}-{to}'],
+        tags: ['Bible'],
+        summary: 'A range of chapters of a book (e.g., GEN/1-11), in order.',
+        parameters: [
+            params.lang, params.bible_usfm, params.bible_book,
+            pathParam('from', 'First chapter.', { type: 'integer', minimum: 1 }),
+            pathParam('to', 'Last chapter.', { type: 'integer', minimum: 1 }),
+            params.bookFormat
+        ],
+        responses: {
+            200: bookChaptersResponse('The chapters.'),
+            default: errorResponse('Unknown version or book, or chapters out of range.')
+        }
+    },
+    getBook: {
+        method: 'get',
+        paths: ['/{lang}/{bible_usfm}/{bible_book}', '/{bible_usfm}/{bible_book}'],
+        tags: ['Bible'],
+        summary: 'Every chapter of a book, in order.',
+        parameters: [params.lang, params.bible_usfm, params.bible_book, params.bookFormat],
+        responses: {
+            200: bookChaptersResponse('The chapters.'),
+            default: errorResponse('Unknown version or book.')
+        }
+    },
+    getVerses: {
+        method: 'get',
+        paths: ['/{lang}/{bible_usfm}/{bible_book}/{bible_chapter}/{verses}', '/{bible_usfm}/{bible_book}/{bible_chapter}/{verses}'],
+        tags: ['Bible'],
+        summary: 'Single verses or verse ranges of a chapter.',
+        parameters: [params.lang, params.bible_usfm, params.bible_book, params.bible_chapter, params.verses, params.format],
+        responses: {
+            200: formattedResponse('The selected verses.', dataOf({ allOf: [ref('Chapter')], ...object({ verses: string('Normalized verse specification.') }, ['verses', 'content']) })),
+            default: errorResponse('Invalid reference, or verses out of range.')
+        }
+    },
+    getChapter: {
+        method: 'get',
+        paths: ['/{lang}/{bible_usfm}/{bible_book}/{bible_chapter}', '/{bible_usfm}/{bible_book}/{bible_chapter}'],
+        tags: ['Bible'],
+        summary: 'A chapter as a flat verse list (or, with layout=structured, as a block tree).',
+        parameters: [
+            params.lang, params.bible_usfm, params.bible_book, params.bible_chapter, params.format,
+            queryParam('layout', 'flat (verse list) or structured (block tree, JSON only).', { type: 'string', enum: ['flat', 'structured'] })
+        ],
+        responses: {
+            200: formattedResponse('The chapter.', dataOf(ref('Chapter'))),
+            default: errorResponse('Unknown version, book or chapter, or bible.com error.')
+        }
+    },
+    getPassage: {
+        method: 'get',
+        paths: ['/passage'],
+        tags: ['Bible'],
+        summary: 'Passages from a free-text reference (e.g., "Juan 3:16-18; Gn 1").',
+        parameters: [queryParam('ref', 'The reference.', { type: 'string', minLength: 1 }, true), params.versionQuery, params.langQuery, params.format],
+        responses: {
+            200: formattedResponse('The passages.', dataOf(object({
+                reference: string('Normalized reference.'),
+                version: string('Version abbreviation.'),
+                language: string('Version language.'),
+                passages: arrayOf(object({
+                    reference: string('Passage reference.'),
+                    usfm: string('Passage USFM range.'),
+                    chapters: arrayOf(object({ title: string('Chapter title.'), usfm: string('Chapter USFM.'), content: arrayOf(ref('ContentItem')) }, ['content']))
+                }, ['reference', 'chapters'])),
+                copyright: nullable(string('Copyright notice.'))
+            }, ['reference', 'passages']))),
+            default: errorResponse('Unparseable reference, verses out of range, or more than PASSAGE_MAX_CHAPTERS chapters or PASSAGE_MAX_VERSES verses.')
+        }
+    },
+    searchVersion: {
+        method: 'get',
+        paths: ['/search'],
+        tags: ['Search'],
+        summary: 'Full-text search over the cached chapters of a version.',
+        parameters: [
+            queryParam('q', 'Words or "quoted phrases".', { type: 'string', minLength: 1 }, true),
+            params.versionQuery,
+            params.langQuery,
+            queryParam('book', 'Comma-separated USFM book codes.'),
+            queryParam('testament', 'ot or nt (deuterocanonical books match neither).', { type: 'string', enum: ['ot', 'nt'] }),
+            queryParam('page', 'Page (from 1).', { type: 'integer', minimum: 1 }),
+            queryParam('per_page', 'Results per page (1-100).', { type: 'integer', minimum: 1, maximum: 100 })
+        ],
+        responses: {
+            200: jsonResponse('Search results.', dataOf(object({
+                query: string('The query.'),
+                version: string('Version abbreviation.'),
+                language: string('Version language.'),
+                total: integer('Matching verses.'),
+                page: integer('Page.'),
+                per_page: integer('Results per page.'),
+                total_pages: integer('Pages.'),
+                indexed_chapters: integer('Chapters searched.'),
+                results: arrayOf(object({
+                    usfm: string('Verse USFM.'),
+                    book: string('USFM book code.'),
+                    chapter: integer('Chapter.'),
+                    verse: integer('Verse.'),
+                    text: string('Verse text.'),
+                    snippet: string('HTML-escaped text with the matches in <mark> tags.'),
+                    score: { type: 'number', description: 'Relevance.' }
+                }, ['usfm', 'text']))
+            }, ['query', 'total', 'results']))),
+            default: errorResponse('Invalid query or version.')
+        }
+    },
+    batchReferences: {
+        method: 'post',
+        paths: ['/batch'],
+        tags: ['Bible'],
+        summary: 'Many chapters or verse selections in one call, with a result or error per item.',
+        requestBody: jsonBody(object({
+            items: arrayOf(object({
+                version: string('Version abbreviation (e.g., "RVR1960").', { minLength: 1 }),
+                lang: string('Language the version must be in (ISO 639-1 or ISO 639-3).'),
+                book: string('USFM book code (e.g., "JHN").', { minLength: 1 }),
+                chapter: { oneOf: [{ type: 'integer' }, { type: 'string' }], description: 'Chapter number.' },
+                verses: { oneOf: [{ type: 'integer' }, { type: 'string' }], description: 'Verses, e.g. 16, "16-18" or "1-3,7" (default: the whole chapter).' }
+            }, ['version', 'book', 'chapter']), { minItems: 1, description: 'The references (at most BATCH_MAX_ITEMS).' })
+        }, ['items'])),
+        responses: {
+            200: jsonResponse('One result per item, in request order.', dataOf(object({
+                items: arrayOf(object({
+                    index: integer('Position of the item in the request.'),
+                    status: integer('HTTP status of the item on its own.'),
+                    data: object({
+                        version: string('Version abbreviation.'),
+                        language: string('Version language.'),
+                        book: string('USFM book code.'),
+                        chapter: integer('Chapter number.'),
+                        verses: nullable(string('Normalized verse specification (null for the whole chapter).')),
+                        title: string('Chapter title, with the verses.'),
+                        usfm: string('Chapter USFM.'),
+                        content: arrayOf(ref('ContentItem')),
+                        copyright: nullable(string('Copyright notice.'))
+                    }, ['version', 'book', 'chapter', 'content']),
+                    error: string('What went wrong (failed items).'),
+                    code: string('Machine-readable error code (failed items).'),
+                    details: { type: 'object', description: 'Extra error details.' }
+                }, ['index', 'status'])),
+                summary: object({
+                    items: integer('Items in the request.'),
+                    succeeded: integer('Items with a result.'),
+                    failed: integer('Items with an error.'),
+                    chapters: integer('Distinct chapters loaded.'),
+                    verses: integer('Verses returned.'),
+                    max_verses: integer('Verse limit of a batch (BATCH_MAX_VERSES).')
+                }, ['items', 'succeeded', 'failed'])
+            }, ['items', 'summary']))),
+            413: errorResponse('More than BATCH_MAX_ITEMS items (`batch_too_large`).'),
+            default: errorResponse('Malformed body.')
+        }
+    },
+    createAudio: {
+        method: 'post',
+        paths: ['/audio'],
+        tags: ['Audio'],
+        summary: 'Generate (or find) the audio of a chapter.',
+        requestBody: jsonBody(object({
+            bible_usfm: string('Version abbreviation (e.g., "NVI-S").', { minLength: 1 }),
+            bible_book: string('USFM book code (e.g., "GEN").', { minLength: 1 }),
+            bible_chapter: { oneOf: [{ type: 'string', pattern: '^\\d+$' }, { type: 'integer', minimum: 1 }], description: 'Chapter number.' },
+            bible_lang: string('Language of the version (e.g., "es").', { minLength: 1 }),
+            tts_provider: string('TTS provider (default: TTS_PROVIDER).', { enum: TTS_PROVIDER_NAMES }),
+            voice: string(`Voice (default: the language default). Speechify voices: ${Object.keys(speechifyVoices).join(', ')}.`, { minLength: 1 }),
+            wait: { type: 'boolean', description: 'Wait for the audio (up to AUDIO_WAIT_TIMEOUT_SECONDS) instead of answering 202 right away.' }
+        }, ['bible_usfm', 'bible_book', 'bible_chapter', 'bible_lang'], { allOf: [ttsVoiceRule()] })),
+        responses: {
+            200: jsonResponse('The audio exists (or was generated while waiting).', object({
+                status: string('Always "done".', { enum: ['done'] }),
+                job_id: string('Job id (with wait: true).'),
+                audio_url: string('Audio URL.'),
+                timing_url: nullable(string('Timing sidecar URL (null for audio generated before timing was tracked).')),
+                timing: nullable(ref('AudioTiming')),
+                language: string('Version language.'),
+                provider: string('TTS provider.'),
+                voice: string('Voice.')
+            }, ['status', 'audio_url'])),
+            202: jsonResponse('The generation was queued (or joins one in progress).', ref('JobAccepted')),
+            default: errorResponse('Invalid chapter, version or voice, quota exceeded, or generation failed.')
+        }
+    },
+    getVersionInfo: {
+        method: 'get',
+        paths: ['/{lang}/{bible_usfm}', '/{bible_usfm}'],
+        tags: ['Versions'],
+        summary: 'Version info: title, books, publisher.',
+        parameters: [params.lang, params.bible_usfm],
+        responses: {
+            200: jsonResponse('The version.', dataOf(ref('VersionInfo'))),
+            default: errorResponse('Unknown version or bible.com error.')
+        }
+    }
+};
+
+const schemas = {
+    Error: object({
+        error: string('Human-readable message.'),
+        code: string('Machine-readable code (e.g., "unknown_book", "chapter_out_of_range", "validation_failed").', { pattern: '^[a-z][a-z0-9_]*$' }),
+        details: { type: 'object', description: 'What helps fix the request (candidates, suggestions, last_verse, retry_after...).' },
+        request_id: string('The request id (X-Request-Id).')
+    }, ['error', 'code']),
+    Book: object({
+        usfm: string('USFM book code.'),
+        group: string('ot, nt or dc.', { enum: BOOK_GROUPS }),
+        name: string('English name.'),
+        chapters: integer('Number of chapters.'),
+        verses: nullable(arrayOf({ type: 'integer' }, { description: 'Verses per chapter (null for the deuterocanon, or when a version divides the book differently).' })),
+        human: string("The version's name for the book (with ?version=).")
+    }, ['usfm', 'group', 'name', 'chapters', 'verses']),
+    Note: object({
+        type: string('x (cross reference) or a footnote type.'),
+        label: string('Note label.'),
+        body: string('Note text.'),
+        origin: string('Verse the note refers to.')
+    }, ['type']),
+    ContentItem: object({
+        type: string('heading or reference; verses have none.', { enum: ['heading', 'reference'] }),
+        style: nullable(string('USFM paragraph style (e.g., "s1", "q2").')),
+        text: string('Text.'),
+        number: nullable(integer('Verse number.')),
+        usfm: nullable(string('Verse USFM ("JHN.3.16", "+" joins combined verses).')),
+        notes: arrayOf(ref('Note')),
+        paragraph: integer('Paragraph index within the chapter.'),
+        wj: arrayOf(object({ start: integer('Offset.'), end: integer('Offset.') }), { description: 'Words-of-Jesus ranges in the text.' })
+    }, ['text']),
+    Chapter: object({
+        title: nullable(string('Chapter title (e.g., "Juan 3").')),
+        usfm: nullable(string('Chapter USFM.')),
+        locale: nullable(string('bible.com locale.')),
+        content: arrayOf(ref('ContentItem'), { description: 'Verses and headings (flat layout).' }),
+        layout: string('"structured" with ?layout=structured.', { enum: ['structured'] }),
+        blocks: arrayOf({ type: 'object' }, { description: 'Block tree (structured layout).' }),
+        previous_chapter: nullable({ type: 'object', description: 'Previous chapter reference.' }),
+        next_chapter: nullable({ type: 'object', description: 'Next chapter reference.' }),
+        language: nullable(string('ISO 639-1 language.')),
+        direction: nullable(string('Text direction (ltr or rtl).')),
+        publisher: nullable(string('Publisher.')),
+        copyright: nullable(string('Copyright notice.')),
+        notes: arrayOf(object({ text: nullable(string('Reader footer.')), url: nullable(string('Reader footer URL.')) }))
+    }),
+    VersionInfo: object({
+        title: string('Version title.'),
+        usfm: string('Version abbreviation.'),
+        books: arrayOf(object({
+            usfm: string('USFM book code.'),
+            human: string('Localized name.'),
+            abbreviation: nullable(string('Localized abbreviation.')),
+            canon: nullable(string('Canon (ot, nt, ap).')),
+            first_chapter: { type: 'object', description: 'First chapter reference.' },
+            last_chapter: { type: 'object', description: 'Last chapter reference (its usfm gives the chapter count).' }
+        }, ['usfm'])),
+        language: nullable(string('ISO 639-1 language.')),
+        direction: nullable(string('Text direction.')),
+        publisher: arrayOf({ type: 'object' }),
+        copyright: nullable(string('Copyright notice.')),
+        notes: arrayOf({ type: 'object' })
+    }, ['books']),
+    AudioTiming: object({
+        version: string('Version abbreviation.'),
+        book: string('USFM book code.'),
+        chapter: string('Chapter number.'),
+        language: string('Version language.'),
+        provider: string('TTS provider.'),
+        voice: string('Voice.'),
+        duration_ms: integer('Audio length.'),
+        verses: { type: 'object', description: 'Start and end offsets by verse USFM.' },
+        created_at: string('When the audio was generated.')
+    }, ['duration_ms', 'verses']),
+    Job: object({
+        job_id: string('Job id.'),
+        status: string('Job status.', { enum: ['queued', 'running', 'done', 'failed'] }),
+        steps: arrayOf(object({ name: string('Step.'), status: string('Step status.'), progress: { type: 'number' } }, ['name', 'status'])),
+        result: nullable({ type: 'object', description: 'The result once done.' }),
+        error: nullable(string('Why the job failed.')),
+        created_at: string('Queued at.'),
+        started_at: nullable(string('Started at.')),
+        finished_at: nullable(string('Finished at.')),
+        updated_at: string('Last update.')
+    }, ['job_id', 'status', 'steps']),
+    JobAccepted: object({
+        job_id: string('Job id.'),
+        status: string('Job status.', { enum: ['queued', 'running', 'done', 'failed'] }),
+        status_url: string('Where to poll the job.'),
+        coalesced: { type: 'boolean', description: 'Whether an identical job was already queued or running.' }
+    }, ['job_id', 'status', 'status_url', 'coalesced']),
+    ApiKey: object({
+        id: string('Key id.'),
+        name: string('Who the key is for.'),
+        scopes: arrayOf({ type: 'string', enum: API_KEY_SCOPES }),
+        rate_per_minute: nullable(integer('Requests per minute.')),
+        daily_requests: nullable(integer('Requests per day.')),
+        daily_tts_characters: nullable(integer('TTS characters per day.')),
+        created_at: string('Issued at.'),
+        revoked_at: nullable(string('Revoked at.')),
+        last_used_at: nullable(string('Last used at.')),
+        usage: { type: 'object', description: "Today's usage and what remains." }
+    }, ['id', 'name', 'scopes'])
+};
+
+// Names of the parameters in an OpenAPI path ("/{lang}/{bible_usfm}" -> ["lang", "bible_usfm"])
+const pathParamNames = openApiPath => [...openApiPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+function buildDocument() {
+    const paths = {};
+    Object.entries(operations).forEach(([operationId, operation]) => {
+        const { method, paths: operationPaths, parameters = [], ...rest } = operation;
+        operationPaths.forEach((operationPath, index) => {
+            const names = pathParamNames(operationPath);
+            paths[operationPath] = paths[operationPath] || {};
+            paths[operationPath][method] = {
+                operationId: index === 0 ? operationId : `${operationId}Alias`,
+                ...rest,
+                parameters: parameters.filter(parameter => parameter.in !== 'path' || names.includes(parameter.name))
+            };
+        });
+    });
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Biblia API',
+            version: packageVersion,
+            description: 'Bible chapters, verses, passages, search, cross references, audio and offline bundles. '
+                + 'Errors share one envelope ({ error, code, details?, request_id }).'
+        },
+        servers: [{ url: '/api' }],
+        security: [{}, { apiKey: [] }, { bearer: [] }],
+        paths,
+        components: {
+            schemas,
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key (scopes: read, audio, admin).' },
+                bearer: { type: 'http', scheme: 'bearer', description: 'API key or ADMIN_TOKEN as a bearer token.' }
+            }
+        }
+    };
+}
+
+const openApiDocument = buildDocument();
+
+// Query strings and path segments are strings; numbers and booleans are read before validation
+function coerceParameter(schema, value) {
+    if (typeof value !== 'string') return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+// Whether responses are checked against the document (VALIDATE_RESPONSES, default: NODE_ENV=development)
+function responseValidationEnabled() {
+    const { validateResponses } = getConfig().openapi;
+    return validateResponses === null ? getConfig().env === 'development' : validateResponses;
+}
+
+// Logs JSON responses that do not match the operation's documented response
+function checkResponses(res, operationId, operation) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        const response = operation.responses[res.statusCode] || operation.responses.default;
+        const schema = response?.content?.['application/json']?.schema;
+        const errors = schema
+            ? validateSchema(schema, body, { document: openApiDocument, at: 'response' })
+            : [`status ${res.statusCode} is not documented`];
+        if (errors.length > 0) {
+            log.error(`Response of ${operationId} does not match the OpenAPI document`, { operation: operationId, status: res.statusCode, errors });
+        }
+        return json(body);
+    };
+}
+
+/**
+ * Express middleware validating a request against its operation in the OpenAPI document: path
+ * parameters, query parameters and the JSON body. Invalid requests get a 400 `validation_failed` with
+ * the problems listed in `details.errors`.
+ * @param {string} operationId - The operation (e.g., "getChapter").
+ * @returns {function} - The middleware.
+ */
+function validateRequest(operationId) {
+    const operation = operations[operationId];
+    if (!operation) {
+        throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+    }
+    const validateResponses = responseValidationEnabled();
+
+    return (req, res, next) => {
+        const errors = [];
+        (operation.parameters || []).forEach(parameter => {
+            let value = parameter.in === 'path' ? req.params[parameter.name] : req.query[parameter.name];
+            if (parameter.in === 'path' && Array.isArray(value)) {
+                value = value.join('/'); // Wildcard parameters (/files/*key) arrive as segments
+            }
+            if (value === undefined) {
+                if (parameter.required && parameter.in === 'query') errors.push(`query.${parameter.name} is required`);
+                return;
+            }
+            errors.push(...validateSchema(parameter.schema, coerceParameter(parameter.schema, value), { document: openApiDocument, at: `${parameter.in}.${parameter.name}` }));
+        });
+        if (operation.requestBody) {
+            if (req.body === undefined) {
+                errors.push('body is required (send JSON with Content-Type: application/json)');
+            } else {
+                errors.push(...validateSchema(operation.requestBody.content['application/json'].schema, req.body, { document: openApiDocument, at: 'body' }));
+            }
+        }
+        if (errors.length > 0) {
+            return sendError(res, 400, `Invalid request: ${errors.join('; ')}.`, { errors }, 'validation_failed');
+        }
+
+        if (validateResponses) {
+            checkResponses(res, operationId, operation);
+        }
+        return next();
+    };
+}
+
+/**
+ * Serves the docs UI (Swagger UI, loaded from a CDN) for the document at /openapi.json.
+ * @returns {string} - The HTML page.
+ */
+function renderDocsPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${openApiDocument.info.title}</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+        window.onload = () => SwaggerUIBundle({ url: 'openapi.json', dom_id: '#docs' });
+    </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    openApiDocument,
+    validateRequest,
+    renderDocsPage
+};
@@ -0,0 +1,261 @@
+const cheerio = require('cheerio');
+const { getNoteTargets } = require('./crossrefs'); // Cross-reference targets of `x` notes
+
+// --- Chapter HTML parser ---
+// Turns the chapter HTML served by bible.com into a block tree (parseBibleHtmlToJson) and the
+// flat verse list served by the chapter route (flattenChapterBlocks).
+
+// Block styles from the upstream HTML (USFM paragraph markers) and how they are kept.
+// Headings and other text-only blocks carry `text`; verse blocks carry `verses`.
+const BLOCK_STYLES = {
+    s: 'heading', ms: 'heading', // Section and major section headings (s1-s4, ms1-ms3)
+    r: 'reference', mr: 'reference', // Parallel passage references under a heading
+    sp: 'speaker', // Speaker identification (e.g., Song of Songs)
+    d: 'psalm_title', // Psalm superscription; numbered as a verse in some versions
+    b: 'blank', // Blank line between stanzas
+    p: 'paragraph', m: 'paragraph', pi: 'paragraph', mi: 'paragraph', nb: 'paragraph',
+    pc: 'paragraph', pm: 'paragraph', pmo: 'paragraph', pmc: 'paragraph', pmr: 'paragraph', cls: 'paragraph',
+    q: 'poetry', qc: 'poetry', qr: 'poetry', qm: 'poetry', // Poetry lines (q1-q4 are indent levels)
+    li: 'list_item'
+};
+
+// Styles whose unnumbered form is the first indent level (q = q1, pi = pi1, ...)
+const LEVELED_STYLES = new Set(['s', 'ms', 'q', 'qm', 'pi', 'li']);
+
+// Splits a block class like "q2" into its style, block type and indent level
+function classifyBlock(className) {
+    const match = /^([a-z]+?)(\d*)$/.exec(className || '');
+    if (!match || !BLOCK_STYLES[match[1]]) return null;
+    const [, base, digits] = match;
+    return {
+        type: BLOCK_STYLES[base],
+        style: className,
+        level: digits ? parseInt(digits, 10) : (LEVELED_STYLES.has(base) ? 1 : 0)
+    };
+}
+
+// Text of an element without verse labels and notes, whitespace-normalized
+const plainText = ($, element) => $(element).clone().find('span.label, span.note').remove().end().text().replace(/\s+/g, ' ').trim();
+
+// Reads a verse span's text, with words-of-Jesus (wj) spans as `{ start, end }` offsets into the text.
+// Direct child spans are joined with a space unless the next one opens with punctuation (the upstream
+// splits content spans at word boundaries);
+// character styles nested inside them (wj, nd, add, ...) are read in place.
+function readVerseText($, verseElement) {
+    const pieces = [];
+    let gap = false;
+    const collect = (node, wj) => {
+        $(node).contents().each((_, child) => {
+            if (child.type === 'text') {
+                pieces.push({ text: child.data, wj, gap });
+                gap = false;
+            } else if (child.type === 'tag' && !$(child).is('span.label, span.note')) {
+                collect(child, wj || $(child).hasClass('wj'));
+            }
+        });
+    };
+    $(verseElement).contents().each((_, child) => {
+        gap = true;
+        if (child.type === 'text') {
+            pieces.push({ text: child.data, wj: false, gap });
+        } else if (child.type === 'tag' && !$(child).is('span.label, span.note')) {
+            collect(child, $(child).hasClass('wj'));
+        }
+    });
+
+    let text = '';
+    const wj = [];
+    pieces.forEach(piece => {
+        let pieceText = piece.text.replace(/\s+/g, ' ');
+        if (piece.gap && text && !text.endsWith(' ') && !/^[.,;:!?)\]»”’]/.test(pieceText)) text += ' ';
+        if ((!text || text.endsWith(' ')) && pieceText.startsWith(' ')) pieceText = pieceText.slice(1);
+        if (!pieceText) return;
+        if (piece.wj && pieceText.trim()) {
+            const start = text.length + (pieceText.length - pieceText.trimStart().length);
+            const end = text.length + pieceText.trimEnd().length;
+            const last = wj[wj.length - 1];
+            // Adjacent wj pieces (only whitespace between them) form one range
+            if (last && !text.slice(last.end, start).trim()) {
+                last.end = end;
+            } else {
+                wj.push({ start, end });
+            }
+        }
+        text += pieceText;
+    });
+    text = text.trimEnd();
+    return { text, wj: wj.map(range => ({ start: range.start, end: Math.min(range.end, text.length) })) };
+}
+
+// Reads a note as `{ type, label, body }` (f = footnote, x = cross reference, ...). The body's marked-up
+// parts (fr, ft, fq, fqa, xo, xt, ...) are kept as `parts`, and cross references get their origin and
+// `targets`, resolved to USFM references.
+function readNote($, noteElement, verseUsfm) {
+    const $note = $(noteElement);
+    const $body = $note.find('span.body');
+    const note = {
+        type: $note.attr('class')?.split(' ').find(c => c !== 'note'),
+        label: $note.find('span.label').text(),
+        body: $body.text().replace(/\s+/g, ' ').trim()
+    };
+
+    const parts = [];
+    $body.contents().each((_, child) => {
+        const text = $(child).text().replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        const style = child.type === 'tag' ? ($(child).attr('class') || '').split(' ')[0] : null;
+        parts.push({ style: style || 'ft', text });
+    });
+    if (parts.length > 0) note.parts = parts;
+
+    if (note.type === 'x') {
+        const origin = parts.filter(part => part.style === 'xo').map(part => part.text).join(' ');
+        if (origin) note.origin = origin;
+        // Some editions carry the target on the element itself; otherwise the text is parsed
+        const marked = $body.find('[data-usfm]').map((i, el) => $(el).data('usfm')).get();
+        note.targets = marked.length > 0 ? marked : getNoteTargets(note, verseUsfm);
+    }
+    return note;
+}
+
+// Reads the verses of a verse block, merging consecutive spans of the same verse
+function readBlockVerses($, element) {
+    const verses = [];
+    $(element).find('span.verse').each((_, verseElement) => {
+        const $verse = $(verseElement);
+        const usfm = $verse.data('usfm');
+        const numberText = $verse.children('span.label').first().text();
+        const parsedNumber = numberText ? parseInt(numberText, 10) : null;
+        const number = (parsedNumber !== null && !isNaN(parsedNumber)) ? parsedNumber : null;
+        const { text, wj } = readVerseText($, verseElement);
+
+        const notes = [];
+        $verse.find('span.note').each((_, noteElement) => {
+            notes.push(readNote($, noteElement, usfm));
+        });
+
+        if (!text && notes.length === 0 && number === null) return;
+
+        const lastVerse = verses[verses.length - 1];
+        if (lastVerse && lastVerse.usfm === usfm) {
+            if (text) {
+                const offset = lastVerse.text ? lastVerse.text.length + 1 : 0;
+                lastVerse.text += (lastVerse.text ? ' ' : '') + text;
+                if (wj.length > 0) {
+                    lastVerse.wj = (lastVerse.wj || []).concat(wj.map(range => ({ start: range.start + offset, end: range.end + offset })));
+                }
+            }
+            lastVerse.notes.push(...notes);
+            if (lastVerse.number === null) lastVerse.number = number;
+            return;
+        }
+        const verse = { number, usfm, text, notes };
+        if (wj.length > 0) verse.wj = wj;
+        verses.push(verse);
+    });
+    return verses;
+}
+
+// Function to parse Bible HTML content into JSON using Cheerio.
+// The chapter content is a block tree: headings, references, speakers, Psalm titles, blank lines and
+// paragraph/poetry/list blocks holding verses, each with its upstream style (e.g. "q2") and indent level.
+function parseBibleHtmlToJson(htmlString) {
+    const $ = cheerio.load(htmlString);
+    const result = {};
+
+    // Extract version info
+    const versionDiv = $('div.version');
+    result.version = {
+        id: versionDiv.data('vid')?.toString(),
+        language: versionDiv.data('iso6393')
+    };
+
+    // Extract book info
+    const bookDiv = $('div.book');
+    const bookClass = bookDiv.attr('class')?.split(' ').find(cls => cls.startsWith('bk'));
+    result.book = {
+        code: bookClass ? bookClass.substring(2) : null,
+        chapters: []
+    };
+
+    // Extract chapter info
+    const chapterDiv = $('div.chapter');
+    const chapterClass = chapterDiv.attr('class')?.split(' ').find(cls => cls.startsWith('ch'));
+    const chapterData = {
+        number: chapterClass ? parseInt(chapterClass.substring(2), 10) : null,
+        usfm: chapterDiv.data('usfm'),
+        content: [] // Block tree
+    };
+
+    chapterDiv.children('div').each((_, element) => {
+        const $element = $(element);
+        const classNames = ($element.attr('class') || '').split(/\s+/).filter(Boolean);
+        let block = classNames.map(classifyBlock).find(Boolean);
+        if (!block) {
+            // Unknown styles are kept as plain paragraphs when they hold verses, so no text is lost
+            if ($element.find('span.verse').length === 0) return;
+            block = { type: 'paragraph', style: classNames[0] || 'p', level: 0 };
+        }
+
+        if (block.type === 'blank') {
+            chapterData.content.push(block);
+        } else if (block.type === 'heading' || block.type === 'reference' || block.type === 'speaker') {
+            const $headings = $element.find('span.heading');
+            const text = $headings.length > 0
+                ? $headings.map((i, el) => $(el).text()).get().join('').replace(/\s+/g, ' ').trim()
+                : plainText($, element);
+            if (text) chapterData.content.push({ ...block, text });
+        } else if (block.type === 'psalm_title') {
+            // Unnumbered titles only carry text; numbered ones also hold their verse
+            const verses = readBlockVerses($, element);
+            const text = verses.length > 0 ? verses.map(verse => verse.text).join(' ') : plainText($, element);
+            if (text || verses.length > 0) chapterData.content.push({ ...block, text, verses });
+        } else {
+            const verses = readBlockVerses($, element);
+            if (verses.length > 0) chapterData.content.push({ ...block, verses });
+        }
+    });
+
+    result.book.chapters.push(chapterData);
+    return result;
+}
+
+// Flattens a chapter's block tree into the `content` list served by the chapter route: headings and
+// references as `{ type, style, text }`, and one `{ number, usfm, text, notes }` item per verse fragment.
+// Verse items also carry their block's style and a `paragraph` index (a change marks a paragraph or
+// line boundary), plus `wj` ranges when they hold words of Jesus.
+function flattenChapterBlocks(blocks) {
+    const content = [];
+    let paragraph = -1;
+    blocks.forEach(block => {
+        if (block.type === 'heading' || block.type === 'reference') {
+            content.push({ type: block.type, style: block.style, text: block.text });
+        } else if (block.type === 'speaker' || (block.type === 'psalm_title' && block.verses.length === 0)) {
+            content.push({ type: 'heading', style: block.style, text: block.text });
+        } else if (Array.isArray(block.verses) && block.verses.length > 0) {
+            paragraph++;
+            block.verses.forEach(verse => {
+                const item = {
+                    number: verse.number,
+                    usfm: verse.usfm,
+                    text: verse.text || '',
+                    notes: verse.notes || [],
+                    paragraph,
+                    style: block.style
+                };
+                if (verse.wj) item.wj = verse.wj;
+                content.push(item);
+            });
+        }
+    });
+    return content;
+}
+
+module.exports = {
+    parseBibleHtmlToJson,
+    flattenChapterBlocks
+};
+// Example usage (for testing purposes, could be removed or adapted)
+// const sampleHtml = `<div class="version vid149 iso6393spa" data-vid="149" data-iso6393="spa">...</div>`; // Your HTML here
+// const jsonData = parseBibleHtmlToJson(sampleHtml);
+// console.log(JSON.stringify(jsonData, null, 2));
@@ -0,0 +1,441 @@
+// --- Natural-language Bible reference parsing ("Juan 3:16-18; Gn 1", "1 Co 13", "Génesis 1–2") ---
+
+// Common book names and abbreviations (Spanish, English, Portuguese) by USFM code.
+// Localized names from the version-info route take precedence over this table.
+const bookAliases = {
+    GEN: ['Génesis', 'Genesis', 'Gênesis', 'Gén', 'Gen', 'Gn', 'Ge'],
+    EXO: ['Éxodo', 'Exodus', 'Êxodo', 'Éx', 'Exo', 'Ex', 'Exod'],
+    LEV: ['Levítico', 'Leviticus', 'Lev', 'Lv'],
+    NUM: ['Números', 'Numbers', 'Núm', 'Num', 'Nm', 'Nu'],
+    DEU: ['Deuteronomio', 'Deuteronomy', 'Deuteronômio', 'Deut', 'Deu', 'Dt'],
+    JOS: ['Josué', 'Joshua', 'Jos', 'Josh'],
+    JDG: ['Jueces', 'Judges', 'Juízes', 'Jue', 'Jc', 'Jdg', 'Judg', 'Jz'],
+    RUT: ['Rut', 'Ruth', 'Rt', 'Ru'],
+    '1SA': ['1 Samuel', '1 Sam', '1 Sa', '1 S', '1 Sm'],
+    '2SA': ['2 Samuel', '2 Sam', '2 Sa', '2 S', '2 Sm'],
+    '1KI': ['1 Reyes', '1 Kings', '1 Reis', '1 Re', '1 R', '1 Ki', '1 Kgs', '1 Rs'],
+    '2KI': ['2 Reyes', '2 Kings', '2 Reis', '2 Re', '2 R', '2 Ki', '2 Kgs', '2 Rs'],
+    '1CH': ['1 Crónicas', '1 Chronicles', '1 Crônicas', '1 Cr', '1 Cro', '1 Chr', '1 Ch', '1 Cron'],
+    '2CH': ['2 Crónicas', '2 Chronicles', '2 Crônicas', '2 Cr', '2 Cro', '2 Chr', '2 Ch', '2 Cron'],
+    EZR: ['Esdras', 'Ezra', 'Esd', 'Ezr'],
+    NEH: ['Nehemías', 'Nehemiah', 'Neemias', 'Neh', 'Ne'],
+    EST: ['Ester', 'Esther', 'Est', 'Es'],
+    JOB: ['Job', 'Jó', 'Jb'],
+    PSA: ['Salmos', 'Psalms', 'Psalm', 'Salmo', 'Sal', 'Sl', 'Ps', 'Psa'],
+    PRO: ['Proverbios', 'Proverbs', 'Provérbios', 'Prov', 'Pro', 'Pr', 'Pv'],
+    ECC: ['Eclesiastés', 'Ecclesiastes', 'Eclesiastes', 'Ecl', 'Ec', 'Ecc', 'Eccl'],
+    SNG: ['Cantares', 'Cantar de los Cantares', 'Song of Songs', 'Song of Solomon', 'Cânticos', 'Cnt', 'Cant', 'Ct', 'Song', 'Sng'],
+    ISA: ['Isaías', 'Isaiah', 'Is', 'Isa'],
+    JER: ['Jeremías', 'Jeremiah', 'Jeremias', 'Jer', 'Jr'],
+    LAM: ['Lamentaciones', 'Lamentations', 'Lamentações', 'Lam', 'Lm'],
+    EZK: ['Ezequiel', 'Ezekiel', 'Ez', 'Eze', 'Ezek', 'Ezk'],
+    DAN: ['Daniel', 'Dan', 'Dn', 'Da'],
+    HOS: ['Oseas', 'Hosea', 'Oséias', 'Os', 'Hos'],
+    JOL: ['Joel', 'Jl'],
+    AMO: ['Amós', 'Amos', 'Am'],
+    OBA: ['Abdías', 'Obadiah', 'Obadias', 'Abd', 'Ob', 'Obad'],
+    JON: ['Jonás', 'Jonah', 'Jonas', 'Jon', 'Jnh'],
+    MIC: ['Miqueas', 'Micah', 'Miquéias', 'Miq', 'Mic', 'Mi'],
+    NAM: ['Nahúm', 'Nahum', 'Nah', 'Na'],
+    HAB: ['Habacuc', 'Habakkuk', 'Habacuque', 'Hab', 'Hc'],
+    ZEP: ['Sofonías', 'Zephaniah', 'Sofonias', 'Sof', 'Zeph', 'Zep', 'Sf'],
+    HAG: ['Hageo', 'Haggai', 'Ageu', 'Hag', 'Ag', 'Hg'],
+    ZEC: ['Zacarías', 'Zechariah', 'Zacarias', 'Zac', 'Zech', 'Zec', 'Zc'],
+    MAL: ['Malaquías', 'Malachi', 'Malaquias', 'Mal', 'Ml'],
+    MAT: ['Mateo', 'Matthew', 'Mateus', 'Mt', 'Mat', 'Matt'],
+    MRK: ['Marcos', 'Mark', 'Mc', 'Mr', 'Mar', 'Mk', 'Mrk'],
+    LUK: ['Lucas', 'Luke', 'Lc', 'Lu', 'Luc', 'Lk', 'Luk'],
+    JHN: ['Juan', 'John', 'João', 'Jn', 'Jua', 'Jhn', 'Joh', 'Jo'],
+    ACT: ['Hechos', 'Acts', 'Atos', 'Hch', 'Hech', 'At', 'Act'],
+    ROM: ['Romanos', 'Romans', 'Ro', 'Rom', 'Rm'],
+    '1CO': ['1 Corintios', '1 Corinthians', '1 Coríntios', '1 Co', '1 Cor'],
+    '2CO': ['2 Corintios', '2 Corinthians', '2 Coríntios', '2 Co', '2 Cor'],
+    GAL: ['Gálatas', 'Galatians', 'Gá', 'Gal', 'Gl'],
+    EPH: ['Efesios', 'Ephesians', 'Efésios', 'Ef', 'Efe', 'Eph'],
+    PHP: ['Filipenses', 'Philippians', 'Fil', 'Flp', 'Fp', 'Phil', 'Php'],
+    COL: ['Colosenses', 'Colossians', 'Colossenses', 'Col', 'Cl'],
+    '1TH': ['1 Tesalonicenses', '1 Thessalonians', '1 Tessalonicenses', '1 Ts', '1 Tes', '1 Th', '1 Thess'],
+    '2TH': ['2 Tesalonicenses', '2 Thessalonians', '2 Tessalonicenses', '2 Ts', '2 Tes', '2 Th', '2 Thess'],
+    '1TI': ['1 Timoteo', '1 Timothy', '1 Timóteo', '1 Ti', '1 Tim', '1 Tm'],
+    '2TI': ['2 Timoteo', '2 Timothy', '2 Timóteo', '2 Ti', '2 Tim', '2 Tm'],
+    TIT: ['Tito', 'Titus', 'Tit', 'Tt'],
+    PHM: ['Filemón', 'Philemon', 'Filemom', 'Flm', 'Filem', 'Phm', 'Phlm'],
+    HEB: ['Hebreos', 'Hebrews', 'Hebreus', 'He', 'Heb', 'Hb'],
+    JAS: ['Santiago', 'James', 'Tiago', 'Stg', 'Sant', 'Jas', 'Jm', 'Tg'],
+    '1PE': ['1 Pedro', '1 Peter', '1 P', '1 Pe', '1 Ped', '1 Pet', '1 Pt'],
+    '2PE': ['2 Pedro', '2 Peter', '2 P', '2 Pe', '2 Ped', '2 Pet', '2 Pt'],
+    '1JN': ['1 Juan', '1 John', '1 João', '1 Jn', '1 Jo', '1 Jua', '1 Jhn'],
+    '2JN': ['2 Juan', '2 John', '2 João', '2 Jn', '2 Jo', '2 Jua', '2 Jhn'],
+    '3JN': ['3 Juan', '3 John', '3 João', '3 Jn', '3 Jo', '3 Jua', '3 Jhn'],
+    JUD: ['Judas', 'Jude', 'Jud', 'Jds', 'Jd'],
+    REV: ['Apocalipsis', 'Revelation', 'Apocalipse', 'Ap', 'Apoc', 'Rev', 'Rv']
+};
+
+/**
+ * Normalizes a book name for matching: strips accents, punctuation and spaces, lowercases,
+ * and turns a leading roman numeral ("I Corintios", "II Reyes") into a digit.
+ * @param {string} name - The book name or abbreviation.
+ * @returns {string} - The normalized key (e.g., "1corintios").
+ */
+function normalizeBookName(name) {
+    return name
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/^(iii|ii|i)(?=[\s.])/, numeral => ({ i: '1', ii: '2', iii: '3' })[numeral])
+        .replace(/[^a-z0-9]/g, '');
+}
+
+// Lowercased name without punctuation or spaces, accents kept ("Jó" stays "jó")
+const accentedBookKey = name => name.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+const hasAccents = name => /[\u0300-\u036f]/.test(name.normalize('NFD'));
+
+/**
+ * Builds a book-name index from a version's books (localized `human` names and abbreviations),
+ * the alias table and the USFM codes themselves. Aliases written with accents are also indexed as
+ * typed, and only claim their accent-folded key when no plain alias has it: "Jo" is John (Portuguese
+ * João) while "Jó" is Job.
+ * @param {object[]} [books] - The `books` array from the version-info route.
+ * @returns {{names: Map<string, string>, accentedNames: Map<string, string>, humanNames: Map<string, string>, chapterCounts: Map<string, number>}}
+ */
+function buildBookIndex(books = []) {
+    const names = new Map(); // normalized name -> USFM
+    const accentedNames = new Map(); // name with its accents (see accentedBookKey) -> USFM
+    const humanNames = new Map(); // USFM -> display name
+    const chapterCounts = new Map(); // USFM -> number of chapters (when known)
+
+    const entries = []; // [name, USFM], localized names first so they win over the alias table
+    for (const book of books) {
+        if (!book || !book.usfm) continue;
+        const usfm = book.usfm.toUpperCase();
+        if (book.human) {
+            humanNames.set(usfm, book.human);
+            entries.push([book.human, usfm]);
+        }
+        if (book.abbreviation) entries.push([book.abbreviation, usfm]);
+        const lastChapter = parseInt(book.last_chapter?.usfm?.split('.').pop(), 10);
+        if (!isNaN(lastChapter)) {
+            chapterCounts.set(usfm, lastChapter);
+        }
+    }
+    for (const [usfm, aliases] of Object.entries(bookAliases)) {
+        if (!humanNames.has(usfm)) humanNames.set(usfm, aliases[0]);
+        aliases.forEach(alias => entries.push([alias, usfm]));
+        entries.push([usfm, usfm]);
+    }
+
+    // Names without accents claim their keys before accent-folded ones
+    entries.filter(([name]) => !hasAccents(name)).forEach(([name, usfm]) => {
+        if (!names.has(normalizeBookName(name))) names.set(normalizeBookName(name), usfm);
+    });
+    entries.filter(([name]) => hasAccents(name)).forEach(([name, usfm]) => {
+        if (!accentedNames.has(accentedBookKey(name))) accentedNames.set(accentedBookKey(name), usfm);
+        if (!names.has(normalizeBookName(name))) names.set(normalizeBookName(name), usfm);
+    });
+
+    return { names, accentedNames, humanNames, chapterCounts };
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} - The edit distance.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the USFM code for a book name: exact match first, then a unique prefix match.
+ * @param {string} name - The book name as typed.
+ * @param {object} index - The index from buildBookIndex.
+ * @returns {{usfm: string}|{error: string, suggestion: string|null}}
+ */
+function findBook(name, index) {
+    const key = normalizeBookName(name);
+    if (!key) {
+        return { error: 'missing_book', suggestion: null };
+    }
+    if (index.accentedNames.has(accentedBookKey(name))) {
+        return { usfm: index.accentedNames.get(accentedBookKey(name)) };
+    }
+    if (index.names.has(key)) {
+        return { usfm: index.names.get(key) };
+    }
+
+    if (key.length >= 2) {
+        const matches = new Set();
+        for (const [candidate, usfm] of index.names) {
+            if (candidate.startsWith(key)) matches.add(usfm);
+        }
+        if (matches.size === 1) {
+            return { usfm: [...matches][0] };
+        }
+    }
+
+    // Suggest the closest localized name
+    let best = null;
+    let bestDistance = Infinity;
+    for (const [usfm, human] of index.humanNames) {
+        const distance = editDistance(key, normalizeBookName(human));
+        if (distance < bestDistance) {
+            best = human;
+            bestDistance = distance;
+        }
+    }
+    return { error: 'unknown_book', suggestion: best };
+}
+
+// Books with a single chapter, where a bare number is a verse ("Jud 14")
+const SINGLE_CHAPTER_BOOKS = new Set(['OBA', 'PHM', '2JN', '3JN', 'JUD']);
+
+// A reference part: the book (optionally starting with a number followed by a letter, "1 Co") and the
+// numeric part. A bare "3:16" has no book.
+const REFERENCE_PART = /^((?:[1-3]\s*\.?\s*(?=\p{L}))?[^\d]*?)\s*(\d[\d\s:.,-]*)?$/u;
+
+/**
+ * Parses a free-text reference into USFM passages.
+ * Parts are separated by ";" and may omit the book to continue the previous one ("Juan 3:16; 4:1").
+ * Supported shapes: "Juan 3", "Génesis 1–2", "Sal 23:1-4", "Jn 3:16,18-20", "Gn 1:31-2:3".
+ * @param {string} input - The reference text.
+ * @param {object[]} [books] - The `books` array from the version-info route (localized names).
+ * @returns {{passages: object[]}|{error: string, details: object}} - Parsed passages, each
+ *   `{ book, start: {chapter, verse}, end: {chapter, verse}, usfm, human }` (verse null for whole chapters).
+ */
+function parseReference(input, books = []) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { error: 'Reference is required.', details: { input, reason: 'empty' } };
+    }
+
+    const index = buildBookIndex(books);
+    const passages = [];
+    let currentBook = null;
+
+    for (const rawPart of input.split(';')) {
+        const part = rawPart.replace(/[\u2012-\u2015]/g, '-').trim();
+        if (!part) continue;
+
+        const match = part.match(REFERENCE_PART);
+        if (!match) {
+            return { error: `Could not parse reference '${part}'.`, details: { input: part, reason: 'syntax' } };
+        }
+        const bookText = match[1].trim();
+        const numbers = (match[2] || '').replace(/\s+/g, '');
+
+        if (bookText) {
+            const found = findBook(bookText, index);
+            if (found.error) {
+                return {
+                    error: `Unknown book '${bookText}'.` + (found.suggestion ? ` Did you mean '${found.suggestion}'?` : ''),
+                    details: { input: part, reason: found.error, book: bookText, suggestion: found.suggestion }
+                };
+            }
+            currentBook = found.usfm;
+        } else if (!currentBook) {
+            return { error: `Reference '${part}' does not name a book.`, details: { input: part, reason: 'missing_book' } };
+        }
+
+        if (!numbers) {
+            return { error: `Reference '${part}' is missing a chapter.`, details: { input: part, reason: 'missing_chapter' } };
+        }
+
+        // Without the version's books, single-chapter books come from the fixed list
+        const singleChapter = index.chapterCounts.has(currentBook)
+            ? index.chapterCounts.get(currentBook) === 1
+            : SINGLE_CHAPTER_BOOKS.has(currentBook);
+        const parsed = parseNumbers(numbers, singleChapter);
+        if (!parsed) {
+            return { error: `Could not parse chapter and verses in '${part}'.`, details: { input: part, reason: 'syntax' } };
+        }
+
+        for (const { start, end } of parsed) {
+            passages.push({
+                book: currentBook,
+                start,
+                end,
+                usfm: formatUsfm(currentBook, start, end),
+                human: formatHuman(index.humanNames.get(currentBook) || currentBook, start, end)
+            });
+        }
+    }
+
+    if (passages.length === 0) {
+        return { error: 'Reference is required.', details: { input, reason: 'empty' } };
+    }
+    return { passages };
+}
+
+let aliasIndex = null; // Book index from the alias table alone, built on first use
+
+/**
+ * Resolves the targets of a cross-reference note ("Jn 1.1-3; He 11.3", "Sal 33.6, 9; 136.5", "v. 5").
+ * Unlike parseReference this is lenient: parts it cannot read are reported and skipped. Book names come
+ * from the alias table; a part without a book continues the previous one, and "v."/"vv." parts refer to
+ * the note's own book and chapter (`context`), whatever the parts before them named.
+ * @param {string} text - The cross-reference text.
+ * @param {object} [context] - The verse holding the note: { book, chapter }.
+ * @returns {{targets: object[], unresolved: string[]}} - Targets as `{ book, start, end, usfm }`.
+ */
+function parseCrossReferences(text, context = {}) {
+    if (!aliasIndex) aliasIndex = buildBookIndex();
+    const targets = [];
+    const unresolved = [];
+    let currentBook = context.book || null;
+
+    for (const rawPart of String(text || '').split(';')) {
+        const part = rawPart
+            .replace(/[\u2012-\u2015]/g, '-')
+            .replace(/^\s*(cp|cf|comp|compare|véase|ver|see)\.?\s+/i, '')
+            .replace(/[\s.]+$/, '')
+            .trim();
+        if (!part) continue;
+
+        let numbers;
+        const versesOnly = part.match(/^vv?\.?\s*(\d[\d\s,-]*)$/i);
+        if (versesOnly) {
+            currentBook = context.book || null;
+            numbers = context.chapter ? `${context.chapter}:${versesOnly[1].replace(/\s+/g, '')}` : null;
+        } else {
+            const match = part.match(REFERENCE_PART);
+            const bookText = match ? match[1].trim() : '';
+            numbers = match && match[2] ? match[2].replace(/\s+/g, '') : null;
+            if (bookText) {
+                const found = findBook(bookText, aliasIndex);
+                // An unknown book also ends the run, so later bare numbers are not given to the wrong book
+                currentBook = found.error ? null : found.usfm;
+            }
+        }
+
+        const parsed = currentBook && numbers ? parseNumbers(numbers, SINGLE_CHAPTER_BOOKS.has(currentBook)) : null;
+        if (!parsed) {
+            unresolved.push(part);
+            continue;
+        }
+        for (const { start, end } of parsed) {
+            targets.push({ book: currentBook, start, end, usfm: formatUsfm(currentBook, start, end) });
+        }
+    }
+
+    return { targets, unresolved };
+}
+
+/**
+ * Parses a USFM reference as produced by formatUsfm ("JHN.3.16", "JHN.3.16-JHN.3.18", "GEN.1-GEN.2").
+ * @param {string} usfm - The USFM reference.
+ * @returns {{book: string, start: object, end: object}|null} - Null if it is not a single-book reference.
+ */
+function parseUsfmRange(usfm) {
+    const point = value => {
+        const match = /^([1-4A-Z][A-Z0-9]{2})\.(\d+)(?:\.(\d+))?$/.exec(value || '');
+        return match && { book: match[1], chapter: +match[2], verse: match[3] !== undefined ? +match[3] : null };
+    };
+    const [from, to = from] = String(usfm || '').split('-');
+    const start = point(from);
+    const end = point(to);
+    if (!start || !end || start.book !== end.book) return null;
+    return { book: start.book, start: { chapter: start.chapter, verse: start.verse }, end: { chapter: end.chapter, verse: end.verse } };
+}
+
+/**
+ * Parses the numeric part of a reference (whitespace already removed).
+ * @param {string} numbers - E.g. "3", "1-2", "3:16-18", "3:16,18", "1:31-2:3".
+ * @param {boolean} singleChapterBook - Treat a bare number as a verse ("Judas 5").
+ * @returns {{start: {chapter: number, verse: number|null}, end: {chapter: number, verse: number|null}}[]|null}
+ */
+function parseNumbers(numbers, singleChapterBook) {
+    let match;
+
+    // Cross-chapter range: 1:31-2:3
+    if ((match = numbers.match(/^(\d+)[:.](\d+)-(\d+)[:.](\d+)$/))) {
+        const start = { chapter: +match[1], verse: +match[2] };
+        const end = { chapter: +match[3], verse: +match[4] };
+        if (end.chapter < start.chapter || (end.chapter === start.chapter && end.verse < start.verse)) return null;
+        return [{ start, end }];
+    }
+
+    // Chapter with verse list: 3:16 / 3:16-18 / 3:16,18-20
+    if ((match = numbers.match(/^(\d+)[:.](\d+(?:-\d+)?(?:,\d+(?:-\d+)?)*)$/))) {
+        const chapter = +match[1];
+        const ranges = [];
+        for (const item of match[2].split(',')) {
+            const [from, to] = item.split('-').map(Number);
+            const last = to === undefined ? from : to;
+            if (from < 1 || last < from) return null;
+            ranges.push({ start: { chapter, verse: from }, end: { chapter, verse: last } });
+        }
+        return ranges;
+    }
+
+    // Single-chapter books: "Judas 5" or "Judas 5-7" are verses of chapter 1
+    if (singleChapterBook && (match = numbers.match(/^(\d+)(?:-(\d+))?$/))) {
+        const from = +match[1];
+        const to = match[2] !== undefined ? +match[2] : from;
+        if (from < 1 || to < from) return null;
+        return [{ start: { chapter: 1, verse: from }, end: { chapter: 1, verse: to } }];
+    }
+
+    // Whole chapter or chapter range: 3 / 1-2
+    if ((match = numbers.match(/^(\d+)(?:-(\d+))?$/))) {
+        const from = +match[1];
+        const to = match[2] !== undefined ? +match[2] : from;
+        if (from < 1 || to < from) return null;
+        return [{ start: { chapter: from, verse: null }, end: { chapter: to, verse: null } }];
+    }
+
+    return null;
+}
+
+/**
+ * Formats a passage as USFM ("JHN.3.16", "JHN.3.16-JHN.3.18", "GEN.1-GEN.2").
+ * @param {string} book - The USFM book code.
+ * @param {{chapter: number, verse: number|null}} start - First chapter/verse.
+ * @param {{chapter: number, verse: number|null}} end - Last chapter/verse.
+ * @returns {string} - The USFM reference.
+ */
+function formatUsfm(book, start, end) {
+    const point = ({ chapter, verse }) => (verse === null ? `${book}.${chapter}` : `${book}.${chapter}.${verse}`);
+    const from = point(start);
+    const to = point(end);
+    return from === to ? from : `${from}-${to}`;
+}
+
+/**
+ * Formats a passage for display ("Juan 3:16-18", "Génesis 1-2", "Génesis 1:31-2:3").
+ * @param {string} bookName - The localized book name.
+ * @param {{chapter: number, verse: number|null}} start - First chapter/verse.
+ * @param {{chapter: number, verse: number|null}} end - Last chapter/verse.
+ * @returns {string} - The display reference.
+ */
+function formatHuman(bookName, start, end) {
+    if (start.verse === null) {
+        return start.chapter === end.chapter ? `${bookName} ${start.chapter}` : `${bookName} ${start.chapter}-${end.chapter}`;
+    }
+    if (start.chapter === end.chapter) {
+        return start.verse === end.verse
+            ? `${bookName} ${start.chapter}:${start.verse}`
+            : `${bookName} ${start.chapter}:${start.verse}-${end.verse}`;
+    }
+    return `${bookName} ${start.chapter}:${start.verse}-${end.chapter}:${end.verse}`;
+}
+
+module.exports = {
+    bookAliases,
+    normalizeBookName,
+    editDistance,
+    parseReference,
+    parseCrossReferences,
+    parseUsfmRange
+};
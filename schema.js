@@ -0,0 +1,112 @@
+// --- JSON Schema validation ---
+// Checks values against the OpenAPI 3.0 subset of JSON Schema used by openapi.js: type (with
+// `nullable`), enum, pattern, minLength/maxLength, minimum/maximum, required, properties,
+// additionalProperties, items, minItems/maxItems, allOf/oneOf/anyOf and local $refs
+// ("#/components/schemas/Name"). Unknown keywords (description, example, format...) are ignored.
+
+const MAX_ERRORS = 10;
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+// Resolves a local $ref against the document
+function resolveRef(ref, document) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+    if (!target) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return target;
+}
+
+function check(schema, value, at, document, errors) {
+    if (errors.length >= MAX_ERRORS || !schema) return;
+    if (value === null && schema.nullable) return;
+    if (schema.$ref) {
+        check(resolveRef(schema.$ref, document), value, at, document, errors);
+        return;
+    }
+    if (schema.allOf) {
+        schema.allOf.forEach(part => check(part, value, at, document, errors));
+    }
+    if (schema.oneOf || schema.anyOf) {
+        const options = schema.oneOf || schema.anyOf;
+        const matching = options.filter(option => {
+            const optionErrors = [];
+            check(option, value, at, document, optionErrors);
+            return optionErrors.length === 0;
+        }).length;
+        if (matching === 0 || (schema.oneOf && matching > 1)) {
+            errors.push(`${at} ${matching === 0 ? 'matches none' : 'matches more than one'} of the allowed shapes`);
+        }
+        return;
+    }
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push(`${at} must be ${schema.type === 'integer' || schema.type === 'object' || schema.type === 'array' ? 'an' : 'a'} ${schema.type}${schema.nullable ? ' or null' : ''} (got ${typeOf(value)})`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters long`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters long`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${at}[${index}]`, document, errors));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) errors.push(`${at}.${name} is required`);
+        });
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            if (propertyValue === undefined) return;
+            if (properties[name]) {
+                check(properties[name], propertyValue, `${at}.${name}`, document, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${name} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, propertyValue, `${at}.${name}`, document, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - The schema (may contain $refs).
+ * @param {*} value - The value to check.
+ * @param {object} [options] - `{ document, at }`: the document $refs resolve against, and the name of
+ *   the value in messages (default "value").
+ * @returns {string[]} - Error messages (at most 10), empty when the value is valid.
+ */
+function validateSchema(schema, value, options = {}) {
+    const errors = [];
+    check(schema, value, options.at || 'value', options.document || {}, errors);
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,331 @@
+const { getBook } = require('./books');
+const { escapeXml } = require('./formats');
+const { createVersionStore } = require('./versionstore');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+// --- Full-text search over cached chapters ---
+// Each version has an inverted index (term -> verse -> positions) stored at `search/{lang}/{version}.json`
+// and kept up to date by versionstore.js; chapters cached before the index existed are picked up the
+// first time a version is searched (then at most every SEARCH_CATCHUP_MINUTES, default 10). Terms are
+// accent-folded and stemmed with a light Spanish or English stemmer; quoted phrases must match word for
+// word (accents ignored).
+
+const log = createLogger('search');
+
+const SEARCH_CATCHUP_MINUTES = getConfig().search.catchupMinutes;
+
+/**
+ * Folds a word for matching: lowercase, without accents.
+ * @param {string} word - The word.
+ * @returns {string} - The folded word.
+ */
+function foldWord(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Splits text into words with their character offsets.
+ * @param {string} text - The text.
+ * @returns {{word: string, start: number, end: number}[]} - The words, in order.
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of (text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+        tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Light Spanish stemmer (gender and plural endings), applied to folded words
+function stemSpanish(word) {
+    const len = word.length;
+    if (len < 5) return word;
+    const last = word[len - 1];
+    if (last === 'o' || last === 'a' || last === 'e') {
+        return word.slice(0, -1);
+    }
+    if (last === 's') {
+        if (word.endsWith('eses')) return word.slice(0, -2);
+        if (word.endsWith('ces')) return `${word.slice(0, -3)}z`;
+        if ('oae'.includes(word[len - 2])) return word.slice(0, -2);
+    }
+    return word;
+}
+
+// Minimal English stemmer (plurals and archaic verb endings such as "loveth"), applied to folded words
+function stemEnglish(word) {
+    const len = word.length;
+    if (len < 4) return word;
+    if (word.endsWith('eth') && len > 5) return word.slice(0, -3);
+    if (word.endsWith('ies') && !word.endsWith('eies') && !word.endsWith('aies')) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('es') && !/(ae|ee|oe)s$/.test(word)) return word.slice(0, -1);
+    if (word.endsWith('s') && !word.endsWith('us') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Returns the index term for a word in the given language.
+ * @param {string} word - The word.
+ * @param {string} lang - The language code.
+ * @returns {string} - The folded, stemmed term.
+ */
+function toTerm(word, lang) {
+    const folded = foldWord(word);
+    if (lang === 'es' || lang === 'pt') return stemSpanish(folded);
+    if (lang === 'en') return stemEnglish(folded);
+    return folded;
+}
+
+function createEmptyIndex(version) {
+    return {
+        version: version.abbreviation,
+        language: version.lang,
+        updated_at: null,
+        chapters: {}, // "GEN.1" -> doc ids
+        docs: [], // { usfm, book, chapter, verse, text, length }
+        postings: new Map(), // term -> Map(doc id -> positions)
+        totalLength: 0
+    };
+}
+
+function serializeIndex(index) {
+    const postings = {};
+    index.postings.forEach((docs, term) => {
+        postings[term] = [...docs].map(([docId, positions]) => [docId, ...positions]);
+    });
+    return {
+        version: index.version,
+        language: index.language,
+        updated_at: index.updated_at,
+        chapters: index.chapters,
+        docs: index.docs,
+        postings
+    };
+}
+
+function deserializeIndex(stored, version) {
+    const index = createEmptyIndex(version);
+    index.updated_at = stored.updated_at;
+    index.chapters = stored.chapters || {};
+    index.docs = stored.docs || [];
+    index.totalLength = index.docs.reduce((sum, doc) => sum + doc.length, 0);
+    Object.entries(stored.postings || {}).forEach(([term, entries]) => {
+        index.postings.set(term, new Map(entries.map(([docId, ...positions]) => [docId, positions])));
+    });
+    return index;
+}
+
+// Adds a chapter's verses to a loaded index; returns false if it was already indexed
+function addChapterToIndex(index, book, chapter, content) {
+    const chapterKey = `${book}.${chapter}`;
+    if (index.chapters[chapterKey] || !Array.isArray(content)) {
+        return false;
+    }
+
+    // Verses split across several items (e.g., poetry lines) become one document
+    const verses = new Map();
+    content.forEach(item => {
+        if (item.type === 'heading' || item.type === 'reference' || !item.usfm || !item.text) return;
+        const existing = verses.get(item.usfm);
+        verses.set(item.usfm, existing ? `${existing} ${item.text}` : item.text);
+    });
+
+    const docIds = [];
+    verses.forEach((text, usfm) => {
+        const docId = index.docs.length;
+        const tokens = tokenize(text);
+        index.docs.push({
+            usfm,
+            book,
+            chapter: parseInt(chapter, 10),
+            verse: parseInt(usfm.split('+')[0].split('.').pop(), 10),
+            text,
+            length: tokens.length
+        });
+        index.totalLength += tokens.length;
+        tokens.forEach((token, position) => {
+            const term = toTerm(token.word, index.language);
+            if (!index.postings.has(term)) index.postings.set(term, new Map());
+            const docs = index.postings.get(term);
+            if (!docs.has(docId)) docs.set(docId, []);
+            docs.get(docId).push(position);
+        });
+        docIds.push(docId);
+    });
+
+    index.chapters[chapterKey] = docIds;
+    index.updated_at = new Date().toISOString();
+    return true;
+}
+
+const indexes = createVersionStore({
+    prefix: 'search/',
+    label: 'search index',
+    catchupMinutes: SEARCH_CATCHUP_MINUTES,
+    log,
+    create: createEmptyIndex,
+    deserialize: deserializeIndex,
+    serialize: serializeIndex,
+    addChapter: addChapterToIndex,
+    describe: index => `${Object.keys(index.chapters).length} chapters`
+});
+
+/**
+ * Adds a cached chapter to its version's search index (no-op if it is already indexed).
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @param {string} book - The USFM book code.
+ * @param {string|number} chapter - The chapter number.
+ * @param {object} chapterData - The chapter JSON `data` (with the flattened content).
+ * @returns {Promise<boolean>} - True if the chapter was added.
+ */
+const indexChapter = (version, book, chapter, chapterData) => indexes.addChapter(version, book, chapter, chapterData);
+
+/**
+ * Parses a query into clauses: quoted phrases and single words.
+ * @param {string} query - The raw query (e.g., `amor "vida eterna"`).
+ * @returns {{phrase: boolean, words: string[]}[]} - The clauses.
+ */
+function parseQuery(query) {
+    const clauses = [];
+    const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+        const words = tokenize(phrase).map(token => token.word);
+        if (words.length > 0) clauses.push({ phrase: words.length > 1, words });
+        return ' ';
+    });
+    tokenize(rest).forEach(token => clauses.push({ phrase: false, words: [token.word] }));
+    return clauses;
+}
+
+// Docs (with term frequencies) matching a clause
+function matchClause(index, clause) {
+    const terms = clause.words.map(word => toTerm(word, index.language));
+    const postingLists = terms.map(term => index.postings.get(term));
+    if (postingLists.some(list => !list)) return new Map();
+
+    if (!clause.phrase) {
+        return new Map([...postingLists[0]].map(([docId, positions]) => [docId, positions.length]));
+    }
+
+    // Phrase: the terms must appear at consecutive positions, and the folded words must match exactly
+    const folded = clause.words.map(foldWord);
+    const matches = new Map();
+    postingLists[0].forEach((firstPositions, docId) => {
+        if (!postingLists.every(list => list.has(docId))) return;
+        const docWords = tokenize(index.docs[docId].text).map(token => foldWord(token.word));
+        const count = firstPositions.filter(start =>
+            postingLists.every((list, offset) => list.get(docId).includes(start + offset)) &&
+            folded.every((word, offset) => docWords[start + offset] === word)
+        ).length;
+        if (count > 0) matches.set(docId, count);
+    });
+    return matches;
+}
+
+/**
+ * Wraps the words matching the query terms in <mark> tags, trimming long verses around the first match.
+ * The verse text is HTML-escaped, so the snippet can be inserted as markup.
+ * @param {string} text - The verse text.
+ * @param {Set<string>} terms - The query terms.
+ * @param {string} lang - The language code.
+ * @returns {string} - The snippet.
+ */
+function buildSnippet(text, terms, lang) {
+    const maxLength = 240;
+    const tokens = tokenize(text);
+    const matched = tokens.filter(token => terms.has(toTerm(token.word, lang)));
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > maxLength && matched.length > 0) {
+        start = Math.max(0, matched[0].start - 60);
+        end = Math.min(text.length, start + maxLength);
+    } else if (text.length > maxLength) {
+        end = maxLength;
+    }
+
+    let snippet = '';
+    let cursor = start;
+    matched.filter(token => token.start >= start && token.end <= end).forEach(token => {
+        snippet += `${escapeXml(text.slice(cursor, token.start))}<mark>${escapeXml(token.word)}</mark>`;
+        cursor = token.end;
+    });
+    snippet += escapeXml(text.slice(cursor, end));
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Searches a version's indexed verses.
+ * @param {object} version - The resolved version ({ abbreviation, lang }).
+ * @param {string} query - The query (words and quoted phrases; every clause must match).
+ * @param {object} [options] - { books: string[], testament: 'ot'|'nt', page: number, perPage: number }
+ * @returns {Promise<object>} - { total, page, per_page, total_pages, indexed_chapters, results }
+ */
+async function searchVersion(version, query, options = {}) {
+    const { books = null, testament = null, page = 1, perPage = 20 } = options;
+    const index = await indexes.load(version);
+    await indexes.catchUp(version, index);
+
+    const clauses = parseQuery(query);
+    const docCount = index.docs.length;
+    const averageLength = docCount > 0 ? index.totalLength / docCount : 1;
+
+    let candidates = null; // doc id -> score
+    for (const clause of clauses) {
+        const matches = matchClause(index, clause);
+        const idf = Math.log(1 + (docCount - matches.size + 0.5) / (matches.size + 0.5));
+        const next = new Map();
+        matches.forEach((frequency, docId) => {
+            if (candidates && !candidates.has(docId)) return;
+            // BM25 (k1 = 1.2, b = 0.75); phrases weigh once per word
+            const lengthNorm = 1.2 * (0.25 + 0.75 * index.docs[docId].length / averageLength);
+            const score = idf * clause.words.length * (frequency * 2.2) / (frequency + lengthNorm);
+            next.set(docId, (candidates ? candidates.get(docId) : 0) + score);
+        });
+        candidates = next;
+    }
+
+    const bookFilter = books && books.length > 0 ? new Set(books) : null;
+    const hits = [...(candidates || new Map())]
+        .filter(([docId]) => {
+            const doc = index.docs[docId];
+            if (bookFilter && !bookFilter.has(doc.book)) return false;
+            // Deuterocanonical books (group "dc") belong to neither testament
+            if (testament && getBook(doc.book)?.group !== testament) return false;
+            return true;
+        })
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+    const terms = new Set(clauses.flatMap(clause => clause.words.map(word => toTerm(word, index.language))));
+    const offset = (page - 1) * perPage;
+    const results = hits.slice(offset, offset + perPage).map(([docId, score]) => {
+        const doc = index.docs[docId];
+        return {
+            usfm: doc.usfm,
+            book: doc.book,
+            chapter: doc.chapter,
+            verse: doc.verse,
+            text: doc.text,
+            snippet: buildSnippet(doc.text, terms, index.language),
+            score: Math.round(score * 1000) / 1000
+        };
+    });
+
+    return {
+        total: hits.length,
+        page,
+        per_page: perPage,
+        total_pages: Math.ceil(hits.length / perPage),
+        indexed_chapters: Object.keys(index.chapters).length,
+        results
+    };
+}
+
+module.exports = {
+    foldWord,
+    tokenize,
+    toTerm,
+    parseQuery,
+    indexChapter,
+    searchVersion
+};
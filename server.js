@@ -1,13 +1,43 @@
+require('dotenv').config(); // Load environment variables from .env file (before any setting is read)
+const { getConfig } = require('./config'); // Validated settings
+
+// Fail fast on invalid or missing settings, before anything else reads them
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
+const { createLogger, requestContext } = require('./logger'); // Structured JSON logs with request ids
+const { httpMetrics, metricsEndpoint } = require('./metrics'); // Prometheus metrics
+const { getLiveness, checkReadiness } = require('./health'); // Liveness and readiness probes
+const { sendError } = require('./errors'); // Error envelope
+const { openApiDocument, renderDocsPage } = require('./openapi'); // OpenAPI document and docs UI
 const bibliaRoutes = require('./biblia'); // Import the new Bible routes
-require('dotenv').config(); // Load environment variables from .env file
+const { startCatalogRefresh } = require('./catalog'); // Version catalog refresh scheduler
+const { audioJobs } = require('./audio'); // Queued audio generation
+const { bundleJobs } = require('./bundle'); // Queued bundle exports
+const { startBuildIdRefresh } = require('./upstream'); // bible.com BUILD_ID upkeep
 
+const log = createLogger('server');
 const app = express();
 
-// Enable CORS for all origins
-app.use(cors());
-const port = 1020; // Use port from .env or default to 3000
+// Tag every request with an id (X-Request-Id), log it when it finishes and record its metrics
+app.use(requestContext());
+app.use(httpMetrics());
+
+// Enable CORS for the configured origins (CORS_ORIGINS), or for all origins when unset
+app.use(cors(config.corsOrigins ? { origin: config.corsOrigins } : undefined));
+
+// Behind a reverse proxy, TRUST_PROXY lets anonymous rate limits see the client's address
+if (config.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? Number(config.trustProxy) : config.trustProxy);
+}
+const port = config.port; // PORT (default 1020)
 
 // Middleware to parse JSON bodies
 app.use(express.json());
@@ -20,7 +50,51 @@ app.get('/', (req, res) => {
   res.send('API Webhook Agente is running!');
 });
 
+// Liveness probe: the process is up (no dependencies are checked)
+app.get('/health', (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness probe: 503 while storage is unreachable; an unreachable bible.com only reports "degraded"
+app.get('/ready', async (req, res) => {
+  const report = await checkReadiness();
+  res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+});
+
+// Prometheus scrape endpoint (METRICS_TOKEN protects it when set)
+app.get('/metrics', metricsEndpoint());
+
+// OpenAPI document of the API routes, and its docs UI
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.get('/docs', (req, res) => {
+  res.type('html').send(renderDocsPage());
+});
+
+// Unknown routes and unhandled errors (e.g., malformed JSON bodies) get the same error envelope as the API
+app.use((req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}.`, undefined, 'route_not_found');
+});
+
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    log.error(`Unhandled error on ${req.method} ${req.path}`, error);
+  }
+  const code = { 'entity.parse.failed': 'invalid_json', 'entity.too.large': 'payload_too_large' }[error.type];
+  return sendError(res, status, error.expose ? error.message : 'Internal server error.', undefined, code);
+});
+
 // Start the server
 app.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
+  log.info(`Server listening on port ${port}`, { port });
+  startCatalogRefresh(); // Build the version catalog and keep it fresh
+  startBuildIdRefresh(); // Pick up bible.com deployments before requests start failing
+  audioJobs.restore(); // Resume audio jobs interrupted by a restart
+  bundleJobs.restore(); // Resume interrupted bundle exports
 });
@@ -0,0 +1,453 @@
+const { putJson, getJson } = require('./utils'); // Storage utilities
+const { langCodeMap, fetchLanguageVersions, resolveBibleVersion } = require('./catalog'); // Dynamic version catalog
+const { indexChapter } = require('./search'); // Full-text search over cached chapters
+const { indexChapterCrossrefs } = require('./crossrefs'); // Reverse cross-reference graph
+const { parseBibleHtmlToJson, flattenChapterBlocks } = require('./parser'); // Chapter HTML parser
+const { documentCache } = require('./cache'); // In-process cache tier
+const upstream = require('./upstream'); // bible.com client (rate limit, retries, circuit breaker, BUILD_ID)
+const { getBook, suggestBooks } = require('./books'); // Canonical book registry
+const { createHttpError } = require('./errors'); // Error envelope
+const { createLogger } = require('./logger'); // Structured logs
+
+// --- Bible content services ---
+// Chapters, version info and version lists, read through the in-process cache, the storage cache
+// and bible.com. The routes, the audio pipeline and the bundle exporter all call these in-process,
+// so they share the same caching and error semantics: failures are errors with the HTTP `status`
+// (and error `code`) to answer with. Chapters are checked against the version's books and the book
+// registry before anything is fetched.
+
+const log = createLogger('service');
+
+/**
+ * Resolves a version abbreviation through the catalog.
+ * @param {string} abbreviation - The version abbreviation (e.g., "RVR1960").
+ * @param {string} [lang] - The language the version must be in.
+ * @returns {Promise<object>} - The version ({ id, abbreviation, lang, ... }).
+ * @throws {Error} - With the HTTP `status` (and the `candidates` as details when the abbreviation is ambiguous).
+ */
+async function resolveVersion(abbreviation, lang) {
+    const version = await resolveBibleVersion(abbreviation, lang);
+    if (version.error) {
+        throw createHttpError(version.status, version.error, version.candidates ? { candidates: version.candidates } : undefined, version.code);
+    }
+    return version;
+}
+
+// Adds a chapter to its version's search index and cross-reference graph in the background
+// (indexing never fails a request)
+function indexCachedChapter(version, bible_book, bible_chapter, chapterData) {
+    indexChapter(version, bible_book, bible_chapter, chapterData).catch(error => {
+        log.error(`Error indexing ${version.abbreviation}/${bible_book}/${bible_chapter} for search`, { error: error.message });
+    });
+    indexChapterCrossrefs(version, bible_book, bible_chapter, chapterData).catch(error => {
+        log.error(`Error adding ${version.abbreviation}/${bible_book}/${bible_chapter} to the cross-reference graph`, { error: error.message });
+    });
+}
+
+// Storage key of a chapter's JSON (also its key in the in-process cache). The language is part of the
+// key because one abbreviation can name versions in several languages (e.g., NVI in es and pt).
+const chapterCacheKey = (version, bible_book, bible_chapter) => `text/${version.lang}/${version.abbreviation}/${bible_book.toUpperCase()}/${bible_chapter}.json`;
+
+// Number of the last chapter of a version's book ("GEN.50" -> 50), or null when unknown
+function lastChapterOf(versionBook) {
+    return parseInt(String(versionBook?.last_chapter?.usfm || '').split('.').pop(), 10) || null;
+}
+
+// Number of the first chapter of a version's book ("GEN.1" -> 1), 1 when unknown
+function firstChapterOf(versionBook) {
+    return parseInt(String(versionBook?.first_chapter?.usfm || '').split('.').pop(), 10) || 1;
+}
+
+// The 400 for a book that is neither in the registry nor in the version, with the likely intended books
+function unknownBookError(bible_book) {
+    const suggestions = suggestBooks(bible_book);
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.join(' or ')}?` : '';
+    return createHttpError(400, `Unknown book '${bible_book}'.${hint} Books are USFM codes such as GEN or JHN (see GET /books).`, { book: bible_book, suggestions }, 'unknown_book');
+}
+
+/**
+ * Checks a book and chapter before anything is fetched: the book must be in the registry or the
+ * version's books, the version must contain it, and the chapter must be within its chapter count
+ * (from the version info's `last_chapter`, or the registry when the version info is unavailable).
+ * @param {object} version - The resolved version ({ id, abbreviation, lang }).
+ * @param {string} bible_book - The USFM book code as requested.
+ * @param {string} bible_chapter - The chapter as requested.
+ * @returns {Promise<object>} - `{ book, chapter, last_chapter }` (USFM code in upper case, numbers). Callers
+ *   build storage keys from the returned `chapter`, so "01" and "1" share one key.
+ * @throws {Error} - 400 `unknown_book` (with suggestions) or `invalid_chapter`; 404 `book_not_in_version`
+ *   or `chapter_out_of_range`.
+ */
+async function validateChapter(version, bible_book, bible_chapter) {
+    const book = String(bible_book || '').toUpperCase();
+    const registryBook = getBook(book);
+
+    let versionBooks = null;
+    try {
+        versionBooks = (await getVersionInfo(version)).data?.books || null;
+    } catch (error) {
+        log.warn(`Could not load the books of ${version.abbreviation}, checking ${book} against the registry only`, { error: error.message });
+    }
+    const versionBook = versionBooks?.find(entry => String(entry?.usfm || '').toUpperCase() === book) || null;
+
+    if (!registryBook && !versionBook) {
+        throw unknownBookError(bible_book);
+    }
+    if (!/^\d+$/.test(String(bible_chapter)) || parseInt(bible_chapter, 10) < 1) {
+        throw createHttpError(400, `Invalid chapter '${bible_chapter}'. Expected a chapter number.`, { book, chapter: bible_chapter }, 'invalid_chapter');
+    }
+    if (versionBooks && versionBooks.length > 0 && !versionBook) {
+        throw createHttpError(404, `${version.abbreviation} does not include the book ${book}.`, { book, version: version.abbreviation }, 'book_not_in_version');
+    }
+
+    const chapter = parseInt(bible_chapter, 10);
+    const lastChapter = lastChapterOf(versionBook) || registryBook?.chapters || null;
+    if (lastChapter && chapter > lastChapter) {
+        throw createHttpError(404, `Chapter ${chapter} not found: ${book} has ${lastChapter} chapter${lastChapter === 1 ? '' : 's'} in ${version.abbreviation}.`, { book, chapter, last_chapter: lastChapter }, 'chapter_out_of_range');
+    }
+    return { book, chapter, last_chapter: lastChapter };
+}
+
+/**
+ * Lists the chapters of a whole book, or of a range of its chapters, in a version. The bounds come from
+ * the version info's `books` list (`first_chapter` and `last_chapter`).
+ * @param {object} version - The resolved version ({ id, abbreviation, lang }).
+ * @param {string} bible_book - The USFM book code as requested.
+ * @param {string} [from] - The first chapter as requested (default: the book's first chapter).
+ * @param {string} [to] - The last chapter as requested (default: the book's last chapter).
+ * @returns {Promise<object>} - `{ book, human, first_chapter, last_chapter, chapters }` with the chapter numbers in order.
+ * @throws {Error} - 400 `unknown_book` or `invalid_range`; 404 `book_not_in_version` or `chapter_out_of_range`.
+ */
+async function getBookChapters(version, bible_book, from, to) {
+    const book = String(bible_book || '').toUpperCase();
+    const registryBook = getBook(book);
+    const versionBooks = (await getVersionInfo(version)).data?.books || [];
+    const versionBook = versionBooks.find(entry => String(entry?.usfm || '').toUpperCase() === book);
+    if (!versionBook) {
+        if (!registryBook) {
+            throw unknownBookError(bible_book);
+        }
+        throw createHttpError(404, `${version.abbreviation} does not include the book ${book}.`, { book, version: version.abbreviation }, 'book_not_in_version');
+    }
+
+    const firstChapter = firstChapterOf(versionBook);
+    const lastChapter = lastChapterOf(versionBook) || registryBook?.chapters || firstChapter;
+    const start = from === undefined ? firstChapter : parseInt(from, 10);
+    const end = to === undefined ? lastChapter : parseInt(to, 10);
+    if (!(start >= 1) || !(end >= start)) {
+        throw createHttpError(400, `Invalid chapter range '${from}-${to}'. Expected first-last chapters with first <= last (e.g., 1-11).`, { book, from, to }, 'invalid_range');
+    }
+    if (start < firstChapter || end > lastChapter) {
+        throw createHttpError(404, `Chapters ${start}-${end} not found: ${book} has chapters ${firstChapter}-${lastChapter} in ${version.abbreviation}.`, {
+            book,
+            from: start,
+            to: end,
+            first_chapter: firstChapter,
+            last_chapter: lastChapter
+        }, 'chapter_out_of_range');
+    }
+
+    return {
+        book,
+        human: versionBook.human || registryBook?.name || book,
+        first_chapter: firstChapter,
+        last_chapter: lastChapter,
+        chapters: Array.from({ length: end - start + 1 }, (_, index) => start + index)
+    };
+}
+
+/**
+ * Loads a chapter as the `{data}` payload served by the chapter route: from the in-process cache,
+ * the storage cache or bible.com (caching the result in both).
+ * @param {object} version - The resolved version ({ id, abbreviation, lang }).
+ * @param {string} bible_book - The USFM book code.
+ * @param {string} bible_chapter - The chapter number.
+ * @param {object} [options] - `structured: true` fetches entries cached before block trees were kept
+ *   again; `refresh: true` always fetches the chapter again from bible.com.
+ * @returns {Promise<object>} - `{ data }` with the flattened `content` and the `blocks` tree.
+ * @throws {Error} - With the HTTP `status` to answer with (see validateChapter for invalid chapters).
+ */
+async function getChapter(version, bible_book, bible_chapter, options = {}) {
+    const chapter = String((await validateChapter(version, bible_book, bible_chapter)).chapter);
+    const cacheKey = chapterCacheKey(version, bible_book, chapter);
+    if (!options.refresh) {
+        const chapterJson = await documentCache.get(cacheKey, () => loadChapterJson(version, bible_book, chapter));
+        if (!options.structured || chapterJson.data?.blocks) {
+            return chapterJson;
+        }
+    }
+    return documentCache.get(cacheKey, () => loadChapterJson(version, bible_book, chapter, { skipStorage: true }), { refresh: true });
+}
+
+// Reads a chapter from the storage cache (unless `options.skipStorage`) or fetches it from bible.com
+async function loadChapterJson(version, bible_book, bible_chapter, options = {}) {
+    const bible_id = version.id;
+    const bible_abbr = version.abbreviation; // Canonical casing from the catalog
+    const locale = version.lang; // Upstream locale follows the version's language
+
+    // First try to get from storage cache (a single GET; missing objects come back as null)
+    const cacheKey = chapterCacheKey(version, bible_book, bible_chapter);
+    if (!options.skipStorage) {
+        try {
+            const cachedData = await getJson(cacheKey);
+            // Entries cached while unparseable chapters were still stored are fetched again
+            if (cachedData && Array.isArray(cachedData.data?.content)) {
+                log.info(`Found cached JSON in storage for key: ${cacheKey}`);
+                indexCachedChapter(version, bible_book, bible_chapter, cachedData.data);
+                return cachedData;
+            }
+        } catch (storageError) {
+            log.error(`Error checking storage cache for key ${cacheKey}`, { error: storageError.message });
+            // Continue with normal flow if storage check fails
+        }
+    }
+
+    // Fetch from bible.com through the upstream client (rate limit, retries, circuit breaker, BUILD_ID)
+    const usfmPath = `${bible_book.toUpperCase()}.${bible_chapter}.${bible_abbr}`;
+    let pageProps;
+    try {
+        log.info(`Fetching chapter ${usfmPath} (version ${bible_id}) from bible.com`);
+        const chapterResponse = await upstream.getNextData(`${locale}/bible/${bible_id}/${usfmPath}.json?versionId=${bible_id}&usfm=${usfmPath}`);
+        pageProps = chapterResponse?.pageProps;
+    } catch (error) {
+        log.error(`Failed to fetch chapter ${usfmPath}: ${error.message}`);
+        throw createHttpError(error.status || 502, `Failed to retrieve Bible data. ${error.message}`, error.retryAfter ? { retry_after: error.retryAfter } : undefined);
+    }
+    if (!pageProps) {
+        log.warn(`Received unexpected data structure for chapter ${usfmPath}.`);
+        throw createHttpError(502, 'Unexpected data structure received from Bible API.');
+    }
+
+    const rawHtmlContent = pageProps.chapterInfo?.content; // Get the raw HTML
+    let parsedContent = null;
+    if (rawHtmlContent) {
+        try {
+            // Parse the HTML content using the function defined above
+            const fullParsedData = parseBibleHtmlToJson(rawHtmlContent);
+            // Extract the relevant chapter content array
+            parsedContent = fullParsedData?.book?.chapters?.[0]?.content;
+        } catch (parseError) {
+            // Unparseable chapters are an error (and are not cached), so `content` is always a verse list
+            log.error(`Error parsing HTML content of ${usfmPath}`, { error: parseError.message });
+            throw createHttpError(502, `Failed to parse the chapter content of ${usfmPath}.`, { reason: parseError.message }, 'unparsed_chapter');
+        }
+    }
+
+    // Flatten the block tree into verse items while keeping headings (the tree is kept as `blocks`)
+    // If parsedContent is null or not an array, the content is empty
+    const finalContent = Array.isArray(parsedContent) ? flattenChapterBlocks(parsedContent) : [];
+
+    const simplifiedResponse = {
+        title: pageProps.chapterInfo?.reference.human,
+        usfm: pageProps.usfm,
+        locale: pageProps.locale,
+        content: finalContent, // Use the processed content
+        blocks: Array.isArray(parsedContent) ? parsedContent : undefined, // Block tree for ?layout=structured
+        previous_chapter: pageProps.chapterInfo?.previous,
+        next_chapter: pageProps.chapterInfo?.next,
+        language: pageProps.versionData?.language?.iso_639_1,
+        direction: pageProps.versionData?.language?.text_direction,
+        publisher: pageProps.versionData?.publisher?.name,
+        copyright: pageProps.chapterInfo?.copyright.text,
+        notes: [{
+            text: pageProps.versionData?.reader_footer?.text,
+            url: pageProps.versionData?.reader_footer_url
+        }]
+    };
+
+    log.info(`Successfully fetched and processed chapter ${usfmPath}.`);
+
+    // Save to storage cache for future requests
+    try {
+        await putJson(cacheKey, {data: simplifiedResponse});
+        log.info(`Successfully cached response in storage with key: ${cacheKey}`);
+    } catch (storageError) {
+        log.error('Error saving to storage cache', { error: storageError.message });
+        // Continue with response even if storage save fails
+    }
+
+    indexCachedChapter(version, bible_book, bible_chapter, simplifiedResponse);
+    return {data: simplifiedResponse}; // Return the simplified response
+}
+
+/**
+ * Loads version info (title, books, publisher...) as the `{data}` payload served by the version-info
+ * route: from the in-process cache, the storage cache or bible.com.
+ * @param {object} version - The resolved version ({ id, abbreviation, lang }).
+ * @param {object} [options] - `refresh: true` always fetches it again from bible.com.
+ * @returns {Promise<object>} - `{ data }`.
+ * @throws {Error} - With the HTTP `status` to answer with.
+ */
+async function getVersionInfo(version, options = {}) {
+    const cacheKey = `versions/${version.lang}/${version.abbreviation}.json`; // Guardamos en la ruta correcta con el idioma
+    return documentCache.get(cacheKey, () => loadVersionInfoJson(version, { skipStorage: options.refresh }), { refresh: options.refresh });
+}
+
+// Reads version info from the storage cache (unless `options.skipStorage`) or fetches it from bible.com
+async function loadVersionInfoJson(version, options = {}) {
+    const bible_id = version.id;
+    const bible_abbr = version.abbreviation; // Canonical casing from the catalog
+    const locale = version.lang;
+    const bible_id_json = `${bible_id}.json`; // Construct the JSON filename using the found ID
+
+    // First try to get from storage cache (a single GET; missing objects come back as null)
+    const cacheKey = `versions/${locale}/${bible_abbr}.json`;
+    if (!options.skipStorage) {
+        try {
+            const cachedData = await getJson(cacheKey);
+            if (cachedData) {
+                log.info(`Found cached version info in storage for key: ${cacheKey}`);
+                return cachedData;
+            }
+        } catch (storageError) {
+            log.error(`Error checking storage cache for key ${cacheKey}`, { error: storageError.message });
+            // Continue with normal flow if storage check fails
+        }
+    }
+
+    // Fetch from bible.com through the upstream client - use the looked-up bible_id
+    let pageProps;
+    try {
+        log.info(`Fetching version data for ${bible_abbr} (${bible_id}) from bible.com`);
+        const versionResponse = await upstream.getNextData(`${locale}/versions/${bible_id_json}`);
+        pageProps = versionResponse?.pageProps;
+    } catch (error) {
+        log.error(`Failed to fetch version info for ${bible_abbr}: ${error.message}`);
+        throw createHttpError(error.status || 502, `Failed to retrieve Bible version data. ${error.message}`, error.retryAfter ? { retry_after: error.retryAfter } : undefined);
+    }
+    if (!pageProps || !pageProps.version) {
+        log.warn(`Received unexpected data structure for version info of ${bible_abbr}.`);
+        throw createHttpError(502, 'Unexpected data structure received from Bible API for version info.');
+    }
+    log.info(`Successfully fetched version data for ${bible_abbr}.`);
+
+    const modifiedBooks = pageProps.version.books.map(book => {
+        const newBook = {
+            text: book.text,
+            usfm: book.usfm,
+            audio: book.audio,
+            canon: book.canon,
+            human: book.human,
+            abbreviation: book.abbreviation
+        };
+
+        if (book.chapters && book.chapters.length > 0) {
+            newBook.first_chapter = {
+                ...book.chapters[0],
+                usfm: `${book.usfm}.1`
+            };
+            newBook.last_chapter = book.chapters[book.chapters.length - 1];
+        }
+
+        return newBook;
+    });
+
+    const versionData = {
+        title: pageProps.version.title,
+        usfm: pageProps.version.abbreviation,
+        books: modifiedBooks,
+        language: pageProps.version?.language?.iso_639_1,
+        direction: pageProps.version?.language?.text_direction,
+        publisher: [{
+            name: pageProps.version?.publisher?.name,
+            description: pageProps.version?.publisher?.description,
+            url: pageProps.version?.publisher?.url
+        }],
+        copyright: pageProps.chapterInfo?.copyright.text,
+        notes: [{
+            text: pageProps.versionData?.reader_footer?.text,
+            url: pageProps.versionData?.reader_footer_url
+        }]
+    };
+
+    // Save to storage cache for future requests
+    try {
+        await putJson(cacheKey, {data: versionData });
+        log.info(`Successfully cached version data in storage with key: ${cacheKey}`);
+    } catch (storageError) {
+        log.error('Error saving to storage cache', { error: storageError.message });
+        // Continue with response even if storage save fails
+    }
+
+    return {data: versionData };
+}
+
+// Reads a version list from the storage cache or fetches it with `fetchList` (caching the result)
+async function loadVersionList(cacheKey, description, fetchList) {
+    try {
+        const cachedData = await getJson(cacheKey);
+        if (cachedData) {
+            log.info(`Found cached ${description} in storage for key: ${cacheKey}`);
+            return cachedData;
+        }
+    } catch (storageError) {
+        log.error(`Error checking storage cache for key ${cacheKey}`, { error: storageError.message });
+        // Continue with normal flow if storage check fails
+    }
+
+    let versionsData;
+    try {
+        versionsData = await fetchList();
+    } catch (error) {
+        log.error(`Failed to fetch ${description}: ${error.message}`);
+        throw createHttpError(error.status || 502, `Failed to retrieve ${description}. ${error.message}`, error.retryAfter ? { retry_after: error.retryAfter } : undefined);
+    }
+    if (!versionsData) {
+        log.warn(`Received empty or unexpected data structure for ${description}`);
+        throw createHttpError(404, `No ${description} found.`);
+    }
+    log.info(`Successfully fetched ${description}`);
+
+    // Save to storage cache for future requests
+    try {
+        await putJson(cacheKey, {data: versionsData});
+        log.info(`Successfully cached ${description} in storage with key: ${cacheKey}`);
+    } catch (storageError) {
+        log.error('Error saving to storage cache', { error: storageError.message });
+        // Continue with response even if storage save fails
+    }
+
+    return {data: versionsData};
+}
+
+/**
+ * Lists Bible versions: bible.com's default versions, or every version available in a language.
+ * @param {string} [lang] - ISO 639-1 (e.g., "es") or ISO 639-3 (e.g., "spa") code; without it, the
+ *   default versions configuration is returned.
+ * @returns {Promise<object>} - `{ data }` as served by the versions routes.
+ * @throws {Error} - With the HTTP `status` to answer with (400 for an unknown language code).
+ */
+async function listVersions(lang) {
+    if (lang === undefined) {
+        return documentCache.get('versions/index.json', () => loadVersionList('versions/index.json', 'versions configuration', async () => {
+            log.info('Fetching versions configuration from: /api/bible/configuration');
+            const configuration = await upstream.request('/api/bible/configuration');
+            return configuration?.response?.data?.default_versions;
+        }));
+    }
+
+    const langParam = String(lang).toLowerCase(); // Ensure lowercase for matching map keys
+    if (langParam.length !== 2 && langParam.length !== 3) {
+        throw createHttpError(400, `Invalid language parameter format: ${lang}. Expected 2-letter ISO 639-1 or 3-letter ISO 639-3 code.`);
+    }
+    // 2-letter codes are converted to ISO 639-3 for the API call; 3-letter codes are used directly
+    const lang_tag_3 = langParam.length === 2 ? langCodeMap[langParam] : langParam;
+    if (!lang_tag_3) {
+        throw createHttpError(400, `Unsupported or unknown 2-letter language code: ${langParam}. Please use a supported ISO 639-1 code.`);
+    }
+
+    const cacheKey = `versions/${langParam}/index.json`;
+    return documentCache.get(cacheKey, () => loadVersionList(cacheKey, `versions for language ${langParam}`, () => {
+        log.info(`Fetching all versions in language (ISO 639-1): ${langParam}, mapped to (ISO 639-3): ${lang_tag_3}`);
+        return fetchLanguageVersions(lang_tag_3);
+    }));
+}
+
+module.exports = {
+    resolveVersion,
+    validateChapter,
+    getBookChapters,
+    chapterCacheKey,
+    getChapter,
+    getVersionInfo,
+    listVersions
+};
@@ -0,0 +1,340 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require("@aws-sdk/client-s3");
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfig, loadConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createCounter, createHistogram } = require('./metrics');
+
+// --- Storage drivers ---
+// Every driver implements the same interface:
+//   put(key, body, contentType)  -> Promise<void>
+//   get(key)                     -> Promise<{ body: Buffer, contentType: string }|null>
+//   head(key)                    -> Promise<{ size: number, contentType: string, lastModified: Date }|null>
+//   delete(key)                  -> Promise<void>
+//   list(prefix)                 -> Promise<string[]>
+// and exposes `name` and `publicUrl` (base URL objects are publicly served from, or null).
+//
+// The driver is chosen with STORAGE_DRIVER (s3 | fs | memory, default s3):
+//   s3:     S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//           S3_FORCE_PATH_STYLE (for MinIO), S3_PUBLIC_URL
+//   fs:     STORAGE_DIR (default ./storage)
+//   all:    STORAGE_PUBLIC_URL overrides the public base URL
+
+const contentTypesByExtension = {
+    '.json': 'application/json',
+    '.mp3': 'audio/mpeg',
+    '.sqlite': 'application/vnd.sqlite3',
+    '.txt': 'text/plain',
+    '.html': 'text/html',
+    '.xml': 'application/xml'
+};
+
+/**
+ * Guesses a content type from a key's extension.
+ * @param {string} key - The object key.
+ * @returns {string} - The MIME type.
+ */
+function guessContentType(key) {
+    return contentTypesByExtension[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Creates an S3-compatible driver (Backblaze B2, AWS S3, MinIO...).
+ * @param {object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }
+ * @returns {object} - A storage driver.
+ */
+function createS3Driver(options) {
+    const clientConfig = {
+        endpoint: options.endpoint,
+        region: options.region,
+        forcePathStyle: Boolean(options.forcePathStyle)
+    };
+    // Without explicit keys the SDK falls back to its default credential chain
+    if (options.accessKeyId && options.secretAccessKey) {
+        clientConfig.credentials = {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey
+        };
+    }
+    const client = new S3Client(clientConfig);
+    const bucket = options.bucket;
+
+    const isNotFound = error => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+    return {
+        name: 's3',
+        publicUrl: options.publicUrl || null,
+
+        async put(key, body, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType || guessContentType(key),
+                ACL: 'public-read' // Make file publicly accessible if needed
+            }));
+        },
+
+        async get(key) {
+            try {
+                const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                const bytes = await response.Body.transformToByteArray();
+                return { body: Buffer.from(bytes), contentType: response.ContentType || guessContentType(key) };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async head(key) {
+            try {
+                const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return {
+                    size: response.ContentLength,
+                    contentType: response.ContentType || guessContentType(key),
+                    lastModified: response.LastModified
+                };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async list(prefix) {
+            const keys = [];
+            let continuationToken;
+            do {
+                const response = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                }));
+                (response.Contents || []).forEach(object => keys.push(object.Key));
+                continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return keys;
+        }
+    };
+}
+
+/**
+ * Creates a driver that stores objects as files under a local directory.
+ * @param {object} options - { root, publicUrl }
+ * @returns {object} - A storage driver.
+ */
+function createFsDriver(options) {
+    const root = path.resolve(options.root);
+
+    // Maps a key to a path inside root, rejecting keys that would escape it
+    const resolveKey = key => {
+        const filePath = path.resolve(root, key);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const walk = async dir => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const files = [];
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await walk(entryPath));
+            } else {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    };
+
+    return {
+        name: 'fs',
+        publicUrl: options.publicUrl || null,
+
+        async put(key, body) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            // Write to a temporary file first so readers never see a partial object
+            const tempPath = `${filePath}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+            await fs.writeFile(tempPath, body);
+            await fs.rename(tempPath, filePath);
+        },
+
+        async get(key) {
+            try {
+                return { body: await fs.readFile(resolveKey(key)), contentType: guessContentType(key) };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async head(key) {
+            try {
+                const stats = await fs.stat(resolveKey(key));
+                return { size: stats.size, contentType: guessContentType(key), lastModified: stats.mtime };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            await fs.unlink(resolveKey(key)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        },
+
+        async list(prefix) {
+            const files = await walk(root);
+            return files
+                .filter(file => !file.endsWith('.tmp'))
+                .map(file => path.relative(root, file).split(path.sep).join('/'))
+                .filter(key => key.startsWith(prefix || ''))
+                .sort();
+        }
+    };
+}
+
+/**
+ * Creates a driver that keeps objects in memory (tests, throwaway local runs).
+ * @param {object} [options] - { publicUrl }
+ * @returns {object} - A storage driver.
+ */
+function createMemoryDriver(options = {}) {
+    const objects = new Map();
+
+    return {
+        name: 'memory',
+        publicUrl: options.publicUrl || null,
+
+        async put(key, body, contentType) {
+            objects.set(key, {
+                body: Buffer.from(body),
+                contentType: contentType || guessContentType(key),
+                lastModified: new Date()
+            });
+        },
+
+        async get(key) {
+            const object = objects.get(key);
+            return object ? { body: object.body, contentType: object.contentType } : null;
+        },
+
+        async head(key) {
+            const object = objects.get(key);
+            return object ? { size: object.body.length, contentType: object.contentType, lastModified: object.lastModified } : null;
+        },
+
+        async delete(key) {
+            objects.delete(key);
+        },
+
+        async list(prefix) {
+            return [...objects.keys()].filter(key => key.startsWith(prefix || '')).sort();
+        }
+    };
+}
+
+/**
+ * Creates the driver described by the storage configuration.
+ * @param {object} storageConfig - The `storage` section of the configuration (see config.js).
+ * @returns {object} - A storage driver.
+ */
+function createStorage(storageConfig) {
+    switch (storageConfig.driver) {
+        case 's3':
+            return createS3Driver({
+                ...storageConfig.s3,
+                publicUrl: storageConfig.publicUrl || storageConfig.s3.publicUrl
+            });
+        case 'fs':
+            return createFsDriver({
+                root: storageConfig.dir,
+                publicUrl: storageConfig.publicUrl
+            });
+        case 'memory':
+            return createMemoryDriver({ publicUrl: storageConfig.publicUrl });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER '${storageConfig.driver}'. Expected 's3', 'fs' or 'memory'.`);
+    }
+}
+
+/**
+ * Creates the driver selected by a set of environment variables.
+ * @param {object} [env] - Environment variables (defaults to process.env).
+ * @returns {object} - A storage driver.
+ */
+function createStorageFromEnv(env = process.env) {
+    return createStorage(loadConfig(env).storage);
+}
+
+const log = createLogger('storage');
+const storageOperations = createCounter('storage_operations_total', 'Storage operations by driver, operation and result (failed uploads are operation="put", result="error").', ['driver', 'operation', 'result']);
+const storageDuration = createHistogram('storage_operation_duration_seconds', 'Storage operation latency by driver and operation.', ['driver', 'operation']);
+
+// Wraps a driver so every operation is timed and counted (callers log their own failures)
+function instrumentStorage(driver) {
+    const instrumented = { ...driver };
+    ['put', 'get', 'head', 'delete', 'list'].forEach(operation => {
+        instrumented[operation] = async (...args) => {
+            const labels = { driver: driver.name, operation };
+            const endTimer = storageDuration.startTimer(labels);
+            try {
+                const result = await driver[operation](...args);
+                storageOperations.inc({ ...labels, result: 'ok' });
+                return result;
+            } catch (error) {
+                storageOperations.inc({ ...labels, result: 'error' });
+                throw error;
+            } finally {
+                endTimer();
+            }
+        };
+    });
+    return instrumented;
+}
+
+let storage = null;
+
+/**
+ * Returns the shared storage driver, creating it from the environment on first use.
+ * @returns {object} - The storage driver.
+ */
+function getStorage() {
+    if (!storage) {
+        storage = instrumentStorage(createStorage(getConfig().storage));
+        log.info(`Storage driver: ${storage.name}`);
+    }
+    return storage;
+}
+
+/**
+ * Replaces the shared storage driver (e.g., an in-memory driver in tests).
+ * @param {object} driver - A storage driver.
+ */
+function setStorage(driver) {
+    storage = instrumentStorage(driver);
+}
+
+module.exports = {
+    createS3Driver,
+    createFsDriver,
+    createMemoryDriver,
+    createStorage,
+    createStorageFromEnv,
+    getStorage,
+    setStorage,
+    guessContentType
+};
@@ -39,6 +39,23 @@ testRoute('POST Generate audio Bible', async () => {
   console.log('Audio URL:', response.data.audio_url);
 });
 
+// Test 2b: Generate English audio Bible
+testRoute('POST Generate English audio Bible', async () => {
+  const response = await axios.post(`${API_BASE}/audio`, {
+    bible_usfm: 'KJV',
+    bible_book: 'JHN',
+    bible_chapter: '1',
+    bible_lang: 'en',
+    wait: true
+  }, {
+    headers: { 'X-API-Key': process.env.API_KEY } // Needs a key with the 'audio' scope
+  });
+  if (!response.data || !response.data.audio_url || !response.data.audio_url.includes('/audio/en/')) {
+    throw new Error('Missing English audio URL in response');
+  }
+  console.log('Audio URL:', response.data.audio_url, 'voice:', response.data.voice);
+});
+
 // Test 3: Get Bible version info
 testRoute('GET Bible version info', async () => {
   const url = `${API_BASE}/es/RVR1960`;
@@ -72,6 +89,278 @@ testRoute('GET Versions configuration', async () => {
   console.log('Versions configuration loaded');
 });
 
+// Test 6: Get verse range
+testRoute('GET Verse range', async () => {
+  const url = `${API_BASE}/es/RVR1960/JHN/3/16-18`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || response.data.data.verses !== '16-18' || !Array.isArray(response.data.data.content)) {
+    throw new Error('Invalid verse range structure');
+  }
+  console.log('Received verses:', response.data.data.title);
+});
+
+// Test 7: Resolve a free-text passage reference
+testRoute('GET Passage by reference', async () => {
+  const url = `${API_BASE}/passage?ref=${encodeURIComponent('Juan 3:16-18; Gn 1:1')}&version=RVR1960`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || !Array.isArray(response.data.data.passages) || response.data.data.passages.length !== 2) {
+    throw new Error('Invalid passage structure');
+  }
+  console.log('Resolved passage:', response.data.data.reference);
+});
+
+// Test 8: Queue audio generation and poll the job
+testRoute('POST Audio job status', async () => {
+  const response = await axios.post(`${API_BASE}/audio`, {
+    bible_usfm: 'RVR1960',
+    bible_book: 'PSA',
+    bible_chapter: '23',
+    bible_lang: 'es'
+  }, {
+    headers: { 'X-API-Key': process.env.API_KEY }
+  });
+  if (response.data.status === 'done') {
+    console.log('Audio already cached:', response.data.audio_url);
+    return;
+  }
+  if (!response.data.job_id) {
+    throw new Error('Missing job id in response');
+  }
+  const job = await axios.get(`${API_BASE}/audio/jobs/${response.data.job_id}`);
+  if (!job.data || !job.data.status || !Array.isArray(job.data.steps)) {
+    throw new Error('Invalid audio job structure');
+  }
+  console.log('Audio job:', job.data.job_id, job.data.status);
+});
+
+// Test 9: Get verse timing of generated audio (generated by Test 2b)
+testRoute('GET Audio verse timing', async () => {
+  const url = `${API_BASE}/audio/timing/en/KJV/JHN/1`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || !response.data.data.verses || !response.data.data.verses['JHN.1.1']) {
+    throw new Error('Invalid audio timing structure');
+  }
+  console.log('Audio duration (ms):', response.data.data.duration_ms);
+});
+
+// Test 10: Compare a chapter across versions
+testRoute('GET Compare versions', async () => {
+  const url = `${API_BASE}/compare/JHN/3?versions=RVR1960,NVI-S&diff=words`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || response.data.data.versions.length !== 2 || !Array.isArray(response.data.data.rows)) {
+    throw new Error('Invalid comparison structure');
+  }
+  console.log('Compared rows:', response.data.data.rows.length, 'missing:', response.data.data.missing_count);
+});
+
+// Test 11: Full-text search over cached chapters
+testRoute('GET Search', async () => {
+  const url = `${API_BASE}/search?q=${encodeURIComponent('"vida eterna"')}&version=RVR1960&testament=nt`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || !Array.isArray(response.data.data.results) || typeof response.data.data.total !== 'number') {
+    throw new Error('Invalid search structure');
+  }
+  console.log('Search hits:', response.data.data.total, 'indexed chapters:', response.data.data.indexed_chapters);
+});
+
+// Test 12: Get a chapter as Markdown
+testRoute('GET Chapter as Markdown', async () => {
+  const url = `${API_BASE}/es/RVR1960/JHN/3?format=markdown`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url, { responseType: 'text' });
+  if (!response.headers['content-type'].startsWith('text/markdown') || !response.data.startsWith('# ')) {
+    throw new Error('Invalid Markdown chapter');
+  }
+  console.log('Markdown length:', response.data.length);
+});
+
+// Test 13: Start an offline bundle export
+testRoute('POST Offline bundle export', async () => {
+  const response = await axios.post(`${API_BASE}/bundles`, { version: 'RVR1960', lang: 'es' });
+  if (response.data.status === 'done') {
+    console.log('Bundle already exported:', response.data.bundle_url);
+    return;
+  }
+  if (!response.data.job_id) {
+    throw new Error('Missing job id in response');
+  }
+  const job = await axios.get(`${API_BASE}/bundles/jobs/${response.data.job_id}`);
+  console.log('Bundle job:', job.data.job_id, job.data.status);
+});
+
+// Test 14: Get a Psalm as a structured block tree
+testRoute('GET Chapter structured layout', async () => {
+  const url = `${API_BASE}/es/RVR1960/PSA/3?layout=structured`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || !Array.isArray(response.data.data.blocks)) {
+    throw new Error('Invalid structured chapter');
+  }
+  console.log('Block types:', [...new Set(response.data.data.blocks.map(block => block.style))].join(', '));
+});
+
+// Test 15: Get the cross references of a verse, both ways
+testRoute('GET Cross references', async () => {
+  const url = `${API_BASE}/crossrefs/RVR1960/JHN/1/1?text=true`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  if (!response.data || !Array.isArray(response.data.data.outgoing) || !Array.isArray(response.data.data.incoming)) {
+    throw new Error('Invalid cross-reference structure');
+  }
+  console.log('Outgoing:', response.data.data.outgoing.length, 'incoming:', response.data.data.incoming.length);
+});
+
+// Test 16: Get in-process cache statistics (needs ADMIN_TOKEN)
+testRoute('GET Admin cache stats', async () => {
+  const response = await axios.get(`${API_BASE}/admin/cache`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  if (!response.data || typeof response.data.data.memory.entries !== 'number') {
+    throw new Error('Invalid cache stats structure');
+  }
+  console.log('Cache entries:', response.data.data.memory.entries, 'hit ratio:', response.data.data.memory.hit_ratio);
+});
+
+// Test 17: Get bible.com upstream client status (needs ADMIN_TOKEN)
+testRoute('GET Admin upstream status', async () => {
+  const response = await axios.get(`${API_BASE}/admin/upstream`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  if (!response.data || !response.data.data.circuit || !response.data.data.circuit.state) {
+    throw new Error('Invalid upstream status structure');
+  }
+  console.log('Circuit:', response.data.data.circuit.state, 'BUILD_ID:', response.data.data.build_id.value);
+});
+
+// Test 18: Get the configuration in effect, with secrets redacted (needs ADMIN_TOKEN)
+testRoute('GET Admin config', async () => {
+  const response = await axios.get(`${API_BASE}/admin/config`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  const settings = response.data && response.data.data.settings;
+  if (!Array.isArray(settings) || !settings.some(setting => setting.name === 'PORT')) {
+    throw new Error('Invalid config structure');
+  }
+  const adminToken = settings.find(setting => setting.name === 'ADMIN_TOKEN');
+  if (adminToken.value !== '[redacted]') {
+    throw new Error('ADMIN_TOKEN is not redacted');
+  }
+  console.log('Settings:', settings.length);
+});
+
+// Test 19: List API keys with today's usage (needs ADMIN_TOKEN)
+testRoute('GET Admin API keys', async () => {
+  const response = await axios.get(`${API_BASE}/admin/keys`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  });
+  if (!response.data || !Array.isArray(response.data.data)) {
+    throw new Error('Invalid API key list structure');
+  }
+  console.log('API keys:', response.data.data.length);
+});
+
+// Test 20: Readiness probe (storage and bible.com) with the request id echoed back
+testRoute('GET Readiness probe', async () => {
+  const response = await axios.get(`${API_BASE.replace(/\/api$/, '')}/ready`, {
+    headers: { 'X-Request-Id': 'test-ready-1' }
+  });
+  if (!response.data || !response.data.checks || !response.data.checks.storage) {
+    throw new Error('Invalid readiness structure');
+  }
+  if (response.headers['x-request-id'] !== 'test-ready-1') {
+    throw new Error('X-Request-Id was not echoed');
+  }
+  console.log('Status:', response.data.status, 'upstream ok:', response.data.checks.upstream.ok);
+});
+
+// Test 21: Prometheus metrics (needs METRICS_TOKEN when the server sets one)
+testRoute('GET Prometheus metrics', async () => {
+  const response = await axios.get(`${API_BASE.replace(/\/api$/, '')}/metrics`, {
+    headers: process.env.METRICS_TOKEN ? { Authorization: `Bearer ${process.env.METRICS_TOKEN}` } : {}
+  });
+  if (typeof response.data !== 'string' || !response.data.includes('http_requests_total')) {
+    throw new Error('Missing http_requests_total in metrics');
+  }
+  console.log('Metric lines:', response.data.split('\n').filter(line => line && !line.startsWith('#')).length);
+});
+
+// Test 22: Book registry and the error envelope for a mistyped book
+testRoute('GET Book registry', async () => {
+  const response = await axios.get(`${API_BASE}/books?group=nt`);
+  if (!response.data || !Array.isArray(response.data.data.books) || response.data.data.books.length !== 27) {
+    throw new Error('Invalid book registry structure');
+  }
+  const invalid = await axios.get(`${API_BASE}/es/RVR1960/GNE/1`, { validateStatus: () => true });
+  if (invalid.status !== 400 || invalid.data.code !== 'unknown_book' || !invalid.data.details.suggestions.includes('GEN')) {
+    throw new Error('Expected a 400 unknown_book error suggesting GEN');
+  }
+  console.log('New Testament books:', response.data.data.books.length, 'error:', invalid.data.error);
+});
+
+// Test 23: OpenAPI document and request validation against it
+testRoute('GET OpenAPI document', async () => {
+  const response = await axios.get(`${API_BASE.replace(/\/api$/, '')}/openapi.json`);
+  if (!response.data || !response.data.paths || !response.data.paths['/passage']) {
+    throw new Error('Invalid OpenAPI document structure');
+  }
+  const invalid = await axios.post(`${API_BASE}/audio`, {}, { validateStatus: () => true });
+  if (invalid.status !== 400 || invalid.data.code !== 'validation_failed') {
+    throw new Error('Expected a 400 validation_failed error for an empty POST /audio body');
+  }
+  console.log('Documented paths:', Object.keys(response.data.paths).length, 'errors:', invalid.data.details.errors.length);
+});
+
+// Test 24: Chapter range, and a whole book streamed as NDJSON
+testRoute('GET Chapter range and whole book', async () => {
+  const response = await axios.get(`${API_BASE}/es/RVR1960/GEN/1-3`);
+  const chapters = response.data && response.data.data.chapters;
+  if (!Array.isArray(chapters) || chapters.map(chapter => chapter.chapter).join(',') !== '1,2,3') {
+    throw new Error('Invalid chapter range structure');
+  }
+  const stream = await axios.get(`${API_BASE}/es/RVR1960/RUT?format=ndjson`, { responseType: 'text' });
+  const lines = stream.data.trim().split('\n').map(line => JSON.parse(line));
+  if (lines[0].type !== 'book' || lines[lines.length - 1].type !== 'end' || lines.filter(line => line.type === 'chapter').length !== 4) {
+    throw new Error('Invalid NDJSON book stream');
+  }
+  console.log('Range:', response.data.data.title, 'streamed:', lines[0].title, lines.length - 2, 'chapters');
+});
+
+// Test 25: Batch of references with a per-item error
+testRoute('POST Batch references', async () => {
+  const response = await axios.post(`${API_BASE}/batch`, {
+    items: [
+      { version: 'RVR1960', book: 'JHN', chapter: 3, verses: '16-18' },
+      { version: 'NVI-S', book: 'JHN', chapter: 3, verses: '16' },
+      { version: 'RVR1960', book: 'JHN', chapter: 3, verses: '99' }
+    ]
+  });
+  const items = response.data && response.data.data.items;
+  if (!Array.isArray(items) || items.map(item => item.status).join(',') !== '200,200,404') {
+    throw new Error('Invalid batch structure');
+  }
+  if (items[2].code !== 'verse_out_of_range') {
+    throw new Error('Expected a verse_out_of_range error for the third item');
+  }
+  console.log('Summary:', JSON.stringify(response.data.data.summary));
+});
+
+// Test 26: "Jo" is the Portuguese abbreviation of João (John), not of Jó (Job)
+testRoute('GET Passage with a Portuguese abbreviation', async () => {
+  const url = `${API_BASE}/passage?ref=${encodeURIComponent('Jo 3:16')}&version=RVR1960`;
+  console.log('GET URL:', url);
+  const response = await axios.get(url);
+  const passages = response.data && response.data.data.passages;
+  if (!Array.isArray(passages) || passages.length !== 1 || passages[0].usfm !== 'JHN.3.16') {
+    throw new Error(`Expected JHN.3.16 for "Jo 3:16", got ${passages && passages.map(passage => passage.usfm).join(', ')}`);
+  }
+  console.log('Resolved passage:', response.data.data.reference);
+});
+
 // Run all tests
 (async () => {
   console.log('Starting API tests...'.bold);
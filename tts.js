@@ -0,0 +1,307 @@
+const axios = require('axios');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createCounter, createHistogram, SLOW_BUCKETS } = require('./metrics');
+const { ffmpegDuration } = require('./utils');
+
+// --- Text-to-speech providers ---
+// Every provider implements:
+//   name                                   -> identifier used in cache keys and metadata
+//   charLimit                              -> maximum characters per synthesize() call
+//   defaultVoice                           -> fallback voice (used for any language when `multilingual` is set)
+//   resolveVoice(voice)                    -> { voice, languageCode, ... } or null if unsupported
+//   synthesize(text, voiceInfo)            -> Promise<Buffer> (MP3 audio)
+//
+// The provider is chosen per request or with TTS_PROVIDER (speechify | espeak | mock, default speechify).
+// The voice comes from the request, TTS_VOICE_OVERRIDES or the language registry below, in that order.
+// Callers go through synthesizeSpeech(), which records characters and latency per provider.
+
+const log = createLogger('tts');
+const ttsCharacters = createCounter('tts_characters_total', 'Characters sent to TTS providers, by provider.', ['provider']);
+const ttsDuration = createHistogram('tts_request_duration_seconds', 'TTS synthesis latency per chunk, by provider and result.', ['provider', 'result'], SLOW_BUCKETS);
+
+// --- Speechify (scraped web endpoint) ---
+const speechifyConfig = getConfig().tts.speechify; // SPEECHIFY_API_URL, SPEECHIFY_ORIGIN, SPEECHIFY_CLIENT_VERSION, SPEECHIFY_TIMEOUT_MS
+const SPEECHIFY_API_URL = speechifyConfig.apiUrl;
+const SPEECHIFY_CHAR_LIMIT = 2900; // Set back to original requirement
+
+// Voices known to work with the Speechify web endpoint
+const speechifyVoices = {
+    'Dalia': { engine: 'azure', languageCode: 'es-MX' },
+    'Jorge': { engine: 'azure', languageCode: 'es-MX' },
+    'Elvira': { engine: 'azure', languageCode: 'es-ES' },
+    'Alvaro': { engine: 'azure', languageCode: 'es-ES' },
+    'Jenny': { engine: 'azure', languageCode: 'en-US' },
+    'Guy': { engine: 'azure', languageCode: 'en-US' },
+    'Francisca': { engine: 'azure', languageCode: 'pt-BR' },
+    'Antonio': { engine: 'azure', languageCode: 'pt-BR' },
+    'Denise': { engine: 'azure', languageCode: 'fr-FR' },
+    'Katja': { engine: 'azure', languageCode: 'de-DE' },
+    'Elsa': { engine: 'azure', languageCode: 'it-IT' },
+    'Svetlana': { engine: 'azure', languageCode: 'ru-RU' },
+    'Xiaoxiao': { engine: 'azure', languageCode: 'zh-CN' },
+    'Nanami': { engine: 'azure', languageCode: 'ja-JP' },
+    'SunHi': { engine: 'azure', languageCode: 'ko-KR' }
+};
+
+/**
+ * Generates audio using the Speechify API.
+ * @param {string} textChunk - The text chunk (<= 3000 chars).
+ * @param {string} voiceName - The voice name (e.g., "Dalia").
+ * @param {string} languageCode - The language code (e.g., "es-MX").
+ * @param {string} engine - The Speechify engine for the voice (e.g., "azure").
+ * @param {string} audioFormat - The audio format (e.g., "mp3").
+ * @returns {Promise<object>} - The JSON response from Speechify, containing the Base64 `audioStream`.
+ */
+async function generateAudioSpeechify(textChunk, voiceName = "Dalia", languageCode = "es-MX", engine = "azure", audioFormat = "mp3") {
+    // console.log(`Requesting audio generation for chunk starting with: "${textChunk.substring(0, 50)}..."`);
+    const payload = {
+        audioFormat: audioFormat,
+        paragraphChunks: [textChunk], // API expects an array of strings
+        voiceParams: {
+            name: voiceName,
+            engine: engine,
+            languageCode: languageCode
+        }
+    };
+
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/113.0',
+        'Accept': 'application/json, text/plain, */*',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Origin': speechifyConfig.origin, // Important for CORS/API checks
+        'Referer': speechifyConfig.origin, // Important for CORS/API checks
+        'Sec-Fetch-Dest': 'empty',
+        'Sec-Fetch-Mode': 'cors',
+        'Sec-Fetch-Site': 'same-site',
+        'X-Speechify-Client': 'API',
+        'X-Speechify-Client-Version': speechifyConfig.clientVersion,
+        'Content-Type': 'application/json' // Ensure content type is set
+    };
+
+    try {
+        const response = await axios.post(SPEECHIFY_API_URL, payload, { headers: headers, timeout: speechifyConfig.timeoutMs }); // Long timeout (default 60s) for potentially long audio generation
+        if (response.status === 200 && response.data && response.data.audioStream) { // Check for audioStream field based on typical API responses
+            // console.log("Speechify API call successful.");
+            return response.data; // Return the whole data object
+        } else {
+            log.error(`Speechify API error: Status ${response.status}`, { response: response.data });
+            throw new Error(`Speechify API returned status ${response.status} or missing audioStream`);
+        }
+    } catch (error) {
+        log.error('Error calling Speechify API', { error: error.message, response: error.response?.data });
+        throw new Error(`Failed to generate audio via Speechify: ${error.message}`);
+    }
+}
+
+const speechifyProvider = {
+    name: 'speechify',
+    charLimit: SPEECHIFY_CHAR_LIMIT,
+    defaultVoice: 'Dalia',
+
+    resolveVoice(voice) {
+        // Own keys only: "toString" or "constructor" are not voices
+        return Object.hasOwn(speechifyVoices, voice) ? { voice, ...speechifyVoices[voice] } : null;
+    },
+
+    async synthesize(text, voiceInfo) {
+        const result = await generateAudioSpeechify(text, voiceInfo.voice, voiceInfo.languageCode, voiceInfo.engine, "mp3");
+        return Buffer.from(result.audioStream, 'base64');
+    }
+};
+
+// --- Local offline engine (espeak-ng on the command line, converted to MP3 with ffmpeg) ---
+const ESPEAK_BINARY = getConfig().tts.espeakBinary;
+const FFMPEG_BINARY = getConfig().tts.ffmpegBinary;
+const TTS_COMMAND_TIMEOUT_MS = getConfig().tts.commandTimeoutMs;
+
+/**
+ * Runs a command and resolves when it exits successfully.
+ * @param {string} command - The executable.
+ * @param {string[]} args - Its arguments.
+ * @returns {Promise<void>}
+ */
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: TTS_COMMAND_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT' ? `${command} is not installed` : (stderr || error.message);
+                return reject(new Error(`${command} failed: ${reason}`));
+            }
+            resolve();
+        });
+    });
+}
+
+const espeakProvider = {
+    name: 'espeak',
+    charLimit: 10000,
+    defaultVoice: 'es-419',
+
+    resolveVoice(voice) {
+        // espeak-ng voice identifiers are language tags with optional variants (e.g., "es-419", "en-us+f3")
+        if (!/^[a-z]{2,3}(-[a-z0-9]+)*(\+[a-z0-9]+)?$/i.test(voice)) {
+            return null;
+        }
+        return { voice, languageCode: voice.split('+')[0] };
+    },
+
+    async synthesize(text, voiceInfo) {
+        const basePath = path.join(os.tmpdir(), `espeak_${uuidv4()}`);
+        const wavPath = `${basePath}.wav`;
+        const mp3Path = `${basePath}.mp3`;
+        try {
+            await runCommand(ESPEAK_BINARY, ['-v', voiceInfo.voice, '-w', wavPath, text]);
+            const endTimer = ffmpegDuration.startTimer({ operation: 'encode' });
+            await runCommand(FFMPEG_BINARY, ['-y', '-loglevel', 'error', '-i', wavPath, '-codec:a', 'libmp3lame', '-q:a', '4', mp3Path]).then(
+                () => endTimer({ result: 'ok' }),
+                error => {
+                    endTimer({ result: 'error' });
+                    throw error;
+                }
+            );
+            return await fs.readFile(mp3Path);
+        } finally {
+            await Promise.all([wavPath, mp3Path].map(filePath => fs.unlink(filePath).catch(() => {})));
+        }
+    }
+};
+
+// --- Deterministic mock (tests and offline development) ---
+// Emits silent MPEG-1 Layer III frames (128 kbps, 44.1 kHz, ~26 ms each), one frame per 10 characters.
+const MOCK_FRAME = Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x00]), Buffer.alloc(413)]);
+
+const mockProvider = {
+    name: 'mock',
+    charLimit: 500,
+    defaultVoice: 'mock',
+    multilingual: true, // defaultVoice works for every language
+
+    resolveVoice(voice) {
+        return /^[a-z0-9_-]+$/i.test(voice) ? { voice, languageCode: 'und' } : null;
+    },
+
+    async synthesize(text) {
+        const frames = Math.max(1, Math.ceil(text.length / 10));
+        return Buffer.concat(Array(frames).fill(MOCK_FRAME));
+    }
+};
+
+const providers = {
+    [speechifyProvider.name]: speechifyProvider,
+    [espeakProvider.name]: espeakProvider,
+    [mockProvider.name]: mockProvider
+};
+const TTS_PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Returns a TTS provider by name, or the configured default.
+ * @param {string} [name] - The provider name (e.g., "speechify").
+ * @returns {object|null} - The provider, or null if unknown.
+ */
+function getTtsProvider(name) {
+    const key = (name || getConfig().tts.provider).toLowerCase();
+    return Object.hasOwn(providers, key) ? providers[key] : null;
+}
+
+/**
+ * Synthesizes a text chunk with a provider, recording the characters and latency for the metrics.
+ * @param {object} provider - A TTS provider.
+ * @param {string} text - The text (at most `provider.charLimit` characters).
+ * @param {object} voiceInfo - The voice, as returned by `provider.resolveVoice()`.
+ * @returns {Promise<Buffer>} - The MP3 audio.
+ */
+async function synthesizeSpeech(provider, text, voiceInfo) {
+    ttsCharacters.inc({ provider: provider.name }, text.length);
+    const endTimer = ttsDuration.startTimer({ provider: provider.name });
+    try {
+        const audio = await provider.synthesize(text, voiceInfo);
+        endTimer({ result: 'ok' });
+        return audio;
+    } catch (error) {
+        endTimer({ result: 'error' });
+        throw error;
+    }
+}
+
+// --- Language registry: default voice per provider and the spoken chapter intro ---
+// `{chapter}` in the intro is replaced by the chapter number.
+const languageVoices = {
+    es: { intro: 'Capítulo {chapter}', voices: { speechify: 'Dalia', espeak: 'es-419' } },
+    en: { intro: 'Chapter {chapter}', voices: { speechify: 'Jenny', espeak: 'en-us' } },
+    pt: { intro: 'Capítulo {chapter}', voices: { speechify: 'Francisca', espeak: 'pt-br' } },
+    fr: { intro: 'Chapitre {chapter}', voices: { speechify: 'Denise', espeak: 'fr' } },
+    de: { intro: 'Kapitel {chapter}', voices: { speechify: 'Katja', espeak: 'de' } },
+    it: { intro: 'Capitolo {chapter}', voices: { speechify: 'Elsa', espeak: 'it' } },
+    ru: { intro: 'Глава {chapter}', voices: { speechify: 'Svetlana', espeak: 'ru' } },
+    zh: { intro: '第{chapter}章', voices: { speechify: 'Xiaoxiao', espeak: 'cmn' } },
+    ja: { intro: '第{chapter}章', voices: { speechify: 'Nanami', espeak: 'ja' } },
+    ko: { intro: '{chapter}장', voices: { speechify: 'SunHi', espeak: 'ko' } }
+};
+
+/**
+ * Reads per-language voice overrides from TTS_VOICE_OVERRIDES,
+ * e.g. {"es": {"speechify": "Jorge"}, "en": {"espeak": "en-gb"}}.
+ * @returns {object} - lang -> provider -> voice.
+ */
+function getVoiceOverrides() {
+    return getConfig().tts.voiceOverrides;
+}
+
+/**
+ * Builds the spoken intro for a chapter in a language (e.g., "Génesis, Capítulo 1.").
+ * @param {string} lang - The ISO 639-1 code.
+ * @param {string} bookName - The localized book name.
+ * @param {string|number} chapter - The chapter number.
+ * @returns {string} - The intro sentence.
+ */
+function getChapterIntro(lang, bookName, chapter) {
+    const template = languageVoices[lang]?.intro || 'Chapter {chapter}';
+    const intro = template.replace('{chapter}', chapter);
+    return bookName ? `${bookName}, ${intro}.` : `${intro}.`;
+}
+
+/**
+ * Resolves the provider and voice for a request in a language.
+ * @param {string} [providerName] - Requested provider (defaults to TTS_PROVIDER).
+ * @param {string} [voice] - Requested voice (defaults to the override or registry voice for the language).
+ * @param {string} lang - The ISO 639-1 code of the text.
+ * @returns {{provider: object, voiceInfo: object}|{error: string}}
+ */
+function selectTts(providerName, voice, lang) {
+    const provider = getTtsProvider(providerName);
+    if (!provider) {
+        return { error: `Unknown TTS provider '${providerName || getConfig().tts.provider}'. Available: ${TTS_PROVIDER_NAMES.join(', ')}.` };
+    }
+
+    const voiceName = voice
+        || getVoiceOverrides()[lang]?.[provider.name]
+        || languageVoices[lang]?.voices[provider.name]
+        || (provider.multilingual ? provider.defaultVoice : null);
+    if (!voiceName) {
+        return { error: `No voice configured for language '${lang}' with TTS provider '${provider.name}'. Pass a 'voice' explicitly.` };
+    }
+
+    const voiceInfo = provider.resolveVoice(voiceName);
+    if (!voiceInfo) {
+        return { error: `Voice '${voiceName}' is not supported by TTS provider '${provider.name}'.` };
+    }
+    return { provider, voiceInfo };
+}
+
+module.exports = {
+    TTS_PROVIDER_NAMES,
+    getTtsProvider,
+    selectTts,
+    synthesizeSpeech,
+    getChapterIntro,
+    languageVoices,
+    generateAudioSpeechify,
+    speechifyVoices,
+    SPEECHIFY_CHAR_LIMIT
+};
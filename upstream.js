@@ -0,0 +1,330 @@
+const axios = require('axios');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { createCounter, createGauge, createHistogram } = require('./metrics');
+
+// --- bible.com upstream client ---
+// Every request to bible.com goes through here:
+// - Outbound rate limit: UPSTREAM_RATE_PER_SECOND (default 5) with bursts of UPSTREAM_BURST (default 10).
+// - Retries with exponential backoff and full jitter on timeouts, network errors, 429 and 5xx
+//   (UPSTREAM_MAX_RETRIES, default 2; delays from UPSTREAM_BACKOFF_MS, default 300, capped at 5 s).
+// - A circuit breaker: after UPSTREAM_BREAKER_THRESHOLD (default 5) failed requests in a row, requests
+//   fail fast with a 503 for UPSTREAM_BREAKER_COOLDOWN_SECONDS (default 30), then one trial request decides.
+//   Callers serve their cached copies meanwhile.
+// - The Next.js BUILD_ID used by the `_next/data` routes is fetched once for concurrent callers, refreshed
+//   when a `_next/data` request 404s, and proactively every BUILD_ID_REFRESH_MINUTES (default 30).
+// Failures are errors with an HTTP `status`: 404 for missing content, 502 for bad upstream responses,
+// 503 while the circuit is open (with `retryAfter` seconds) and 504 for timeouts.
+
+const upstreamConfig = getConfig().upstream;
+const UPSTREAM_BASE_URL = upstreamConfig.baseUrl.replace(/\/+$/, ''); // UPSTREAM_BASE_URL (default https://www.bible.com)
+const UPSTREAM_TIMEOUT_MS = upstreamConfig.timeoutMs;
+const UPSTREAM_MAX_RETRIES = upstreamConfig.maxRetries;
+const UPSTREAM_BACKOFF_MS = upstreamConfig.backoffMs;
+const UPSTREAM_BACKOFF_MAX_MS = 5000;
+const UPSTREAM_RATE_PER_SECOND = upstreamConfig.ratePerSecond;
+const UPSTREAM_BURST = upstreamConfig.burst;
+const UPSTREAM_BREAKER_THRESHOLD = upstreamConfig.breakerThreshold;
+const UPSTREAM_BREAKER_COOLDOWN_SECONDS = upstreamConfig.breakerCooldownSeconds;
+const BUILD_ID_REFRESH_MINUTES = upstreamConfig.buildIdRefreshMinutes;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const counters = { requests: 0, retries: 0, failures: 0, rejected_open: 0, throttled: 0 };
+
+const log = createLogger('upstream');
+const requestDuration = createHistogram('upstream_request_duration_seconds', 'bible.com request latency per attempt, by outcome (HTTP status, timeout or network).', ['outcome']);
+const requestOutcomes = createCounter('upstream_requests_total', 'bible.com request attempts by outcome (HTTP status, timeout, network or circuit_open).', ['outcome']);
+const buildIdRefreshes = createCounter('upstream_build_id_refreshes_total', 'BUILD_ID fetches by result.', ['result']);
+
+// Creates an Error carrying the HTTP status the API should respond with
+function createUpstreamError(status, message, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.upstream = true;
+    Object.assign(error, details);
+    return error;
+}
+
+// --- Rate limit (generic cell rate algorithm: one request per interval, with a burst allowance) ---
+let nextSlot = 0;
+
+async function waitForSlot() {
+    const interval = 1000 / UPSTREAM_RATE_PER_SECOND;
+    const now = Date.now();
+    const slot = Math.max(now - (UPSTREAM_BURST - 1) * interval, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+        counters.throttled++;
+        await sleep(slot - now);
+    }
+}
+
+// --- Circuit breaker ---
+const breaker = {
+    state: 'closed', // closed -> open after repeated failures -> half_open for one trial request
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false
+};
+
+const CIRCUIT_STATES = ['closed', 'half_open', 'open'];
+createGauge('upstream_circuit_state', 'bible.com circuit breaker state (1 for the current state).', () =>
+    CIRCUIT_STATES.map(state => ({ labels: { state }, value: breaker.state === state ? 1 : 0 }))
+);
+
+function checkBreaker() {
+    if (breaker.state === 'open') {
+        const retryAt = breaker.openedAt + UPSTREAM_BREAKER_COOLDOWN_SECONDS * 1000;
+        if (Date.now() < retryAt) {
+            counters.rejected_open++;
+            requestOutcomes.inc({ outcome: 'circuit_open' });
+            throw createUpstreamError(503, 'bible.com is unavailable (circuit open); try again later.', {
+                retryAfter: Math.ceil((retryAt - Date.now()) / 1000)
+            });
+        }
+        breaker.state = 'half_open';
+    }
+    if (breaker.state === 'half_open') {
+        if (breaker.trialInFlight) {
+            counters.rejected_open++;
+            requestOutcomes.inc({ outcome: 'circuit_open' });
+            throw createUpstreamError(503, 'bible.com is unavailable (circuit half-open); try again later.', { retryAfter: 1 });
+        }
+        breaker.trialInFlight = true;
+    }
+}
+
+function recordSuccess() {
+    if (breaker.state !== 'closed') {
+        log.info('bible.com circuit closed: upstream is responding again.');
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+}
+
+function recordFailure() {
+    counters.failures++;
+    breaker.consecutiveFailures++;
+    breaker.trialInFlight = false;
+    if (breaker.state === 'half_open' || breaker.consecutiveFailures >= UPSTREAM_BREAKER_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            log.error(`bible.com circuit opened after ${breaker.consecutiveFailures} failed request(s); failing fast for ${UPSTREAM_BREAKER_COOLDOWN_SECONDS}s.`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+}
+
+// Whether a failed attempt is worth retrying (timeouts, network errors, throttling and server errors)
+function isRetryable(error) {
+    if (!error.response) return true;
+    return error.response.status === 429 || error.response.status >= 500;
+}
+
+// Backoff before a retry: full jitter over an exponential ceiling, or the server's Retry-After
+function retryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (!isNaN(retryAfter)) {
+        return Math.min(retryAfter * 1000, UPSTREAM_BACKOFF_MAX_MS);
+    }
+    return Math.random() * Math.min(UPSTREAM_BACKOFF_MAX_MS, UPSTREAM_BACKOFF_MS * 2 ** attempt);
+}
+
+// Labels an attempt for the metrics: the HTTP status, "timeout" or "network"
+function attemptOutcome(error) {
+    if (!error) return '200';
+    if (error.response) return String(error.response.status);
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network';
+}
+
+// Maps an axios failure to an error with the status the API should answer with
+function toUpstreamError(error, url) {
+    if (error.upstream) return error;
+    if (error.response) {
+        const status = error.response.status === 404 ? 404 : 502;
+        return createUpstreamError(status, `bible.com responded ${error.response.status} for ${url}`, { upstreamStatus: error.response.status });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return createUpstreamError(504, `bible.com timed out after ${UPSTREAM_TIMEOUT_MS}ms for ${url}`);
+    }
+    return createUpstreamError(502, `bible.com request failed for ${url}: ${error.message}`);
+}
+
+/**
+ * Sends a GET request to bible.com through the rate limit, retries and circuit breaker.
+ * @param {string} path - Path on bible.com (e.g., "/api/bible/configuration").
+ * @param {object} [options] - Extra axios options (e.g., { responseType: 'text' }).
+ * @returns {Promise<*>} - The response body.
+ */
+async function request(path, options = {}) {
+    const url = `${UPSTREAM_BASE_URL}${path}`;
+    checkBreaker();
+    for (let attempt = 0; ; attempt++) {
+        await waitForSlot();
+        counters.requests++;
+        const endTimer = requestDuration.startTimer();
+        try {
+            const response = await axios.get(url, { timeout: UPSTREAM_TIMEOUT_MS, ...options });
+            endTimer({ outcome: String(response.status) });
+            requestOutcomes.inc({ outcome: String(response.status) });
+            recordSuccess();
+            return response.data;
+        } catch (error) {
+            const outcome = attemptOutcome(error);
+            endTimer({ outcome });
+            requestOutcomes.inc({ outcome });
+            if (error.response && !isRetryable(error)) {
+                // The upstream answered (e.g., 404): the service itself is up
+                recordSuccess();
+                throw toUpstreamError(error, url);
+            }
+            if (attempt >= UPSTREAM_MAX_RETRIES || breaker.state === 'half_open') {
+                recordFailure();
+                throw toUpstreamError(error, url);
+            }
+            counters.retries++;
+            const delay = retryDelay(error, attempt);
+            log.warn(`bible.com request failed; retry ${attempt + 1}/${UPSTREAM_MAX_RETRIES} in ${Math.round(delay)}ms`, { url, outcome, error: error.message });
+            await sleep(delay);
+        }
+    }
+}
+
+// --- BUILD_ID ---
+let buildId = null;
+let buildIdFetchedAt = null;
+let pendingBuildId = null;
+let buildIdTimer = null;
+
+// Reads the BUILD_ID from the bible.com home page
+async function fetchBuildId() {
+    log.info('Fetching a new BUILD_ID...');
+    const html = await request('/', { responseType: 'text' });
+    const match = String(html).match(/\/_next\/static\/([a-zA-Z0-9_-]+)\/_buildManifest\.js/);
+    if (!match) {
+        log.error('BUILD_ID pattern not found in bible.com HTML.');
+        throw createUpstreamError(502, 'BUILD_ID pattern not found in bible.com HTML.');
+    }
+    log.info(`New BUILD_ID found: ${match[1]}`, { build_id: match[1] });
+    return match[1];
+}
+
+/**
+ * Fetches the BUILD_ID again. Concurrent callers share one fetch, and a caller whose id was
+ * already replaced gets the new one without another fetch.
+ * @param {string} [staleId] - The id the caller found to be outdated.
+ * @returns {Promise<string>} - The current BUILD_ID.
+ */
+function refreshBuildId(staleId) {
+    if (pendingBuildId) return pendingBuildId;
+    if (staleId !== undefined && buildId && buildId !== staleId) return Promise.resolve(buildId);
+    pendingBuildId = fetchBuildId()
+        .then(id => {
+            buildIdRefreshes.inc({ result: 'success' });
+            buildId = id;
+            buildIdFetchedAt = Date.now();
+            return id;
+        }, error => {
+            buildIdRefreshes.inc({ result: 'failure' });
+            throw error;
+        })
+        .finally(() => {
+            pendingBuildId = null;
+        });
+    return pendingBuildId;
+}
+
+/**
+ * Returns the current BUILD_ID, fetching it on first use.
+ * @returns {Promise<string>}
+ */
+function getBuildId() {
+    return buildId ? Promise.resolve(buildId) : refreshBuildId();
+}
+
+/**
+ * Fetches a Next.js data route (`/_next/data/{BUILD_ID}/{path}`). A 404 is retried once with a
+ * refreshed BUILD_ID, since a new bible.com deployment invalidates the old one.
+ * @param {string} path - The route path after the BUILD_ID (e.g., "es/versions/149.json").
+ * @returns {Promise<object>} - The parsed JSON.
+ */
+async function getNextData(path) {
+    const id = await getBuildId();
+    try {
+        return await request(`/_next/data/${id}/${path}`);
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        log.info('Potential BUILD_ID mismatch. Refreshing BUILD_ID and retrying...', { build_id: id });
+        const freshId = await refreshBuildId(id);
+        return request(`/_next/data/${freshId}/${path}`);
+    }
+}
+
+/**
+ * Refreshes the BUILD_ID every BUILD_ID_REFRESH_MINUTES, so a bible.com deployment is picked up
+ * before requests start failing. Failed refreshes keep the previous id.
+ */
+function startBuildIdRefresh() {
+    if (buildIdTimer) return;
+    buildIdTimer = setInterval(() => {
+        refreshBuildId().catch(error => {
+            log.error(`Scheduled BUILD_ID refresh failed (keeping ${buildId || 'none'})`, { error: error.message });
+        });
+    }, BUILD_ID_REFRESH_MINUTES * 60 * 1000);
+    buildIdTimer.unref();
+}
+
+/**
+ * Checks that bible.com answers, with one HEAD request outside the rate limit, retries and circuit
+ * breaker (for readiness probes). While the circuit is open bible.com counts as unreachable.
+ * @param {number} timeoutMs - How long to wait for an answer.
+ * @returns {Promise<{ok: boolean, circuit: string, latency_ms?: number, error?: string}>}
+ */
+async function pingUpstream(timeoutMs) {
+    if (breaker.state === 'open') {
+        return { ok: false, circuit: breaker.state, error: 'circuit open' };
+    }
+    const startedAt = Date.now();
+    try {
+        await axios.head(`${UPSTREAM_BASE_URL}/`, { timeout: timeoutMs, maxRedirects: 0, validateStatus: status => status < 500 });
+        return { ok: true, circuit: breaker.state, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+        if (error.response && error.response.status < 500) {
+            return { ok: true, circuit: breaker.state, latency_ms: Date.now() - startedAt };
+        }
+        return { ok: false, circuit: breaker.state, error: toUpstreamError(error, `${UPSTREAM_BASE_URL}/`).message };
+    }
+}
+
+/**
+ * Reports the client's state: circuit breaker, BUILD_ID and request counters.
+ * @returns {object}
+ */
+function getUpstreamStatus() {
+    return {
+        circuit: {
+            state: breaker.state,
+            consecutive_failures: breaker.consecutiveFailures,
+            opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+            retry_at: breaker.state === 'open' ? new Date(breaker.openedAt + UPSTREAM_BREAKER_COOLDOWN_SECONDS * 1000).toISOString() : null
+        },
+        build_id: {
+            value: buildId,
+            fetched_at: buildIdFetchedAt ? new Date(buildIdFetchedAt).toISOString() : null
+        },
+        ...counters
+    };
+}
+
+module.exports = {
+    request,
+    getNextData,
+    getBuildId,
+    refreshBuildId,
+    startBuildIdRefresh,
+    getUpstreamStatus,
+    pingUpstream
+};
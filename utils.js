@@ -1,29 +1,19 @@
-const axios = require('axios');
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const audioconcat = require('audioconcat');
+const { execFile } = require('child_process');
 const fs = require('fs').promises; // Use promises for async file operations
 const path = require('path');
 const os = require('os'); // To get temporary directory
 const { v4: uuidv4 } = require('uuid'); // For unique temporary filenames
+const { getStorage } = require('./storage'); // Pluggable storage backend (S3, filesystem, memory)
+const { documentCache } = require('./cache'); // In-process tier in front of storage
+const { getConfig } = require('./config'); // Validated settings
+const { createLogger } = require('./logger'); // Structured logs
+const { createHistogram, SLOW_BUCKETS } = require('./metrics'); // Prometheus metrics
 
-// --- S3 Configuration (Backblaze B2) ---
-// WARNING: Hardcoding credentials is not recommended for production. Use environment variables.
-const s3Config = {
-  endpoint: "https://s3.us-east-005.backblazeb2.com",
-  region: "us-east-005", // Backblaze region often matches the first part of the endpoint
-  credentials: {
-    accessKeyId: "00551627c51951b000000000f", // Your Key ID
-    secretAccessKey: "K005DVjnb9quAOF/5b+6QoV8e74AWtk", // Your Application Key
-  },
-};
-const s3Client = new S3Client(s3Config);
-const s3BucketName = "data-biblia-chat";
-
-// console.log("S3 Client configured for Backblaze B2 in utils.js.");
+const log = createLogger('utils');
 
-// --- Constants ---
-const SPEECHIFY_API_URL = "https://audio.api.speechify.com/generateAudioFiles";
-const SPEECHIFY_CHAR_LIMIT = 2900; // Set back to original requirement
+// Run time of every ffmpeg/ffprobe process (concat and probe here, encode in the espeak TTS provider)
+const ffmpegDuration = createHistogram('ffmpeg_duration_seconds', 'ffmpeg/ffprobe run time by operation and result.', ['operation', 'result'], SLOW_BUCKETS);
 
 /**
  * Splits text into chunks respecting the character limit, breaking at spaces.
@@ -38,7 +28,7 @@ function splitTextIntoChunks(text, limit) {
 
     for (const word of words) {
         if (currentChunk.length === 0 && word.length > limit) {
-            console.warn(`Word "${word.substring(0, 50)}..." exceeds limit ${limit}. Splitting mid-word.`);
+            log.warn(`Word "${word.substring(0, 50)}..." exceeds limit ${limit}. Splitting mid-word.`);
             let remainingWord = word;
             while (remainingWord.length > 0) {
                 const part = remainingWord.substring(0, limit);
@@ -63,73 +53,21 @@ function splitTextIntoChunks(text, limit) {
 
 
 /**
- * Generates audio using the Speechify API.
- * @param {string} textChunk - The text chunk (<= 3000 chars).
- * @param {string} voiceName - The desired voice name (e.g., "Linda").
- * @param {string} languageCode - The language code (e.g., "es-ES").
- * @param {string} audioFormat - The audio format (e.g., "mp3").
- * @returns {Promise<object>} - The JSON response from Speechify, likely containing audio URL(s).
- */
-async function generateAudioSpeechify(textChunk, voiceName = "Linda", languageCode = "es-ES", audioFormat = "mp3") {
-    // console.log(`Requesting audio generation for chunk starting with: "${textChunk.substring(0, 50)}..."`);
-    const payload = {
-        audioFormat: audioFormat,
-        paragraphChunks: [textChunk], // API expects an array of strings
-        voiceParams: {
-            name: "Dalia",
-            engine: "azure", // Assuming Azure engine based on Python example
-            languageCode: "es-MX"
-        }
-    };
-
-    const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/113.0',
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Origin': 'https://speechify.com/voiceover/', // Important for CORS/API checks
-        'Referer': 'https://speechify.com/voiceover/', // Important for CORS/API checks
-        'Sec-Fetch-Dest': 'empty',
-        'Sec-Fetch-Mode': 'cors',
-        'Sec-Fetch-Site': 'same-site',
-        'X-Speechify-Client': 'API',
-        'X-Speechify-Client-Version': '0.1.297',
-        'Content-Type': 'application/json' // Ensure content type is set
-    };
-
-    try {
-        const response = await axios.post(SPEECHIFY_API_URL, payload, { headers: headers, timeout: 60000 }); // 60s timeout for potentially long audio generation
-        if (response.status === 200 && response.data && response.data.audioStream) { // Check for audioStream field based on typical API responses
-            // console.log("Speechify API call successful.");
-            return response.data; // Return the whole data object
-        } else {
-            console.error(`Speechify API error: Status ${response.status}`, response.data);
-            throw new Error(`Speechify API returned status ${response.status} or missing audioStream`);
-        }
-    } catch (error) {
-        console.error('Error calling Speechify API:', error.response ? error.response.data : error.message);
-        throw new Error(`Failed to generate audio via Speechify: ${error.message}`);
-    }
-}
-
-/**
- * Decodes a Base64 audio chunk and saves it to a temporary file.
- * @param {string} base64Audio - The Base64 encoded audio data.
+ * Saves an audio chunk to a temporary file.
+ * @param {Buffer} audioBuffer - The audio data returned by a TTS provider.
  * @param {string} tempDir - The directory to save the temporary file.
  * @returns {Promise<string>} - The path to the saved temporary file.
  */
-async function saveAudioChunkFromBase64(base64Audio, tempDir) {
+async function saveAudioChunk(audioBuffer, tempDir) {
     const tempFilePath = path.join(tempDir, `${uuidv4()}.mp3`);
-    // console.log(`Decoding Base64 audio chunk and saving to ${tempFilePath}`);
+    // console.log(`Saving audio chunk to ${tempFilePath}`);
     try {
-        // Decode the Base64 string into a buffer
-        const audioBuffer = Buffer.from(base64Audio, 'base64');
-        // Write the buffer to the temporary file
         await fs.writeFile(tempFilePath, audioBuffer);
-        // console.log(`Successfully saved decoded audio to ${tempFilePath}`);
+        // console.log(`Successfully saved audio to ${tempFilePath}`);
         return tempFilePath;
     } catch (error) {
-        console.error(`Error decoding/saving Base64 audio chunk to ${tempFilePath}:`, error.message);
-        throw new Error(`Failed to process Base64 audio chunk: ${error.message}`);
+        log.error(`Error saving audio chunk to ${tempFilePath}`, { error: error.message });
+        throw new Error(`Failed to save audio chunk: ${error.message}`);
     }
 }
 
@@ -142,23 +80,25 @@ async function saveAudioChunkFromBase64(base64Audio, tempDir) {
 function concatenateAudioFiles(inputFilePaths, outputFilePath) {
     return new Promise((resolve, reject) => {
         // console.log(`Concatenating ${inputFilePaths.length} files into ${outputFilePath}`);
+        const endTimer = ffmpegDuration.startTimer({ operation: 'concat' });
         audioconcat(inputFilePaths)
             .concat(outputFilePath)
             .on('start', function (command) {
                 // console.log('ffmpeg process started:', command);
             })
             .on('error', function (err, stdout, stderr) {
-                console.error('Error during audio concatenation:', err);
-                console.error('ffmpeg stderr:', stderr);
+                endTimer({ result: 'error' });
+                log.error('Error during audio concatenation', { error: err.message, stderr });
                 // Attempt to clean up input files even on error
-                Promise.all(inputFilePaths.map(filePath => fs.unlink(filePath).catch(e => console.error(`Failed to delete temp file ${filePath}: ${e.message}`))))
+                Promise.all(inputFilePaths.map(filePath => fs.unlink(filePath).catch(e => log.error(`Failed to delete temp file ${filePath}`, { error: e.message }))))
                     .finally(() => reject(new Error(`Audio concatenation failed: ${err.message}`)));
             })
             .on('end', function (output) {
                 // Log the output from the event for debugging, but don't rely on it for the path
                 // console.log(`Audio concatenation 'end' event received. Event output: ${output}`);
+                endTimer({ result: 'ok' });
                 // Clean up the individual chunk files after successful concatenation
-                Promise.all(inputFilePaths.map(filePath => fs.unlink(filePath).catch(e => console.error(`Failed to delete temp input file ${filePath}: ${e.message}`))))
+                Promise.all(inputFilePaths.map(filePath => fs.unlink(filePath).catch(e => log.error(`Failed to delete temp input file ${filePath}`, { error: e.message }))))
                     .finally(() => {
                         // Always resolve with the known outputFilePath after attempting cleanup
                         // console.log(`Resolving concatenation promise with path: ${outputFilePath}`);
@@ -168,82 +108,189 @@ function concatenateAudioFiles(inputFilePaths, outputFilePath) {
     });
 }
 
+const FFPROBE_BINARY = getConfig().audio.ffprobeBinary;
+const FFPROBE_TIMEOUT_MS = getConfig().audio.ffprobeTimeoutMs;
+
+/**
+ * Measures the duration of an audio file with ffprobe.
+ * @param {string} filePath - The path to the audio file.
+ * @returns {Promise<number>} - The duration in milliseconds.
+ */
+function getAudioDurationMs(filePath) {
+    const args = ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath];
+    return new Promise((resolve, reject) => {
+        const endTimer = ffmpegDuration.startTimer({ operation: 'probe' });
+        execFile(FFPROBE_BINARY, args, { timeout: FFPROBE_TIMEOUT_MS }, (error, stdout, stderr) => {
+            endTimer({ result: error ? 'error' : 'ok' });
+            if (error) {
+                return reject(new Error(`ffprobe failed for ${filePath}: ${(stderr || error.message).toString().trim()}`));
+            }
+            const seconds = parseFloat(stdout);
+            if (isNaN(seconds)) {
+                return reject(new Error(`ffprobe returned no duration for ${filePath}`));
+            }
+            resolve(Math.round(seconds * 1000));
+        });
+    });
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight, keeping the input order.
+ * After the first rejection no further items are started; the calls already in flight are waited for
+ * (so their side effects, e.g. temp files, are done when the caller cleans up) and the error is thrown.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @returns {Promise<Array>} - The results, in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null; // { error } of the first rejected call
+    const worker = async () => {
+        while (!failure && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    if (failure) {
+        throw failure.error;
+    }
+    return results;
+}
+
+/**
+ * Maps items through an async function like mapWithConcurrency, but yields the results one by one in
+ * input order. At most `limit` calls run ahead of the consumer, so a slow consumer (e.g., a streamed
+ * response) never holds more than `limit` results. A rejected call is thrown when its turn comes.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of calls in flight or waiting to be consumed.
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @returns {AsyncGenerator<*>} - The results, in input order.
+ */
+async function* mapInOrder(items, limit, fn) {
+    const pending = [];
+    const start = index => {
+        pending[index] = fn(items[index], index);
+        pending[index].catch(() => {}); // Handled when the consumer reaches it
+    };
+    const window = Math.min(Math.max(1, limit), items.length);
+    for (let index = 0; index < window; index++) {
+        start(index);
+    }
+    for (let index = 0; index < items.length; index++) {
+        const result = await pending[index];
+        pending[index] = null;
+        if (index + window < items.length) {
+            start(index + window);
+        }
+        yield result;
+    }
+}
 
 /**
- * Uploads a file from the local filesystem to S3 (Backblaze B2).
- * @param {string} key - The S3 object key (filename).
+ * Returns the public URL for a stored object. Drivers without a public base URL are
+ * served by the API itself through the files route.
+ * @param {string} key - The object key.
+ * @returns {string} - The URL of the object.
+ */
+function getPublicUrl(key) {
+    const storage = getStorage();
+    if (storage.publicUrl) {
+        return `${storage.publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    return `/api/files/${key}`;
+}
+
+/**
+ * Uploads a file from the local filesystem to storage.
+ * @param {string} key - The object key (filename).
  * @param {string} filePath - The local path of the file to upload.
  * @param {string} contentType - The MIME type (e.g., 'audio/mpeg').
  * @returns {Promise<string>} - The URL of the uploaded object.
  */
-async function uploadToS3(key, filePath, contentType) {
-    // console.log(`Uploading ${filePath} to S3 key ${key}`);
+async function uploadFile(key, filePath, contentType) {
+    // console.log(`Uploading ${filePath} to storage key ${key}`);
     try {
         const fileBuffer = await fs.readFile(filePath);
-        const command = new PutObjectCommand({
-            Bucket: s3BucketName,
-            Key: key,
-            Body: fileBuffer,
-            ContentType: contentType,
-            ACL: 'public-read' // Make file publicly accessible if needed
-        });
-
-        await s3Client.send(command);
-        // Construct the public URL using the custom domain format
-        const url = `https://s3.redmasiva.ai/file/${s3BucketName}/${key}`;
-        // console.log(`Successfully uploaded to S3. Custom URL: ${url}`);
-        return url;
+        await getStorage().put(key, fileBuffer, contentType);
+        return getPublicUrl(key);
     } catch (error) {
-        console.error(`Error uploading ${filePath} to S3:`, error);
-        throw new Error(`S3 upload failed for key ${key}: ${error.message}`);
+        log.error(`Error uploading ${filePath} to storage`, { key, error: error.message });
+        throw new Error(`Storage upload failed for key ${key}: ${error.message}`);
     } finally {
          // Clean up the local file after upload attempt (success or failure)
-         await fs.unlink(filePath).catch(e => console.error(`Failed to delete local file ${filePath} after S3 upload attempt: ${e.message}`));
+         await fs.unlink(filePath).catch(e => log.error(`Failed to delete local file ${filePath} after upload attempt`, { error: e.message }));
     }
 }
 
 /**
- * Checks if a JSON file exists in S3 by making a HEAD request
- * @param {string} key - The S3 object key
- * @returns {Promise<boolean>} - True if file exists, false otherwise
+ * Stores a JSON document.
+ * @param {string} key - The object key.
+ * @param {object} data - The data to serialize.
+ * @returns {Promise<void>}
+ */
+async function putJson(key, data) {
+    await getStorage().put(key, Buffer.from(JSON.stringify(data)), 'application/json');
+    documentCache.delete(key); // The next read picks up the new document
+}
+
+/**
+ * Checks if an object exists in storage.
+ * @param {string} key - The object key
+ * @returns {Promise<boolean>} - True if the object exists, false otherwise
  */
-async function checkJsonExists(key) {
-    const url = `https://s3.redmasiva.ai/file/${s3BucketName}/${key}`;
+async function objectExists(key) {
     try {
-        const response = await axios.head(url, { timeout: 5000 });
-        return response.status === 200;
+        return (await getStorage().head(key)) !== null;
     } catch (error) {
-        if (error.response?.status === 404) {
-            return false;
-        }
-        console.error(`Error checking JSON existence for key ${key}:`, error.message);
+        log.error('Error checking existence in storage', { key, error: error.message });
         return false;
     }
 }
 
 /**
- * Gets a JSON file from S3
- * @param {string} key - The S3 object key
+ * Gets a JSON document from storage.
+ * @param {string} key - The object key
  * @returns {Promise<object|null>} - The parsed JSON or null if not found
  */
-async function getJsonFromS3(key) {
-    const url = `https://s3.redmasiva.ai/file/${s3BucketName}/${key}`;
+async function getJson(key) {
     try {
-        const response = await axios.get(url, { timeout: 5000 });
-        return response.data;
+        const object = await getStorage().get(key);
+        return object ? JSON.parse(object.body.toString('utf8')) : null;
     } catch (error) {
-        console.error(`Error getting JSON from S3 for key ${key}:`, error.message);
+        log.error('Error getting JSON from storage', { key, error: error.message });
         return null;
     }
 }
 
+/**
+ * Gets a JSON document through the in-process cache: a single storage GET on a miss (no HEAD
+ * first), nothing at all on a hit. Missing documents are not cached.
+ * @param {string} key - The object key
+ * @returns {Promise<object|null>} - The parsed JSON or null if not found
+ */
+function getCachedJson(key) {
+    return documentCache.get(key, () => getJson(key));
+}
+
 module.exports = {
     splitTextIntoChunks,
-    generateAudioSpeechify,
-    saveAudioChunkFromBase64,
+    saveAudioChunk,
     concatenateAudioFiles,
-    uploadToS3,
-    checkJsonExists,
-    getJsonFromS3,
-    SPEECHIFY_CHAR_LIMIT
+    getAudioDurationMs,
+    mapWithConcurrency,
+    mapInOrder,
+    getPublicUrl,
+    uploadFile,
+    putJson,
+    objectExists,
+    getJson,
+    getCachedJson,
+    ffmpegDuration
 };
@@ -0,0 +1,130 @@
+// --- Verse selection helpers for flattened chapter content ---
+
+/**
+ * Parses a verse specification such as "16", "16-18" or "1-3,7,9-11".
+ * @param {string} spec - The verse specification.
+ * @returns {{start: number, end: number}[]|null} - Sorted, merged ranges, or null if the spec is invalid.
+ */
+function parseVerseSpec(spec) {
+    if (typeof spec !== 'string' || !/^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/.test(spec)) {
+        return null;
+    }
+
+    const ranges = [];
+    for (const part of spec.split(',')) {
+        const [startStr, endStr] = part.split('-').map(value => value.trim());
+        const start = parseInt(startStr, 10);
+        const end = endStr !== undefined ? parseInt(endStr, 10) : start;
+        if (start < 1 || end < start) {
+            return null;
+        }
+        ranges.push({ start, end });
+    }
+
+    // Sort and merge overlapping or adjacent ranges
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Formats ranges back into their canonical specification (e.g., "1-3,7").
+ * @param {{start: number, end: number}[]} ranges - The verse ranges.
+ * @returns {string} - The specification string.
+ */
+function formatVerseSpec(ranges) {
+    return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(',');
+}
+
+/**
+ * Returns the verse numbers a flattened content item covers. Combined verses
+ * (usfm "JHN.1.1+JHN.1.2") cover more than one number; headings cover none.
+ * @param {object} item - A flattened content item from the chapter route.
+ * @returns {number[]} - The verse numbers.
+ */
+function getVerseNumbers(item) {
+    if (item.type === 'heading' || item.type === 'reference') {
+        return [];
+    }
+    if (typeof item.usfm === 'string' && item.usfm.length > 0) {
+        const numbers = item.usfm.split('+')
+            .map(usfm => parseInt(usfm.split('.').pop(), 10))
+            .filter(number => !isNaN(number));
+        if (numbers.length > 0) {
+            return numbers;
+        }
+    }
+    return typeof item.number === 'number' ? [item.number] : [];
+}
+
+/**
+ * Selects verses from flattened chapter content. Headings and reference lines are kept
+ * when they fall inside a selected range (between two selected verses) or directly precede the
+ * first verse of a range (e.g., the heading above John 3:16 for 3:16-21).
+ * @param {object[]} content - Flattened chapter content (headings and verses).
+ * @param {{start: number, end: number}[]} ranges - The verse ranges to keep.
+ * @returns {{content: object[], lastVerse: number, outOfRange: number[]}} - The selected items, the
+ *   chapter's last verse number and the requested verse numbers beyond it.
+ */
+function selectVerses(content, ranges) {
+    const isSelected = number => ranges.some(({ start, end }) => number >= start && number <= end);
+    const sameRange = (a, b) => ranges.some(({ start, end }) => a >= start && a <= end && b >= start && b <= end);
+    const startsRange = number => ranges.some(({ start }) => number === start);
+
+    let lastVerse = 0;
+    content.forEach(item => {
+        getVerseNumbers(item).forEach(number => {
+            lastVerse = Math.max(lastVerse, number);
+        });
+    });
+
+    const selected = [];
+    let pendingHeadings = [];
+    let previousSelected = null; // Highest verse number of the last selected verse
+
+    content.forEach(item => {
+        const numbers = getVerseNumbers(item);
+        if (numbers.length === 0) {
+            if (item.type === 'heading' || item.type === 'reference') {
+                pendingHeadings.push(item);
+            }
+            return;
+        }
+
+        if (numbers.some(isSelected)) {
+            const first = Math.min(...numbers);
+            if ((previousSelected !== null && sameRange(previousSelected, first)) || numbers.some(startsRange)) {
+                selected.push(...pendingHeadings);
+            }
+            selected.push(item);
+            previousSelected = Math.max(...numbers);
+        } else {
+            previousSelected = null;
+        }
+        pendingHeadings = [];
+    });
+
+    const outOfRange = [];
+    ranges.forEach(({ start, end }) => {
+        if (end > lastVerse) {
+            outOfRange.push(Math.max(start, lastVerse + 1));
+        }
+    });
+
+    return { content: selected, lastVerse, outOfRange };
+}
+
+module.exports = {
+    parseVerseSpec,
+    formatVerseSpec,
+    getVerseNumbers,
+    selectVerses
+};
@@ -0,0 +1,130 @@
+const { putJson, getJson } = require('./utils');
+const { getStorage } = require('./storage');
+
+// --- Per-version documents built from cached chapters ---
+// The search index and the cross-reference graph are both one document per version, stored at
+// `{prefix}{lang}/{version}.json` and built up chapter by chapter: chapters are added as the chapter
+// route caches them, and chapters already under `text/{lang}/{version}/` are picked up by catchUp()
+// (at most every `catchupMinutes`). Writes are debounced so caching a whole book saves once.
+
+const SAVE_DELAY_MS = 5000; // Batch writes while a book is being cached
+
+// One abbreviation can name versions in several languages, so documents are kept per language too
+const versionKey = version => `${version.lang}/${version.abbreviation}`;
+
+/**
+ * Creates a store of per-version documents. Documents keep the chapters they cover in a `chapters`
+ * object keyed by "BOOK.chapter".
+ * @param {object} options
+ * @param {string} options.prefix - Storage key prefix (e.g., "search/").
+ * @param {string} options.label - What the document is, for log messages (e.g., "search index").
+ * @param {number} options.catchupMinutes - Minimum time between two catch-ups of a version.
+ * @param {object} options.log - The owning module's logger.
+ * @param {function(object): object} options.create - Creates an empty document for a version.
+ * @param {function(object, object): object} options.deserialize - Rebuilds a document from its stored JSON.
+ * @param {function(object): object} options.serialize - Returns the JSON to store.
+ * @param {function(object, string, string, Array): boolean} options.addChapter - Adds a chapter's content to a
+ *   document; returns false if it was already added.
+ * @param {function(object): string} options.describe - Summarizes a document for log messages (e.g., "3 chapters").
+ * @returns {object} - The store: { load, addChapter, catchUp }.
+ */
+function createVersionStore({ prefix, label, catchupMinutes, log, create, deserialize, serialize, addChapter, describe }) {
+    const documents = new Map(); // "lang/abbreviation" -> document
+    const pendingLoads = new Map(); // "lang/abbreviation" -> load promise
+    const pendingCatchUps = new Map(); // "lang/abbreviation" -> catch-up promise
+    const lastCatchUps = new Map(); // "lang/abbreviation" -> time of the last catch-up
+    const saveTimers = new Map(); // "lang/abbreviation" -> debounce timer
+
+    /**
+     * Loads a version's document from storage once (or starts an empty one).
+     * @param {object} version - The resolved version ({ abbreviation, lang }).
+     * @returns {Promise<object>} - The document.
+     */
+    function load(version) {
+        const key = versionKey(version);
+        if (documents.has(key)) return Promise.resolve(documents.get(key));
+        if (!pendingLoads.has(key)) {
+            pendingLoads.set(key, (async () => {
+                const stored = await getJson(`${prefix}${key}.json`);
+                const document = stored ? deserialize(stored, version) : create(version);
+                if (stored) {
+                    log.info(`Loaded ${label} for ${key} (${describe(document)}).`);
+                }
+                documents.set(key, document);
+                return document;
+            })().finally(() => pendingLoads.delete(key)));
+        }
+        return pendingLoads.get(key);
+    }
+
+    function scheduleSave(key, document) {
+        clearTimeout(saveTimers.get(key));
+        const timer = setTimeout(async () => {
+            saveTimers.delete(key);
+            try {
+                await putJson(`${prefix}${key}.json`, serialize(document));
+                log.info(`Saved ${label} for ${key} (${describe(document)}).`);
+            } catch (storageError) {
+                log.error(`Error saving ${label} for ${key}`, { error: storageError.message });
+            }
+        }, SAVE_DELAY_MS);
+        timer.unref();
+        saveTimers.set(key, timer);
+    }
+
+    /**
+     * Adds a cached chapter to its version's document (no-op if it is already added).
+     * @param {object} version - The resolved version ({ abbreviation, lang }).
+     * @param {string} book - The USFM book code.
+     * @param {string|number} chapter - The chapter number.
+     * @param {object} chapterData - The chapter JSON `data` (with the flattened content).
+     * @returns {Promise<boolean>} - True if the chapter was added.
+     */
+    async function addCachedChapter(version, book, chapter, chapterData) {
+        const document = await load(version);
+        const added = addChapter(document, book.toUpperCase(), String(chapter), chapterData && chapterData.content);
+        if (added) {
+            scheduleSave(versionKey(version), document);
+        }
+        return added;
+    }
+
+    /**
+     * Adds the chapters cached in storage that a version's document does not cover yet.
+     * @param {object} version - The resolved version ({ abbreviation, lang }).
+     * @param {object} document - The version's loaded document.
+     * @returns {Promise<void>}
+     */
+    function catchUp(version, document) {
+        const key = versionKey(version);
+        if (Date.now() - (lastCatchUps.get(key) || 0) < catchupMinutes * 60 * 1000) return Promise.resolve();
+        if (!pendingCatchUps.has(key)) {
+            pendingCatchUps.set(key, (async () => {
+                const keys = await getStorage().list(`text/${key}/`);
+                let added = 0;
+                for (const chapterKey of keys) {
+                    const match = chapterKey.match(/^text\/[^/]+\/[^/]+\/([^/]+)\/(\d+)\.json$/);
+                    if (!match || document.chapters[`${match[1]}.${match[2]}`] !== undefined) continue;
+                    const cached = await getJson(chapterKey);
+                    if (cached && cached.data && addChapter(document, match[1], match[2], cached.data.content)) {
+                        added++;
+                    }
+                }
+                lastCatchUps.set(key, Date.now());
+                if (added > 0) {
+                    log.info(`Added ${added} cached chapter(s) to the ${label} for ${key}.`);
+                    scheduleSave(key, document);
+                }
+            })().catch(error => {
+                log.error(`Catch-up of the ${label} failed for ${key}`, { error: error.message });
+            }).finally(() => pendingCatchUps.delete(key)));
+        }
+        return pendingCatchUps.get(key);
+    }
+
+    return { load, addChapter: addCachedChapter, catchUp };
+}
+
+module.exports = {
+    createVersionStore
+};